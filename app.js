@@ -15,6 +15,9 @@ const { redis, redisPub, redisSub, redisUtils } = require('./config/redis');
 
 // Import socket handlers
 const { setupLocationSocket } = require('./sockets/locationSocket');
+const { startTrackerListeners } = require('./sockets/trackerServer');
+const { setupPublicSocket } = require('./sockets/publicSocket');
+const { flushLocations, ingestMetrics } = require('./utils/locationWriter');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -22,6 +25,17 @@ const vehicleRoutes = require('./routes/vehicles');
 const tripRoutes = require('./routes/trips');
 const routeRoutes = require('./routes/routes');
 const driverRoutes = require('./routes/drivers');
+const stopRoutes = require('./routes/stops');
+const gtfsRoutes = require('./routes/gtfs');
+const gtfsRealtimeRoutes = require('./routes/gtfsRealtime');
+const journeyRoutes = require('./routes/journeys');
+const alertRoutes = require('./routes/alerts');
+const timetableRoutes = require('./routes/timetables');
+const rosterRoutes = require('./routes/roster');
+const analyticsRoutes = require('./routes/analytics');
+const deviceRoutes = require('./routes/devices');
+const ingestRoutes = require('./routes/ingest');
+const passengerRoutes = require('./routes/passengers');
 
 const app = express();
 const server = http.createServer(app);
@@ -39,6 +53,9 @@ const io = socketIo(server, {
 const { createAdapter } = require('@socket.io/redis-adapter');
 io.adapter(createAdapter(redisPub, redisSub));
 
+// Lets route handlers push live events
+app.set('io', io);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -97,7 +114,8 @@ app.get('/health', async (req, res) => {
         database: 'connected',
         redis: 'connected',
         socketio: 'running'
-      }
+      },
+      ingest: ingestMetrics()
     });
   } catch (error) {
     logger.error('Health check failed:', error);
@@ -115,6 +133,17 @@ app.use('/api/vehicles', vehicleRoutes);
 app.use('/api/trips', tripRoutes);
 app.use('/api/routes', routeRoutes);
 app.use('/api/drivers', driverRoutes);
+app.use('/api/stops', stopRoutes);
+app.use('/api/gtfs', gtfsRoutes);
+app.use('/api/gtfs-rt', gtfsRealtimeRoutes);
+app.use('/api/journeys', journeyRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/timetables', timetableRoutes);
+app.use('/api/roster', rosterRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/passengers', passengerRoutes);
 // Realtime API (cached data)
 app.get('/api/realtime/vehicles/:id/location', async (req, res) => {
   try {
@@ -129,18 +158,9 @@ app.get('/api/realtime/vehicles/:id/location', async (req, res) => {
 
 app.get('/api/realtime/trips/:id/etas', async (req, res) => {
   try {
-    // For simplicity, return last few cached ETAs by scanning stops 1..5
-    // In production, store an index of stops per trip/route in Redis for efficient listing
-    const active = await redisUtils.getActiveTripData(req.params.id);
-    if (!active) return res.status(404).json({ error: 'Trip not active' });
-    const { route_id: routeId, vehicle_id: vehicleId } = active;
-    const stopIds = (active.nextStopIds || []).slice(0, 10);
-    const etas = [];
-    for (const stopId of stopIds) {
-      const eta = await redisUtils.getCachedETA(routeId, stopId, vehicleId);
-      if (eta) etas.push({ stopId, ...eta });
-    }
-    res.json({ tripId: Number(req.params.id), etas });
+    const cached = await redisUtils.getCachedTripETAs(req.params.id);
+    if (!cached) return res.status(404).json({ error: 'No ETAs for trip' });
+    res.json({ tripId: req.params.id, vehicleId: cached.vehicleId, calculatedAt: cached.calculatedAt, etas: cached.etas });
   } catch (error) {
     logger.error('Realtime ETAs fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch ETAs' });
@@ -152,6 +172,8 @@ app.use(express.static('public'));
 
 // Setup Socket.IO handlers
 setupLocationSocket(io);
+setupPublicSocket(io);
+startTrackerListeners(io);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -196,12 +218,14 @@ server.listen(PORT, () => {
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
-  server.close((err) => {
+  server.close(async (err) => {
     if (err) {
       logger.error('Error during server shutdown:', err);
       process.exit(1);
     }
-    
+
+    // Fixes still waiting in the location buffer
+    await flushLocations();
     logger.info('Server closed successfully');
     process.exit(0);
   });
@@ -28,6 +28,18 @@ redis.on('reconnecting', () => logger.info('Redis client reconnecting...'));
 redisPub.on('error', (err) => logger.error('Redis pub client error:', err));
 redisSub.on('error', (err) => logger.error('Redis sub client error:', err));
 
+// SCAN rather than KEYS so large keyspaces don't block the server
+const scanKeys = async (pattern) => {
+  const keys = [];
+  let cursor = '0';
+  do {
+    const [next, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+    cursor = next;
+    keys.push(...batch);
+  } while (cursor !== '0');
+  return [...new Set(keys)];
+};
+
 const redisUtils = {
   async cacheVehicleLocation(vehicleId, locationData, ttl = 300) {
     const key = `vehicle:location:${vehicleId}`;
@@ -39,6 +51,34 @@ const redisUtils = {
     try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
     catch (error) { logger.error('Error getting cached vehicle location:', error); return null; }
   },
+  async getAllCachedVehicleLocations() {
+    try {
+      const keys = await scanKeys('vehicle:location:*');
+      if (keys.length === 0) return [];
+      const values = await redis.mget(keys);
+      return values.filter(Boolean).map(value => JSON.parse(value));
+    } catch (error) { logger.error('Error getting all cached vehicle locations:', error); return []; }
+  },
+  async setVehicleFilterState(vehicleId, state, ttl = 3600) {
+    const key = `vehicle:filter:${vehicleId}`;
+    try { await redis.setex(key, ttl, JSON.stringify(state)); }
+    catch (error) { logger.error('Error setting vehicle filter state:', error); }
+  },
+  async getVehicleFilterState(vehicleId) {
+    const key = `vehicle:filter:${vehicleId}`;
+    try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
+    catch (error) { logger.error('Error getting vehicle filter state:', error); return null; }
+  },
+  async setVehicleMonitorState(vehicleId, state, ttl = 3600) {
+    const key = `vehicle:monitor:${vehicleId}`;
+    try { await redis.setex(key, ttl, JSON.stringify(state)); }
+    catch (error) { logger.error('Error setting vehicle monitor state:', error); }
+  },
+  async getVehicleMonitorState(vehicleId) {
+    const key = `vehicle:monitor:${vehicleId}`;
+    try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
+    catch (error) { logger.error('Error getting vehicle monitor state:', error); return null; }
+  },
   async cacheETA(routeId, stopId, vehicleId, eta, ttl = 60) {
     const key = `eta:${routeId}:${stopId}:${vehicleId}`;
     try { await redis.setex(key, ttl, JSON.stringify(eta)); }
@@ -49,6 +89,24 @@ const redisUtils = {
     try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
     catch (error) { logger.error('Error getting cached ETA:', error); return null; }
   },
+  async cacheTripETAs(tripId, etaData, ttl = 120) {
+    const key = `trip:etas:${tripId}`;
+    try { await redis.setex(key, ttl, JSON.stringify(etaData)); }
+    catch (error) { logger.error('Error caching trip ETAs:', error); }
+  },
+  async getCachedTripETAs(tripId) {
+    const key = `trip:etas:${tripId}`;
+    try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
+    catch (error) { logger.error('Error getting cached trip ETAs:', error); return null; }
+  },
+  async getAllCachedTripETAs() {
+    try {
+      const keys = await scanKeys('trip:etas:*');
+      if (keys.length === 0) return [];
+      const values = await redis.mget(keys);
+      return values.filter(Boolean).map(value => JSON.parse(value));
+    } catch (error) { logger.error('Error getting all cached trip ETAs:', error); return []; }
+  },
   async cacheRoute(routeId, routeData, ttl = 3600) {
     const key = `route:${routeId}`;
     try { await redis.setex(key, ttl, JSON.stringify(routeData)); }
@@ -59,6 +117,31 @@ const redisUtils = {
     try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
     catch (error) { logger.error('Error getting cached route:', error); return null; }
   },
+  async invalidateRoute(routeId) {
+    const keys = [`route:${routeId}`, `route:profile:${routeId}:forward`, `route:profile:${routeId}:backward`];
+    try { await redis.del(...keys); }
+    catch (error) { logger.error('Error invalidating cached route:', error); }
+  },
+  async cacheRouteProfile(routeId, direction, profile, ttl = 3600) {
+    const key = `route:profile:${routeId}:${direction}`;
+    try { await redis.setex(key, ttl, JSON.stringify(profile)); }
+    catch (error) { logger.error('Error caching route profile:', error); }
+  },
+  async getCachedRouteProfile(routeId, direction) {
+    const key = `route:profile:${routeId}:${direction}`;
+    try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
+    catch (error) { logger.error('Error getting cached route profile:', error); return null; }
+  },
+  async cacheSegmentTimes(routeId, direction, rows, ttl = 600) {
+    const key = `eta:segments:${routeId}:${direction}`;
+    try { await redis.setex(key, ttl, JSON.stringify(rows)); }
+    catch (error) { logger.error('Error caching segment times:', error); }
+  },
+  async getCachedSegmentTimes(routeId, direction) {
+    const key = `eta:segments:${routeId}:${direction}`;
+    try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
+    catch (error) { logger.error('Error getting cached segment times:', error); return null; }
+  },
   async setActiveTripData(tripId, tripData, ttl = 86400) {
     const key = `trip:active:${tripId}`;
     try { await redis.setex(key, ttl, JSON.stringify(tripData)); }
@@ -69,6 +152,55 @@ const redisUtils = {
     try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
     catch (error) { logger.error('Error getting active trip data:', error); return null; }
   },
+  async setVehicleTrip(vehicleId, tripData, ttl = 60) {
+    const key = `vehicle:trip:${vehicleId}`;
+    try { await redis.setex(key, ttl, JSON.stringify(tripData)); }
+    catch (error) { logger.error('Error setting vehicle trip:', error); }
+  },
+  async getVehicleTrip(vehicleId) {
+    const key = `vehicle:trip:${vehicleId}`;
+    try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
+    catch (error) { logger.error('Error getting vehicle trip:', error); return null; }
+  },
+  async clearVehicleTrip(vehicleId) {
+    const key = `vehicle:trip:${vehicleId}`;
+    try { await redis.del(key); }
+    catch (error) { logger.error('Error clearing vehicle trip:', error); }
+  },
+  // Numbered fixes stored for a vehicle, as "seq:time" members scored by
+  // fix time; ones older than the ttl are dropped
+  async addVehicleFixes(vehicleId, fixes, ttl = 604800) {
+    const key = `vehicle:fixes:${vehicleId}`;
+    try {
+      await redis.multi()
+        .zadd(key, ...fixes.flatMap(({ seq, time }) => [time, `${seq}:${time}`]))
+        .zremrangebyscore(key, '-inf', Date.now() - ttl * 1000)
+        .expire(key, ttl)
+        .exec();
+    } catch (error) { logger.error('Error adding vehicle fixes:', error); }
+  },
+  // Which of the "seq:time" members are already stored, as a Set
+  async getStoredVehicleFixes(vehicleId, members) {
+    const key = `vehicle:fixes:${vehicleId}`;
+    if (members.length === 0) return new Set();
+    try { const scores = await redis.zmscore(key, ...members); return new Set(members.filter((_, i) => scores[i] !== null)); }
+    catch (error) { logger.error('Error getting vehicle fixes:', error); return new Set(); }
+  },
+  async setTripStopState(tripId, state, ttl = 86400) {
+    const key = `trip:stops:${tripId}`;
+    try { await redis.setex(key, ttl, JSON.stringify(state)); }
+    catch (error) { logger.error('Error setting trip stop state:', error); }
+  },
+  async getTripStopState(tripId) {
+    const key = `trip:stops:${tripId}`;
+    try { const data = await redis.get(key); return data ? JSON.parse(data) : null; }
+    catch (error) { logger.error('Error getting trip stop state:', error); return null; }
+  },
+  async clearTripStopState(tripId) {
+    const key = `trip:stops:${tripId}`;
+    try { await redis.del(key); }
+    catch (error) { logger.error('Error clearing trip stop state:', error); }
+  },
   async setDriverSession(driverId, sessionData, ttl = 86400) {
     const key = `driver:session:${driverId}`;
     try { await redis.setex(key, ttl, JSON.stringify(sessionData)); }
@@ -84,6 +216,16 @@ const redisUtils = {
     try { await redis.del(key); }
     catch (error) { logger.error('Error removing driver session:', error); }
   },
+  async cacheGtfsFeed(fingerprint, feedBuffer, ttl = 86400) {
+    const key = `gtfs:static:${fingerprint}`;
+    try { await redis.setex(key, ttl, feedBuffer); }
+    catch (error) { logger.error('Error caching GTFS feed:', error); }
+  },
+  async getCachedGtfsFeed(fingerprint) {
+    const key = `gtfs:static:${fingerprint}`;
+    try { return await redis.getBuffer(key); }
+    catch (error) { logger.error('Error getting cached GTFS feed:', error); return null; }
+  },
   async publishLocationUpdate(vehicleId, locationData) {
     try {
       await redisPub.publish(`location:${vehicleId}`, JSON.stringify(locationData));
@@ -108,6 +250,52 @@ const redisUtils = {
       });
     } catch (error) { logger.error('Error subscribing to all location updates:', error); }
   },
+  async publishDeparturesUpdate(update) {
+    try { await redisPub.publish('departures:updates', JSON.stringify(update)); }
+    catch (error) { logger.error('Error publishing departures update:', error); }
+  },
+  async subscribeToDeparturesUpdates(callback) {
+    const channel = 'departures:updates';
+    try {
+      await redisSub.subscribe(channel);
+      redisSub.on('message', (receivedChannel, message) => {
+        if (receivedChannel === channel) callback(JSON.parse(message));
+      });
+    } catch (error) { logger.error('Error subscribing to departures updates:', error); }
+  },
+  // Login sessions (see utils/authSessions). Unlike the caches above these
+  // let Redis errors through, so authentication fails closed.
+  async createAuthSession(sessionId, refreshId, ttl) {
+    await redis.setex(`auth:session:${sessionId}`, ttl, refreshId);
+  },
+  // Swaps the session's refresh token id for the next one if `refreshId` is
+  // the current one: 'rotated', 'missing' (session ended) or 'reused' (an
+  // older token; the session is deleted)
+  async rotateAuthSession(sessionId, refreshId, nextRefreshId, ttl) {
+    const outcome = await redis.eval(
+      `local current = redis.call('GET', KEYS[1])
+       if not current then return 0 end
+       if current ~= ARGV[1] then redis.call('DEL', KEYS[1]) return -1 end
+       redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+       return 1`,
+      1, `auth:session:${sessionId}`, refreshId, nextRefreshId, ttl
+    );
+    return outcome === 1 ? 'rotated' : outcome === 0 ? 'missing' : 'reused';
+  },
+  async deleteAuthSession(sessionId) {
+    await redis.del(`auth:session:${sessionId}`);
+  },
+  async getTokenGeneration(userId) {
+    return parseInt(await redis.get(`auth:generation:${userId}`), 10) || 0;
+  },
+  async bumpTokenGeneration(userId) {
+    return redis.incr(`auth:generation:${userId}`);
+  },
+  // Whether the session still exists, and the user's current token generation
+  async getAuthState(sessionId, userId) {
+    const [session, generation] = await redis.mget(`auth:session:${sessionId}`, `auth:generation:${userId}`);
+    return { sessionActive: session !== null, generation: parseInt(generation, 10) || 0 };
+  },
   async checkRateLimit(identifier, limit = 100, window = 3600) {
     const key = `rate_limit:${identifier}`;
     try {
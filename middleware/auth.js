@@ -1,13 +1,10 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
+const { verifyAccessToken } = require('../utils/authSessions');
+const { logger } = require('../utils/logger');
 
-const generateToken = (payload, expiresIn = '24h') => {
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
-};
-
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -18,16 +15,28 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (error) {
+    if (error.code === 'TOKEN_REVOKED') {
+      return res.status(401).json({ 
+        error: 'Session has been logged out',
+        code: 'TOKEN_REVOKED' 
+      });
+    }
+    if (error.code === 'INVALID_TOKEN') {
       return res.status(403).json({ 
         error: 'Invalid or expired token',
         code: 'INVALID_TOKEN' 
       });
     }
-    req.user = decoded;
-    next();
-  });
+    logger.error('Token verification error:', error);
+    return res.status(500).json({ 
+      error: 'Failed to verify token',
+      code: 'SERVER_ERROR' 
+    });
+  }
+  next();
 };
 
 const authorizeRoles = (...roles) => {
@@ -82,28 +91,72 @@ const loginValidation = [
     .withMessage('Password must be at least 6 characters'),
 ];
 
+// Field rules shared by the registration and profile validations
+const emailRule = (field = 'email') => body(field)
+  .isEmail()
+  .normalizeEmail()
+  .withMessage('Valid email is required');
+
+const newPasswordRule = (field = 'password') => body(field)
+  .isLength({ min: 8 })
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain uppercase, lowercase, and number');
+
+const nameRule = (field = 'name') => body(field)
+  .trim()
+  .isLength({ min: 2, max: 100 })
+  .withMessage('Name must be 2-100 characters');
+
+const phoneRule = (field = 'phone') => body(field)
+  .matches(/^[\+]?[^\D]{0,2}?[1-9][\d]{0,15}$/)
+  .withMessage('Valid phone number required');
+
 const registerDriverValidation = [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Valid email is required'),
-  body('password')
-    .isLength({ min: 8 })
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain uppercase, lowercase, and number'),
-  body('name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Name must be 2-100 characters'),
-  body('phone')
-    .matches(/^[\+]?[^\D]{0,2}?[1-9][\d]{0,15}$/)
-    .withMessage('Valid phone number required'),
+  emailRule(),
+  newPasswordRule(),
+  nameRule(),
+  phoneRule(),
   body('licenseNumber')
     .trim()
     .isLength({ min: 5, max: 20 })
     .withMessage('Valid license number required'),
 ];
 
+const registerPassengerValidation = [
+  emailRule(),
+  newPasswordRule(),
+  nameRule(),
+  phoneRule().optional({ values: 'falsy' }),
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Valid verification token is required'),
+];
+
+const resendVerificationValidation = [
+  emailRule(),
+];
+
+// A new password needs the current one
+const updateProfileValidation = [
+  nameRule().optional(),
+  phoneRule().optional({ values: 'null' }),
+  newPasswordRule('newPassword').optional(),
+  body('currentPassword')
+    .if(body('newPassword').exists())
+    .notEmpty()
+    .withMessage('Current password is required to set a new password'),
+];
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to delete the account'),
+];
+
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -129,29 +182,35 @@ const comparePassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
 
-const authenticateSocket = (socket, next) => {
+const authenticateSocket = async (socket, next) => {
   const token = socket.handshake.auth.token;
   if (!token) {
     return next(new Error('Authentication token required'));
   }
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return next(new Error('Invalid authentication token'));
-    }
+  try {
+    const decoded = await verifyAccessToken(token);
     socket.userId = decoded.userId;
     socket.userRole = decoded.role;
-    next();
-  });
+    socket.sessionId = decoded.sid;
+  } catch (error) {
+    if (error.code !== 'TOKEN_REVOKED' && error.code !== 'INVALID_TOKEN') logger.error('Socket token verification error:', error);
+    return next(new Error(error.code === 'TOKEN_REVOKED' ? 'Session has been logged out' : 'Invalid authentication token'));
+  }
+  next();
 };
 
 module.exports = {
-  generateToken,
   authenticateToken,
   authorizeRoles,
   authLimiter,
   generalLimiter,
   loginValidation,
   registerDriverValidation,
+  registerPassengerValidation,
+  verifyEmailValidation,
+  resendVerificationValidation,
+  updateProfileValidation,
+  deleteAccountValidation,
   handleValidationErrors,
   hashPassword,
   comparePassword,
@@ -0,0 +1,77 @@
+-- migrations/002_gtfs_import.sql
+-- GTFS identifiers, service calendars and route shapes for the static feed importer
+
+-- GTFS ids let re-imports upsert instead of duplicating
+ALTER TABLE routes ADD COLUMN gtfs_route_id VARCHAR(255) UNIQUE;
+ALTER TABLE routes ADD COLUMN short_name VARCHAR(50);
+ALTER TABLE routes ADD COLUMN text_color VARCHAR(7);
+ALTER TABLE bus_stops ADD COLUMN gtfs_stop_id VARCHAR(255) UNIQUE;
+ALTER TABLE bus_stops ADD COLUMN code VARCHAR(50);
+
+-- Service calendars (GTFS calendar.txt / calendar_dates.txt)
+CREATE TABLE service_calendars (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    gtfs_service_id VARCHAR(255) UNIQUE,
+    name VARCHAR(100),
+    monday BOOLEAN NOT NULL DEFAULT false,
+    tuesday BOOLEAN NOT NULL DEFAULT false,
+    wednesday BOOLEAN NOT NULL DEFAULT false,
+    thursday BOOLEAN NOT NULL DEFAULT false,
+    friday BOOLEAN NOT NULL DEFAULT false,
+    saturday BOOLEAN NOT NULL DEFAULT false,
+    sunday BOOLEAN NOT NULL DEFAULT false,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE service_calendar_dates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    calendar_id UUID NOT NULL REFERENCES service_calendars(id) ON DELETE CASCADE,
+    service_date DATE NOT NULL,
+    exception_type VARCHAR(10) NOT NULL CHECK (exception_type IN ('added', 'removed')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(calendar_id, service_date)
+);
+
+-- Scheduled trips from a feed have no vehicle or driver until dispatched
+ALTER TABLE trips ALTER COLUMN vehicle_id DROP NOT NULL;
+ALTER TABLE trips ALTER COLUMN driver_id DROP NOT NULL;
+ALTER TABLE trips ADD COLUMN gtfs_trip_id VARCHAR(255);
+ALTER TABLE trips ADD COLUMN service_date DATE;
+ALTER TABLE trips ADD COLUMN service_calendar_id UUID REFERENCES service_calendars(id);
+ALTER TABLE trips ADD COLUMN headsign VARCHAR(255);
+
+-- Road geometry followed by a route, one per direction
+CREATE TABLE route_shapes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    route_id UUID NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('forward', 'backward')),
+    shape GEOGRAPHY(LINESTRING, 4326) NOT NULL,
+    gtfs_shape_id VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(route_id, direction)
+);
+
+-- Feed versions that have been imported
+CREATE TABLE gtfs_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    feed_hash VARCHAR(64) NOT NULL,
+    feed_version VARCHAR(100),
+    service_start_date DATE,
+    service_days INTEGER,
+    stats JSONB,
+    imported_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_trips_gtfs_service_date ON trips(gtfs_trip_id, service_date);
+CREATE INDEX idx_trips_service_date ON trips(service_date);
+CREATE INDEX idx_service_calendar_dates_calendar ON service_calendar_dates(calendar_id);
+CREATE INDEX idx_route_shapes_route ON route_shapes(route_id);
+CREATE INDEX idx_route_shapes_shape ON route_shapes USING GIST(shape);
+CREATE INDEX idx_gtfs_imports_hash ON gtfs_imports(feed_hash);
+
+CREATE TRIGGER update_service_calendars_updated_at BEFORE UPDATE ON service_calendars FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_route_shapes_updated_at BEFORE UPDATE ON route_shapes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,23 @@
+-- migrations/003_journey_requests.sql
+-- Journey planner queries are logged to passenger_requests for demand analysis
+
+-- Coordinate searches with no stop in walking range are still worth recording
+ALTER TABLE passenger_requests ALTER COLUMN from_stop_id DROP NOT NULL;
+ALTER TABLE passenger_requests ALTER COLUMN to_stop_id DROP NOT NULL;
+
+-- A logged search must not stop its stops from being deleted
+ALTER TABLE passenger_requests DROP CONSTRAINT IF EXISTS passenger_requests_from_stop_id_fkey;
+ALTER TABLE passenger_requests ADD CONSTRAINT passenger_requests_from_stop_id_fkey FOREIGN KEY (from_stop_id) REFERENCES bus_stops(id) ON DELETE SET NULL;
+ALTER TABLE passenger_requests DROP CONSTRAINT IF EXISTS passenger_requests_to_stop_id_fkey;
+ALTER TABLE passenger_requests ADD CONSTRAINT passenger_requests_to_stop_id_fkey FOREIGN KEY (to_stop_id) REFERENCES bus_stops(id) ON DELETE SET NULL;
+
+ALTER TABLE passenger_requests ADD COLUMN from_location GEOGRAPHY(POINT, 4326);
+ALTER TABLE passenger_requests ADD COLUMN to_location GEOGRAPHY(POINT, 4326);
+ALTER TABLE passenger_requests ADD COLUMN depart_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE passenger_requests ADD COLUMN itineraries_found INTEGER DEFAULT 0;
+ALTER TABLE passenger_requests ADD COLUMN best_duration INTEGER; -- seconds
+ALTER TABLE passenger_requests ADD COLUMN transfers INTEGER;
+
+CREATE INDEX idx_passenger_requests_requested_time ON passenger_requests(requested_time);
+CREATE INDEX idx_passenger_requests_from_stop ON passenger_requests(from_stop_id);
+CREATE INDEX idx_passenger_requests_to_stop ON passenger_requests(to_stop_id);
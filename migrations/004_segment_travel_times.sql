@@ -0,0 +1,25 @@
+-- migrations/004_segment_travel_times.sql
+-- Learned stop-to-stop travel times used by the ETA engine
+
+-- One row per segment and bucket. day_of_week is 0 (Sunday) to 6, time_band
+-- is the local hour divided by ETA_TIME_BAND_HOURS. -1 in either column is
+-- the pooled fallback across all days and/or all times.
+CREATE TABLE segment_travel_times (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    route_id UUID NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('forward', 'backward')),
+    from_stop_id UUID NOT NULL REFERENCES bus_stops(id) ON DELETE CASCADE,
+    to_stop_id UUID NOT NULL REFERENCES bus_stops(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN -1 AND 6),
+    time_band SMALLINT NOT NULL CHECK (time_band >= -1),
+    sample_count INTEGER NOT NULL,
+    mean_seconds DECIMAL(10,2) NOT NULL,
+    stddev_seconds DECIMAL(10,2) NOT NULL DEFAULT 0,
+    p10_seconds DECIMAL(10,2),
+    p50_seconds DECIMAL(10,2),
+    p90_seconds DECIMAL(10,2),
+    trained_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(route_id, direction, from_stop_id, to_stop_id, day_of_week, time_band)
+);
+
+CREATE INDEX idx_segment_travel_times_route ON segment_travel_times(route_id, direction);
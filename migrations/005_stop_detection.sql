@@ -0,0 +1,10 @@
+-- migrations/005_stop_detection.sql
+-- Stop visits detected from GPS: per-stop geofences and visit outcome
+
+-- Meters around the stop counted as being at it, NULL uses STOP_GEOFENCE_RADIUS
+ALTER TABLE bus_stops ADD COLUMN geofence_radius INTEGER CHECK (geofence_radius BETWEEN 5 AND 500);
+
+-- arrived: inside the geofence now, departed: dwelled and left,
+-- passed: drove through without dwelling, skipped: never reached
+ALTER TABLE trip_stops ADD COLUMN status VARCHAR(20) CHECK (status IN ('arrived', 'departed', 'passed', 'skipped'));
+ALTER TABLE trip_stops ADD COLUMN dwell_seconds INTEGER;
@@ -0,0 +1,11 @@
+-- migrations/006_gps_filtering.sql
+-- Filtered GPS: location holds the corrected position, raw_location what the device sent
+
+ALTER TABLE vehicle_locations ADD COLUMN raw_location GEOGRAPHY(POINT, 4326);
+-- accepted: used as sent, smoothed: moved by the filter, snapped: moved onto the route shape,
+-- rejected: kept for audit only
+ALTER TABLE vehicle_locations ADD COLUMN filter_status VARCHAR(20) DEFAULT 'accepted' CHECK (filter_status IN ('accepted', 'smoothed', 'snapped', 'rejected'));
+ALTER TABLE vehicle_locations ADD COLUMN filter_reason VARCHAR(50);
+ALTER TABLE vehicle_locations ADD COLUMN correction_distance DECIMAL(8,2); -- meters between raw and corrected
+
+CREATE INDEX idx_vehicle_locations_trip_time ON vehicle_locations(trip_id, timestamp) WHERE filter_status <> 'rejected';
@@ -0,0 +1,13 @@
+-- migrations/007_system_alerts.sql
+-- Alerts raised automatically by the server (off-route, stalled vehicles)
+
+ALTER TABLE alerts ALTER COLUMN created_by DROP NOT NULL;
+ALTER TABLE alerts ADD COLUMN source VARCHAR(20) DEFAULT 'manual' CHECK (source IN ('manual', 'system'));
+-- Identifies the condition a system alert is about, so it is raised once while open
+ALTER TABLE alerts ADD COLUMN dedupe_key VARCHAR(100);
+ALTER TABLE alerts ADD COLUMN metadata JSONB DEFAULT '{}';
+ALTER TABLE alerts ADD COLUMN resolved_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX idx_alerts_open_dedupe ON alerts(dedupe_key) WHERE is_active = true AND dedupe_key IS NOT NULL;
+CREATE INDEX idx_alerts_trip ON alerts(trip_id);
+CREATE INDEX idx_vehicle_locations_vehicle_time ON vehicle_locations(vehicle_id, timestamp DESC);
@@ -0,0 +1,12 @@
+-- migrations/008_alert_management.sql
+-- Admin-managed alerts: edits, resolution and scheduled expiry
+
+ALTER TABLE alerts ADD COLUMN updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE alerts ADD COLUMN resolved_by UUID REFERENCES users(id);
+
+-- The expiry sweeper only looks at open alerts with an end time
+CREATE INDEX idx_alerts_expiring ON alerts(expires_at) WHERE is_active = true AND expires_at IS NOT NULL;
+CREATE INDEX idx_alerts_route ON alerts(route_id);
+CREATE INDEX idx_alerts_vehicle ON alerts(vehicle_id);
+
+CREATE TRIGGER update_alerts_updated_at BEFORE UPDATE ON alerts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
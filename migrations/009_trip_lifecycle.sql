@@ -0,0 +1,23 @@
+-- migrations/009_trip_lifecycle.sql
+-- Trip lifecycle: scheduled -> dispatched -> active -> completed, or cancelled
+-- from any unfinished state, with an audit trail of every transition
+
+ALTER TABLE trips DROP CONSTRAINT IF EXISTS trips_status_check;
+ALTER TABLE trips ADD CONSTRAINT trips_status_check CHECK (status IN ('scheduled', 'dispatched', 'active', 'completed', 'cancelled'));
+ALTER TABLE trips ADD COLUMN dispatched_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE trips ADD COLUMN cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE trips ADD COLUMN cancellation_reason TEXT;
+
+CREATE TABLE trip_status_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trip_id UUID NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('driver', 'dispatcher', 'system')),
+    changed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_trip_status_events_trip ON trip_status_events(trip_id, created_at);
+CREATE INDEX idx_trips_driver_schedule ON trips(driver_id, scheduled_start_time);
@@ -0,0 +1,42 @@
+-- migrations/010_service_patterns.sql
+-- Headway-based service patterns that the timetable generator turns into trips
+
+-- NULL: public holidays don't affect the calendar (as for imported GTFS calendars).
+-- true/false: the calendar runs, or doesn't, on dates in public_holidays.
+ALTER TABLE service_calendars ADD COLUMN runs_on_holidays BOOLEAN;
+
+CREATE TABLE public_holidays (
+    holiday_date DATE PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Departure times are seconds after midnight of the service day and may pass
+-- 24:00 for late-night service, as in GTFS. headway_bands is a list of
+-- { "start": seconds, "end": seconds, "minutes": headway } overriding
+-- default_headway between start (inclusive) and end (exclusive).
+CREATE TABLE service_patterns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    route_id UUID NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('forward', 'backward')),
+    service_calendar_id UUID NOT NULL REFERENCES service_calendars(id) ON DELETE CASCADE,
+    first_departure INTEGER NOT NULL CHECK (first_departure >= 0),
+    last_departure INTEGER NOT NULL,
+    default_headway INTEGER NOT NULL CHECK (default_headway > 0), -- minutes
+    headway_bands JSONB NOT NULL DEFAULT '[]',
+    headsign VARCHAR(255),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (last_departure >= first_departure),
+    UNIQUE(route_id, direction, service_calendar_id)
+);
+
+ALTER TABLE trips ADD COLUMN service_pattern_id UUID REFERENCES service_patterns(id) ON DELETE SET NULL;
+
+-- Makes generation idempotent: one trip per pattern departure and day
+CREATE UNIQUE INDEX idx_trips_pattern_departure ON trips(service_pattern_id, service_date, scheduled_start_time) WHERE service_pattern_id IS NOT NULL;
+CREATE INDEX idx_trips_route_start ON trips(route_id, scheduled_start_time);
+CREATE INDEX idx_service_patterns_calendar ON service_patterns(service_calendar_id);
+
+CREATE TRIGGER update_service_patterns_updated_at BEFORE UPDATE ON service_patterns FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,39 @@
+-- migrations/011_driver_rostering.sql
+-- Driver duty rosters: depots, shifts with breaks, and trips assigned to shifts
+
+CREATE TABLE depots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL UNIQUE,
+    address TEXT,
+    location GEOGRAPHY(POINT, 4326),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- breaks is a list of { "start": ISO time, "end": ISO time } inside the shift
+CREATE TABLE driver_shifts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    driver_id UUID NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    depot_id UUID REFERENCES depots(id),
+    vehicle_id UUID REFERENCES vehicles(id),
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    breaks JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'checked_in', 'completed', 'cancelled')),
+    checked_in_at TIMESTAMP WITH TIME ZONE,
+    checked_out_at TIMESTAMP WITH TIME ZONE,
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
+);
+
+ALTER TABLE trips ADD COLUMN shift_id UUID REFERENCES driver_shifts(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_driver_shifts_driver_time ON driver_shifts(driver_id, starts_at);
+CREATE INDEX idx_driver_shifts_time ON driver_shifts(starts_at, ends_at);
+CREATE INDEX idx_trips_shift ON trips(shift_id);
+
+CREATE TRIGGER update_depots_updated_at BEFORE UPDATE ON depots FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_driver_shifts_updated_at BEFORE UPDATE ON driver_shifts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
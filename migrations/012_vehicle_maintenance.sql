@@ -0,0 +1,30 @@
+-- migrations/012_vehicle_maintenance.sql
+-- Maintenance records with next-due thresholds, and vehicle odometers
+
+-- Kept up to date from the GPS distance of completed trips and corrected by
+-- readings logged with maintenance
+ALTER TABLE vehicles ADD COLUMN odometer_km DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- The latest record of each service type on a vehicle sets when that service
+-- is next due: at next_due_km on the odometer or on next_due_date, whichever
+-- comes first
+CREATE TABLE maintenance_records (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+    service_type VARCHAR(30) NOT NULL,
+    performed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    odometer_km DECIMAL(12,2) NOT NULL,
+    cost DECIMAL(10,2),
+    notes TEXT,
+    interval_km INTEGER CHECK (interval_km > 0),
+    interval_days INTEGER CHECK (interval_days > 0),
+    next_due_km DECIMAL(12,2),
+    next_due_date DATE,
+    recorded_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_maintenance_records_vehicle_type ON maintenance_records(vehicle_id, service_type, performed_at DESC);
+
+CREATE TRIGGER update_maintenance_records_updated_at BEFORE UPDATE ON maintenance_records FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,47 @@
+-- migrations/013_fleet_analytics.sql
+-- Precomputed fleet analytics, rebuilt per service day by utils/analytics.js
+
+-- One row per trip that has run, is running or should have run. outcome is
+-- the trip status, with scheduled or dispatched trips past their start time
+-- counted as not_run.
+CREATE TABLE analytics_trip_metrics (
+    trip_id UUID PRIMARY KEY REFERENCES trips(id) ON DELETE CASCADE,
+    service_date DATE NOT NULL,
+    route_id UUID NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+    vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL,
+    driver_id UUID REFERENCES drivers(id) ON DELETE SET NULL,
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('completed', 'active', 'cancelled', 'not_run')),
+    distance_km DECIMAL(10,2),
+    service_hours DECIMAL(8,2),
+    stops_observed INTEGER NOT NULL DEFAULT 0,
+    stops_on_time INTEGER NOT NULL DEFAULT 0,
+    stops_early INTEGER NOT NULL DEFAULT 0,
+    stops_late INTEGER NOT NULL DEFAULT 0,
+    stops_skipped INTEGER NOT NULL DEFAULT 0,
+    total_delay_seconds BIGINT NOT NULL DEFAULT 0,
+    peak_load INTEGER,
+    avg_load DECIMAL(8,2),
+    capacity INTEGER,
+    computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Stop visits of a route by service day and scheduled hour of arrival
+CREATE TABLE analytics_stop_punctuality (
+    service_date DATE NOT NULL,
+    route_id UUID NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+    bus_stop_id UUID NOT NULL REFERENCES bus_stops(id) ON DELETE CASCADE,
+    hour SMALLINT NOT NULL CHECK (hour BETWEEN 0 AND 23),
+    observations INTEGER NOT NULL,
+    on_time INTEGER NOT NULL,
+    early INTEGER NOT NULL,
+    late INTEGER NOT NULL,
+    skipped INTEGER NOT NULL,
+    total_delay_seconds BIGINT NOT NULL,
+    computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (service_date, route_id, bus_stop_id, hour)
+);
+
+CREATE INDEX idx_analytics_trip_metrics_date_route ON analytics_trip_metrics(service_date, route_id);
+CREATE INDEX idx_analytics_trip_metrics_vehicle ON analytics_trip_metrics(vehicle_id, service_date);
+CREATE INDEX idx_analytics_trip_metrics_driver ON analytics_trip_metrics(driver_id, service_date);
+CREATE INDEX idx_analytics_stop_punctuality_route ON analytics_stop_punctuality(route_id, service_date);
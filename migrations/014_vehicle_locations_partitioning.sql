@@ -0,0 +1,41 @@
+-- migrations/014_vehicle_locations_partitioning.sql
+-- vehicle_locations partitioned by day on timestamp. Daily partitions
+-- (vehicle_locations_pYYYYMMDD, UTC days) are created, downsampled and
+-- dropped by utils/locationPartitions.js. Fixes with no partition yet land in
+-- vehicle_locations_default, and the next partition run moves them out.
+-- The primary key has to include the partition key, so it is (id, timestamp).
+
+ALTER TABLE vehicle_locations RENAME TO vehicle_locations_unpartitioned;
+
+CREATE TABLE vehicle_locations (
+    id UUID NOT NULL DEFAULT uuid_generate_v4(),
+    vehicle_id UUID NOT NULL REFERENCES vehicles(id),
+    trip_id UUID REFERENCES trips(id),
+    location GEOGRAPHY(POINT, 4326) NOT NULL,
+    speed DECIMAL(5,2), -- km/h
+    heading INTEGER, -- 0-359 degrees
+    accuracy DECIMAL(8,2), -- GPS accuracy in meters
+    timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    raw_location GEOGRAPHY(POINT, 4326),
+    filter_status VARCHAR(20) DEFAULT 'accepted' CHECK (filter_status IN ('accepted', 'smoothed', 'snapped', 'rejected')),
+    filter_reason VARCHAR(50),
+    correction_distance DECIMAL(8,2), -- meters between raw and corrected
+    PRIMARY KEY (id, timestamp)
+) PARTITION BY RANGE (timestamp);
+
+CREATE TABLE vehicle_locations_default PARTITION OF vehicle_locations DEFAULT;
+
+-- Existing fixes go to the default partition until the first partition run
+INSERT INTO vehicle_locations (id, vehicle_id, trip_id, location, speed, heading, accuracy, timestamp, created_at,
+    raw_location, filter_status, filter_reason, correction_distance)
+SELECT id, vehicle_id, trip_id, location, speed, heading, accuracy, timestamp, created_at,
+    raw_location, filter_status, filter_reason, correction_distance
+FROM vehicle_locations_unpartitioned;
+
+DROP TABLE vehicle_locations_unpartitioned;
+
+CREATE INDEX idx_vehicle_locations_vehicle_time ON vehicle_locations(vehicle_id, timestamp DESC);
+CREATE INDEX idx_vehicle_locations_trip_time ON vehicle_locations(trip_id, timestamp) WHERE filter_status <> 'rejected';
+CREATE INDEX idx_vehicle_locations_timestamp ON vehicle_locations(timestamp);
+CREATE INDEX idx_vehicle_locations_location ON vehicle_locations USING GIST(location);
@@ -0,0 +1,25 @@
+-- migrations/015_tracker_devices.sql
+-- Fixed GPS trackers (AVL units) that report for a vehicle with an API key
+-- instead of a signed-in driver
+
+-- Only a SHA-256 hash of the API key is stored, and api_key_prefix holds its
+-- first characters so admins can tell keys apart
+CREATE TABLE tracker_devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    identifier VARCHAR(50) UNIQUE, -- IMEI or serial number, for reference
+    vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL,
+    api_key_hash CHAR(64) NOT NULL UNIQUE,
+    api_key_prefix VARCHAR(12) NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    last_seen_at TIMESTAMP WITH TIME ZONE,
+    last_protocol VARCHAR(20), -- http or the TCP protocol it last reported over
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Two trackers reporting for one vehicle would fight over its position
+CREATE UNIQUE INDEX idx_tracker_devices_vehicle ON tracker_devices(vehicle_id) WHERE is_active = true AND vehicle_id IS NOT NULL;
+
+CREATE TRIGGER update_tracker_devices_updated_at BEFORE UPDATE ON tracker_devices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
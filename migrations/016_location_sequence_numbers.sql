@@ -0,0 +1,5 @@
+-- migrations/016_location_sequence_numbers.sql
+-- The driver app numbers each fix per vehicle so it can replay fixes queued
+-- while offline without duplicates, and the number is kept for tracing gaps
+
+ALTER TABLE vehicle_locations ADD COLUMN sequence_number BIGINT;
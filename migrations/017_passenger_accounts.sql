@@ -0,0 +1,34 @@
+-- migrations/017_passenger_accounts.sql
+-- Passenger self-registration with email verification, and passengers'
+-- favourite stops and routes
+
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- Accounts created before sign-up existed were made by admins or seeded
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+-- Only a SHA-256 hash of the emailed token is stored
+CREATE TABLE email_verifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_verifications_user ON email_verifications(user_id);
+
+CREATE TABLE favourite_stops (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    stop_id UUID NOT NULL REFERENCES bus_stops(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, stop_id)
+);
+
+CREATE TABLE favourite_routes (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    route_id UUID NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, route_id)
+);
@@ -0,0 +1,174 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { body, param, query } = require('express-validator');
+const { authenticateToken, authorizeRoles, handleValidationErrors } = require('../middleware/auth');
+const { broadcastAlert } = require('../utils/alerts');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const ALERT_TYPES = ['delay', 'breakdown', 'route_change', 'maintenance'];
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+const MAX_LIMIT = 500;
+
+// An alert counts as active until it is resolved or its expiry passes, even if
+// the sweeper has not deactivated it yet
+const ACTIVE_CONDITION = 'a.is_active = true AND (a.expires_at IS NULL OR a.expires_at > NOW())';
+
+const idValidation = [
+  param('id').isUUID().withMessage('Valid alert id is required'),
+];
+
+const alertValidation = (isUpdate) => {
+  const optional = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optional(body('type')).isIn(ALERT_TYPES).withMessage(`type must be one of ${ALERT_TYPES.join(', ')}`),
+    optional(body('title')).isString().trim().isLength({ min: 3, max: 200 }).withMessage('Title must be 3-200 characters'),
+    optional(body('message')).isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
+    body('severity').optional().isIn(SEVERITIES).withMessage(`severity must be one of ${SEVERITIES.join(', ')}`),
+    body('routeId').optional({ nullable: true }).isUUID().withMessage('routeId must be a valid id'),
+    body('vehicleId').optional({ nullable: true }).isUUID().withMessage('vehicleId must be a valid id'),
+    body('tripId').optional({ nullable: true }).isUUID().withMessage('tripId must be a valid id'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be an ISO 8601 date-time')
+      .custom(value => new Date(value).getTime() > Date.now()).withMessage('expiresAt must be in the future'),
+  ];
+};
+
+const listValidation = [
+  query('routeId').optional().isUUID().withMessage('routeId must be a valid id'),
+  query('vehicleId').optional().isUUID().withMessage('vehicleId must be a valid id'),
+  query('tripId').optional().isUUID().withMessage('tripId must be a valid id'),
+  query('severity').optional().custom(value => value.split(',').every(severity => SEVERITIES.includes(severity)))
+    .withMessage(`severity must be a comma-separated list of ${SEVERITIES.join(', ')}`),
+  query('type').optional().isIn(ALERT_TYPES).withMessage(`type must be one of ${ALERT_TYPES.join(', ')}`),
+  query('active').optional().isBoolean().withMessage('active must be true or false'),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be 1-${MAX_LIMIT}`),
+];
+
+// Referenced route, vehicle or trip does not exist
+const isMissingReference = (error) => error.code === '23503';
+
+router.get('/', listValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { routeId, vehicleId, tripId, severity, type, active } = req.query;
+    const result = await pool.query(
+      `SELECT a.*
+       FROM alerts a
+       WHERE ($1::uuid IS NULL OR a.route_id = $1)
+         AND ($2::uuid IS NULL OR a.vehicle_id = $2)
+         AND ($3::uuid IS NULL OR a.trip_id = $3)
+         AND ($4::text[] IS NULL OR a.severity = ANY($4))
+         AND ($5::text IS NULL OR a.type = $5)
+         AND ($6::boolean IS NULL OR (${ACTIVE_CONDITION}) = $6)
+       ORDER BY a.created_at DESC
+       LIMIT $7`,
+      [routeId || null, vehicleId || null, tripId || null, severity ? severity.split(',') : null, type || null,
+        active === undefined ? null : active === 'true', req.query.limit ? parseInt(req.query.limit, 10) : 100]
+    );
+    res.json({ alerts: result.rows });
+  } catch (error) {
+    logger.error('Alerts fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+router.get('/:id', idValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT a.* FROM alerts a WHERE a.id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Alert not found' });
+    res.json({ alert: result.rows[0] });
+  } catch (error) {
+    logger.error('Alert fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch alert' });
+  }
+});
+
+router.post('/', authenticateToken, authorizeRoles('admin'), alertValidation(false), handleValidationErrors, async (req, res) => {
+  try {
+    const { type, title, message, severity, routeId, vehicleId, tripId, expiresAt } = req.body;
+    const result = await pool.query(
+      `INSERT INTO alerts (type, title, message, severity, route_id, vehicle_id, trip_id, expires_at, created_by, source)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'manual')
+       RETURNING *`,
+      [type, title, message, severity || 'info', routeId || null, vehicleId || null, tripId || null, expiresAt || null, req.user.userId]
+    );
+    const alert = result.rows[0];
+    broadcastAlert(req.app.get('io'), alert);
+    logger.info('Alert created', { alertId: alert.id, createdBy: req.user.userId });
+    res.status(201).json({ alert });
+  } catch (error) {
+    if (isMissingReference(error)) return res.status(400).json({ error: 'Referenced route, vehicle or trip not found', code: 'VALIDATION_ERROR' });
+    logger.error('Alert create error:', error);
+    res.status(500).json({ error: 'Failed to create alert' });
+  }
+});
+
+router.put('/:id', authenticateToken, authorizeRoles('admin'), idValidation, alertValidation(true), handleValidationErrors, async (req, res) => {
+  try {
+    const { type, title, message, severity, routeId, vehicleId, tripId, expiresAt } = req.body;
+    const result = await pool.query(
+      `UPDATE alerts SET
+         type = COALESCE($2, type),
+         title = COALESCE($3, title),
+         message = COALESCE($4, message),
+         severity = COALESCE($5, severity),
+         route_id = CASE WHEN $6::boolean THEN $7::uuid ELSE route_id END,
+         vehicle_id = CASE WHEN $8::boolean THEN $9::uuid ELSE vehicle_id END,
+         trip_id = CASE WHEN $10::boolean THEN $11::uuid ELSE trip_id END,
+         expires_at = CASE WHEN $12::boolean THEN $13::timestamptz ELSE expires_at END
+       WHERE id = $1 AND is_active = true
+       RETURNING *`,
+      [req.params.id, type, title, message, severity, routeId !== undefined, routeId || null, vehicleId !== undefined, vehicleId || null,
+        tripId !== undefined, tripId || null, expiresAt !== undefined, expiresAt || null]
+    );
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT id FROM alerts WHERE id = $1', [req.params.id]);
+      if (exists.rows.length === 0) return res.status(404).json({ error: 'Alert not found' });
+      return res.status(409).json({ error: 'Alert is no longer active', code: 'ALERT_CLOSED' });
+    }
+    const alert = result.rows[0];
+    broadcastAlert(req.app.get('io'), alert);
+    logger.info('Alert updated', { alertId: alert.id, updatedBy: req.user.userId });
+    res.json({ alert });
+  } catch (error) {
+    if (isMissingReference(error)) return res.status(400).json({ error: 'Referenced route, vehicle or trip not found', code: 'VALIDATION_ERROR' });
+    logger.error('Alert update error:', error);
+    res.status(500).json({ error: 'Failed to update alert' });
+  }
+});
+
+// Closes an open alert, either as resolved (the problem is over) or as expired
+// (the notice simply ends now); both push the closed alert to subscribers
+const closeAlert = (action) => async (req, res) => {
+  try {
+    const result = action === 'resolve'
+      ? await pool.query(
+        `UPDATE alerts SET is_active = false, resolved_at = NOW(), resolved_by = $2
+         WHERE id = $1 AND is_active = true RETURNING *`,
+        [req.params.id, req.user.userId]
+      )
+      : await pool.query(
+        `UPDATE alerts SET is_active = false, expires_at = LEAST(COALESCE(expires_at, NOW()), NOW())
+         WHERE id = $1 AND is_active = true RETURNING *`,
+        [req.params.id]
+      );
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT id FROM alerts WHERE id = $1', [req.params.id]);
+      if (exists.rows.length === 0) return res.status(404).json({ error: 'Alert not found' });
+      return res.status(409).json({ error: 'Alert is no longer active', code: 'ALERT_CLOSED' });
+    }
+    const alert = result.rows[0];
+    broadcastAlert(req.app.get('io'), alert);
+    logger.info(`Alert ${action === 'resolve' ? 'resolved' : 'expired'}`, { alertId: alert.id, by: req.user.userId });
+    res.json({ alert });
+  } catch (error) {
+    logger.error(`Alert ${action} error:`, error);
+    res.status(500).json({ error: `Failed to ${action} alert` });
+  }
+};
+
+router.post('/:id/resolve', authenticateToken, authorizeRoles('admin'), idValidation, handleValidationErrors, closeAlert('resolve'));
+router.post('/:id/expire', authenticateToken, authorizeRoles('admin'), idValidation, handleValidationErrors, closeAlert('expire'));
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { body, query } = require('express-validator');
+const { authenticateToken, authorizeRoles, handleValidationErrors } = require('../middleware/auth');
+const { ON_TIME_EARLY_SECONDS, ON_TIME_LATE_SECONDS, refreshAnalytics } = require('../utils/analytics');
+const { serviceToday } = require('../utils/timetable');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+const MAX_REFRESH_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ON_TIME_GROUPS = {
+  route: {
+    columns: 'p.route_id, r.name AS route_name',
+    joins: 'JOIN routes r ON r.id = p.route_id',
+    groupBy: 'p.route_id, r.name',
+    orderBy: 'r.name'
+  },
+  stop: {
+    columns: 'p.route_id, r.name AS route_name, p.bus_stop_id, bs.name AS stop_name',
+    joins: 'JOIN routes r ON r.id = p.route_id JOIN bus_stops bs ON bs.id = p.bus_stop_id',
+    groupBy: 'p.route_id, r.name, p.bus_stop_id, bs.name',
+    orderBy: 'r.name, bs.name'
+  },
+  hour: { columns: 'p.hour', joins: '', groupBy: 'p.hour', orderBy: 'p.hour' }
+};
+
+const percent = (part, whole) => `ROUND((100.0 * ${part} / NULLIF(${whole}, 0))::numeric, 1)::float8`;
+
+const rangeValidation = [
+  query('from').optional().isISO8601({ strict: true }).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().isISO8601({ strict: true }).withMessage('to must be YYYY-MM-DD'),
+  query('routeId').optional().isUUID().withMessage('routeId must be a valid id'),
+];
+
+const addDays = (isoDate, days) => new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// Service days from..to (inclusive), by default the last week, and the route
+// filter. Returns null after answering the request if the range is invalid.
+const readRange = (req, res) => {
+  const to = req.query.to || serviceToday();
+  const from = req.query.from || addDays(to, 1 - DEFAULT_RANGE_DAYS);
+  const days = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+  if (days < 1 || days > MAX_RANGE_DAYS) {
+    res.status(400).json({ error: `from..to must cover 1-${MAX_RANGE_DAYS} days`, code: 'VALIDATION_ERROR' });
+    return null;
+  }
+  return { from, to, days, routeId: req.query.routeId || null };
+};
+
+const RANGE_FILTER = 'm.service_date BETWEEN $1 AND $2 AND ($3::uuid IS NULL OR m.route_id = $3)';
+
+// When the newest figures in the range were computed, so dashboards can show staleness
+const refreshedAt = async ({ from, to, routeId }) => {
+  const result = await pool.query(`SELECT MAX(m.computed_at) AS refreshed_at FROM analytics_trip_metrics m WHERE ${RANGE_FILTER}`, [from, to, routeId]);
+  return result.rows[0].refreshed_at;
+};
+
+// Runs an analytics query for the request's range and answers with its rows
+// under `key`. The query gets $1/$2 (from/to) and $3 (routeId).
+const analyticsHandler = (key, buildSql, label) => async (req, res) => {
+  const range = readRange(req, res);
+  if (!range) return;
+  try {
+    const [rows, computedAt] = await Promise.all([
+      pool.query(buildSql(req, range), [range.from, range.to, range.routeId]),
+      refreshedAt(range)
+    ]);
+    res.json({ from: range.from, to: range.to, routeId: range.routeId, refreshedAt: computedAt, [key]: rows.rows });
+  } catch (error) {
+    logger.error(`Analytics ${label} error:`, error);
+    res.status(500).json({ error: `Failed to fetch ${label}` });
+  }
+};
+
+// Share of stop arrivals on time (no more than ON_TIME_EARLY_SECONDS early or
+// ON_TIME_LATE_SECONDS late), by route, stop or scheduled hour
+router.get('/on-time', authenticateToken, authorizeRoles('admin'), [
+  ...rangeValidation,
+  query('groupBy').optional().isIn(Object.keys(ON_TIME_GROUPS)).withMessage(`groupBy must be one of ${Object.keys(ON_TIME_GROUPS).join(', ')}`),
+], handleValidationErrors, analyticsHandler('performance', (req) => {
+  const group = ON_TIME_GROUPS[req.query.groupBy || 'route'];
+  return `
+    SELECT ${group.columns},
+           SUM(p.observations)::int AS observations,
+           SUM(p.skipped)::int AS skipped,
+           ${percent('SUM(p.on_time)', 'SUM(p.observations)')} AS on_time_pct,
+           ${percent('SUM(p.early)', 'SUM(p.observations)')} AS early_pct,
+           ${percent('SUM(p.late)', 'SUM(p.observations)')} AS late_pct,
+           ROUND((SUM(p.total_delay_seconds)::numeric / NULLIF(SUM(p.observations), 0)), 0)::int AS avg_delay_seconds,
+           ${ON_TIME_EARLY_SECONDS} AS early_limit_seconds,
+           ${ON_TIME_LATE_SECONDS} AS late_limit_seconds
+    FROM analytics_stop_punctuality p
+    ${group.joins}
+    WHERE p.service_date BETWEEN $1 AND $2 AND ($3::uuid IS NULL OR p.route_id = $3)
+    GROUP BY ${group.groupBy}
+    ORDER BY ${group.orderBy}`;
+}, 'on-time performance'));
+
+// Kilometres and hours each vehicle spent on completed trips
+router.get('/utilisation', authenticateToken, authorizeRoles('admin'), rangeValidation, handleValidationErrors, analyticsHandler('vehicles', (req, range) => `
+  SELECT m.vehicle_id, v.registration_number, v.status,
+         COUNT(*) FILTER (WHERE m.outcome = 'completed')::int AS trips_completed,
+         COALESCE(SUM(m.distance_km) FILTER (WHERE m.outcome = 'completed'), 0)::float8 AS distance_km,
+         COALESCE(SUM(m.service_hours), 0)::float8 AS service_hours,
+         COUNT(DISTINCT m.service_date) FILTER (WHERE m.outcome = 'completed')::int AS days_in_service,
+         ROUND((COALESCE(SUM(m.service_hours), 0) / ${range.days})::numeric, 2)::float8 AS service_hours_per_day
+  FROM analytics_trip_metrics m
+  JOIN vehicles v ON v.id = m.vehicle_id
+  WHERE ${RANGE_FILTER}
+  GROUP BY m.vehicle_id, v.registration_number, v.status
+  ORDER BY distance_km DESC`, 'vehicle utilisation'));
+
+router.get('/drivers', authenticateToken, authorizeRoles('admin'), rangeValidation, handleValidationErrors, analyticsHandler('drivers', () => `
+  SELECT m.driver_id, u.name AS driver_name,
+         COUNT(*) FILTER (WHERE m.outcome = 'completed')::int AS trips_completed,
+         COUNT(*) FILTER (WHERE m.outcome = 'cancelled')::int AS trips_cancelled,
+         COUNT(*) FILTER (WHERE m.outcome = 'not_run')::int AS trips_not_run,
+         COALESCE(SUM(m.distance_km) FILTER (WHERE m.outcome = 'completed'), 0)::float8 AS distance_km,
+         COALESCE(SUM(m.service_hours), 0)::float8 AS service_hours,
+         ${percent('SUM(m.stops_on_time)', 'SUM(m.stops_observed)')} AS on_time_pct
+  FROM analytics_trip_metrics m
+  JOIN drivers d ON d.id = m.driver_id
+  JOIN users u ON u.id = d.user_id
+  WHERE ${RANGE_FILTER}
+  GROUP BY m.driver_id, u.name
+  ORDER BY trips_completed DESC, u.name`, 'driver trip counts'));
+
+// Passengers on board against vehicle capacity, for trips with passenger counts
+router.get('/load', authenticateToken, authorizeRoles('admin'), rangeValidation, handleValidationErrors, analyticsHandler('routes', () => `
+  SELECT m.route_id, r.name AS route_name,
+         COUNT(*)::int AS trips_counted,
+         ROUND(AVG(m.avg_load), 1)::float8 AS avg_load,
+         ROUND(AVG(m.peak_load), 1)::float8 AS avg_peak_load,
+         MAX(m.peak_load) AS peak_load,
+         ROUND(100 * AVG(m.peak_load::numeric / NULLIF(m.capacity, 0)), 1)::float8 AS avg_peak_load_factor_pct,
+         ROUND(100 * MAX(m.peak_load::numeric / NULLIF(m.capacity, 0)), 1)::float8 AS max_load_factor_pct,
+         COUNT(*) FILTER (WHERE m.peak_load > m.capacity)::int AS trips_over_capacity
+  FROM analytics_trip_metrics m
+  JOIN routes r ON r.id = m.route_id
+  WHERE ${RANGE_FILTER} AND m.peak_load IS NOT NULL
+  GROUP BY m.route_id, r.name
+  ORDER BY avg_peak_load_factor_pct DESC NULLS LAST`, 'passenger load'));
+
+// Share of trips cancelled or never run, by route, with the common reasons
+router.get('/cancellations', authenticateToken, authorizeRoles('admin'), rangeValidation, handleValidationErrors, async (req, res) => {
+  const range = readRange(req, res);
+  if (!range) return;
+  try {
+    const params = [range.from, range.to, range.routeId];
+    const [routes, reasons, computedAt] = await Promise.all([
+      pool.query(
+        `SELECT m.route_id, r.name AS route_name,
+                COUNT(*)::int AS trips,
+                COUNT(*) FILTER (WHERE m.outcome = 'completed')::int AS completed,
+                COUNT(*) FILTER (WHERE m.outcome = 'cancelled')::int AS cancelled,
+                COUNT(*) FILTER (WHERE m.outcome = 'not_run')::int AS not_run,
+                ${percent("COUNT(*) FILTER (WHERE m.outcome = 'cancelled')", 'COUNT(*)')} AS cancellation_rate_pct,
+                ${percent("COUNT(*) FILTER (WHERE m.outcome = 'not_run')", 'COUNT(*)')} AS not_run_rate_pct
+         FROM analytics_trip_metrics m
+         JOIN routes r ON r.id = m.route_id
+         WHERE ${RANGE_FILTER}
+         GROUP BY m.route_id, r.name
+         ORDER BY cancellation_rate_pct DESC NULLS LAST, r.name`,
+        params
+      ),
+      pool.query(
+        `SELECT COALESCE(t.cancellation_reason, 'No reason given') AS reason, COUNT(*)::int AS trips
+         FROM analytics_trip_metrics m
+         JOIN trips t ON t.id = m.trip_id
+         WHERE ${RANGE_FILTER} AND m.outcome = 'cancelled'
+         GROUP BY 1
+         ORDER BY trips DESC
+         LIMIT 10`,
+        params
+      ),
+      refreshedAt(range)
+    ]);
+    res.json({ from: range.from, to: range.to, routeId: range.routeId, refreshedAt: computedAt, routes: routes.rows, reasons: reasons.rows });
+  } catch (error) {
+    logger.error('Analytics cancellations error:', error);
+    res.status(500).json({ error: 'Failed to fetch cancellations' });
+  }
+});
+
+// Rebuilds the precomputed figures for `days` service days from `from`
+router.post('/refresh', authenticateToken, authorizeRoles('admin'), [
+  body('from').optional().isISO8601({ strict: true }).withMessage('from must be YYYY-MM-DD'),
+  body('days').optional().isInt({ min: 1, max: MAX_REFRESH_DAYS }).withMessage(`days must be 1-${MAX_REFRESH_DAYS}`),
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const options = { from: req.body.from || serviceToday(), days: req.body.days ? parseInt(req.body.days, 10) : 1 };
+    await client.query('BEGIN');
+    const report = await refreshAnalytics(client, options);
+    await client.query('COMMIT');
+    logger.info('Analytics refreshed', { ...report, by: req.user.userId });
+    res.json(report);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Analytics refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh analytics' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
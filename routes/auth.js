@@ -1,18 +1,21 @@
 const express = require('express');
 const { Pool } = require('pg');
-const jwt = require('jsonwebtoken');
 const router = express.Router();
 const {
-  generateToken,
   authenticateToken,
   authorizeRoles,
   authLimiter,
   loginValidation,
   registerDriverValidation,
+  registerPassengerValidation,
+  verifyEmailValidation,
+  resendVerificationValidation,
   handleValidationErrors,
   hashPassword,
   comparePassword
 } = require('../middleware/auth');
+const { createSession, refreshSession, endSession, endUserSessions } = require('../utils/authSessions');
+const { sendVerificationEmail, verifyEmailToken } = require('../utils/emailVerification');
 const { logger } = require('../utils/logger');
 
 const pool = new Pool({
@@ -27,7 +30,7 @@ router.post('/login',
     try {
       const { email, password } = req.body;
       const userQuery = `
-        SELECT id, email, password_hash, role, name, is_active, created_at
+        SELECT id, email, password_hash, role, name, is_active, email_verified_at, created_at
         FROM users 
         WHERE email = $1 AND is_active = true
       `;
@@ -40,9 +43,11 @@ router.post('/login',
       if (!isPasswordValid) {
         return res.status(401).json({ error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
       }
+      if (user.role === 'passenger' && !user.email_verified_at) {
+        return res.status(403).json({ error: 'Email address not verified', code: 'EMAIL_NOT_VERIFIED' });
+      }
       const tokenPayload = { userId: user.id, email: user.email, role: user.role, name: user.name };
-      const token = generateToken(tokenPayload);
-      const refreshToken = generateToken(tokenPayload, '7d');
+      const { token, refreshToken } = await createSession(tokenPayload);
       await pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
       logger.info(`User login successful`, { userId: user.id, email: user.email, role: user.role, ip: req.ip });
       res.json({
@@ -74,8 +79,8 @@ router.post('/register-driver',
       }
       const passwordHash = await hashPassword(password);
       const userQuery = `
-        INSERT INTO users (email, password_hash, role, name, phone, is_active, created_at)
-        VALUES ($1, $2, $3, $4, $5, true, NOW())
+        INSERT INTO users (email, password_hash, role, name, phone, is_active, email_verified_at, created_at)
+        VALUES ($1, $2, $3, $4, $5, true, NOW(), NOW())
         RETURNING id, email, name, role, created_at
       `;
       const userResult = await client.query(userQuery, [email, passwordHash, 'driver', name, phone]);
@@ -105,18 +110,101 @@ router.post('/register-driver',
   }
 );
 
+// Passenger sign-up. The account can log in once its email is verified.
+router.post('/register',
+  authLimiter,
+  registerPassengerValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { email, password, name, phone } = req.body;
+      const passwordHash = await hashPassword(password);
+      const userQuery = `
+        INSERT INTO users (email, password_hash, role, name, phone, is_active, created_at)
+        VALUES ($1, $2, 'passenger', $3, $4, true, NOW())
+        RETURNING id, email, name, role, created_at
+      `;
+      const userResult = await pool.query(userQuery, [email, passwordHash, name, phone || null]);
+      const newUser = userResult.rows[0];
+      logger.info(`Passenger registered`, { userId: newUser.id, email: newUser.email, ip: req.ip });
+      try {
+        await sendVerificationEmail(pool, newUser);
+      } catch (error) {
+        // The account stands; the passenger can ask for the email again
+        logger.error('Verification email error:', error);
+      }
+      res.status(201).json({
+        message: 'Registration successful; check your email to verify your account',
+        user: { id: newUser.id, email: newUser.email, name: newUser.name, role: newUser.role, createdAt: newUser.created_at }
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'User already exists', code: 'USER_EXISTS' });
+      }
+      logger.error('Passenger registration error:', error);
+      res.status(500).json({ error: 'Internal server error', code: 'SERVER_ERROR' });
+    }
+  }
+);
+
+router.post('/verify-email',
+  verifyEmailValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const user = await verifyEmailToken(pool, req.body.token);
+      if (!user) {
+        return res.status(400).json({ error: 'Invalid or expired verification token', code: 'INVALID_VERIFICATION_TOKEN' });
+      }
+      logger.info(`Email verified`, { userId: user.id, email: user.email });
+      res.json({ message: 'Email verified; you can now log in' });
+    } catch (error) {
+      logger.error('Email verification error:', error);
+      res.status(500).json({ error: 'Internal server error', code: 'SERVER_ERROR' });
+    }
+  }
+);
+
+// Answers the same whether or not the address has an unverified account, so
+// it can't be used to discover accounts
+router.post('/resend-verification',
+  authLimiter,
+  resendVerificationValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT id, email, name FROM users
+         WHERE email = $1 AND role = 'passenger' AND is_active = true AND email_verified_at IS NULL`,
+        [req.body.email]
+      );
+      if (result.rows.length > 0) await sendVerificationEmail(pool, result.rows[0]);
+      res.json({ message: 'If the account exists and is unverified, a new verification email has been sent' });
+    } catch (error) {
+      logger.error('Resend verification error:', error);
+      res.status(500).json({ error: 'Internal server error', code: 'SERVER_ERROR' });
+    }
+  }
+);
+
 router.post('/refresh', async (req, res) => {
   try {
     const { refreshToken } = req.body;
     if (!refreshToken) {
       return res.status(401).json({ error: 'Refresh token required', code: 'MISSING_REFRESH_TOKEN' });
     }
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    const newToken = generateToken({ userId: decoded.userId, email: decoded.email, role: decoded.role, name: decoded.name });
-    res.json({ message: 'Token refreshed', token: newToken });
+    // The refresh token is single-use: the response carries its replacement
+    const tokens = await refreshSession(req.app.get('io'), refreshToken);
+    res.json({ message: 'Token refreshed', ...tokens });
   } catch (error) {
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
+      return res.status(403).json({ error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' });
+    }
+    if (error.code === 'TOKEN_REVOKED' || error.code === 'REFRESH_TOKEN_REUSED') {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
     logger.error('Token refresh error:', error);
-    res.status(403).json({ error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' });
+    res.status(500).json({ error: 'Internal server error', code: 'SERVER_ERROR' });
   }
 });
 
@@ -147,9 +235,29 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/logout', authenticateToken, (req, res) => {
-  logger.info(`User logout`, { userId: req.user.userId, email: req.user.email });
-  res.json({ message: 'Logout successful' });
+// Ends this session: its access and refresh tokens stop working and its
+// sockets are disconnected
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await endSession(req.app.get('io'), req.user.sid);
+    logger.info(`User logout`, { userId: req.user.userId, email: req.user.email });
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error', code: 'SERVER_ERROR' });
+  }
+});
+
+// Ends every session of the user, on every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await endUserSessions(req.app.get('io'), req.user.userId);
+    logger.info(`User logout from all sessions`, { userId: req.user.userId, email: req.user.email });
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    logger.error('Logout-all error:', error);
+    res.status(500).json({ error: 'Internal server error', code: 'SERVER_ERROR' });
+  }
 });
 
 module.exports = router;
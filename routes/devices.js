@@ -0,0 +1,105 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { body } = require('express-validator');
+const { authenticateToken, authorizeRoles, handleValidationErrors } = require('../middleware/auth');
+const { generateApiKey } = require('../utils/devices');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+// Everything but the key hash
+const DEVICE_COLUMNS = `d.id, d.name, d.identifier, d.vehicle_id, d.api_key_prefix, d.is_active, d.last_seen_at, d.last_protocol,
+  d.created_by, d.created_at, d.updated_at`;
+
+const deviceValidation = (creating) => [
+  (creating ? body('name') : body('name').optional()).trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1-100 characters'),
+  body('identifier').optional({ nullable: true }).trim().isLength({ min: 1, max: 50 }).withMessage('identifier must be 1-50 characters'),
+  body('vehicleId').optional({ nullable: true }).isUUID().withMessage('vehicleId must be a valid id'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+];
+
+// Answers the request for a duplicate identifier, a vehicle that already has
+// a tracker or a vehicle that doesn't exist, if the error is one of those
+const sendDeviceError = (res, error) => {
+  if (error.code === '23505' && error.constraint === 'idx_tracker_devices_vehicle') {
+    return res.status(409).json({ error: 'The vehicle already has an active tracker', code: 'RESOURCE_BUSY' });
+  }
+  if (error.code === '23505') return res.status(409).json({ error: 'A tracker with this identifier already exists', code: 'DUPLICATE_DEVICE' });
+  if (error.code === '23503') return res.status(400).json({ error: 'Vehicle not found', code: 'VALIDATION_ERROR' });
+  return null;
+};
+
+router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${DEVICE_COLUMNS}, v.registration_number
+       FROM tracker_devices d
+       LEFT JOIN vehicles v ON v.id = d.vehicle_id
+       ORDER BY d.name`
+    );
+    res.json({ devices: result.rows });
+  } catch (error) {
+    logger.error('Tracker devices fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch devices' });
+  }
+});
+
+// Registers a tracker. The API key is only ever returned here and by rotate-key.
+router.post('/', authenticateToken, authorizeRoles('admin'), deviceValidation(true), handleValidationErrors, async (req, res) => {
+  try {
+    const { name, identifier, vehicleId } = req.body;
+    const key = generateApiKey();
+    const result = await pool.query(
+      `INSERT INTO tracker_devices AS d (name, identifier, vehicle_id, api_key_hash, api_key_prefix, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${DEVICE_COLUMNS}`,
+      [name, identifier || null, vehicleId || null, key.hash, key.prefix, req.user.userId]
+    );
+    logger.info('Tracker registered', { deviceId: result.rows[0].id, vehicleId: vehicleId || null, by: req.user.userId });
+    res.status(201).json({ device: result.rows[0], apiKey: key.apiKey });
+  } catch (error) {
+    if (sendDeviceError(res, error)) return;
+    logger.error('Tracker registration error:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// Renames, moves to another vehicle (null to unassign), or (de)activates a tracker
+router.put('/:id', authenticateToken, authorizeRoles('admin'), deviceValidation(false), handleValidationErrors, async (req, res) => {
+  try {
+    const { name, identifier, vehicleId, isActive } = req.body;
+    const result = await pool.query(
+      `UPDATE tracker_devices AS d SET name = COALESCE($2, name),
+              identifier = CASE WHEN $3::boolean THEN $4 ELSE identifier END,
+              vehicle_id = CASE WHEN $5::boolean THEN $6::uuid ELSE vehicle_id END,
+              is_active = COALESCE($7, is_active)
+       WHERE id = $1 RETURNING ${DEVICE_COLUMNS}`,
+      [req.params.id, name ?? null, identifier !== undefined, identifier || null, vehicleId !== undefined, vehicleId || null, isActive ?? null]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Device not found' });
+    res.json({ device: result.rows[0] });
+  } catch (error) {
+    if (sendDeviceError(res, error)) return;
+    logger.error('Tracker update error:', error);
+    res.status(500).json({ error: 'Failed to update device' });
+  }
+});
+
+// Issues a new API key; the old one stops working at once
+router.post('/:id/rotate-key', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const key = generateApiKey();
+    const result = await pool.query(
+      `UPDATE tracker_devices AS d SET api_key_hash = $2, api_key_prefix = $3 WHERE id = $1 RETURNING ${DEVICE_COLUMNS}`,
+      [req.params.id, key.hash, key.prefix]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Device not found' });
+    logger.info('Tracker API key rotated', { deviceId: req.params.id, by: req.user.userId });
+    res.json({ device: result.rows[0], apiKey: key.apiKey });
+  } catch (error) {
+    logger.error('Tracker key rotation error:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const { Pool } = require('pg');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { endUserSessions } = require('../utils/authSessions');
+const { logger } = require('../utils/logger');
 const router = express.Router();
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
@@ -17,5 +19,20 @@ router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) =>
   }
 });
 
+// Logs the driver out everywhere: their tokens are revoked and their app is
+// disconnected
+router.post('/:id/logout', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT user_id FROM drivers WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Driver not found' });
+    await endUserSessions(req.app.get('io'), result.rows[0].user_id);
+    logger.info('Driver logged out by admin', { driverId: req.params.id, by: req.user.userId });
+    res.json({ message: 'Driver logged out' });
+  } catch (error) {
+    logger.error('Driver logout error:', error);
+    res.status(500).json({ error: 'Failed to log out driver' });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,189 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { redisUtils } = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { writeZip } = require('../utils/zip');
+const gtfs = require('../utils/gtfs');
+const { stopOffsets } = require('../utils/schedule');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const TIMEZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+const EXPORT_DAYS = parseInt(process.env.GTFS_EXPORT_DAYS, 10) || 14;
+const AGENCY = {
+  agency_id: process.env.GTFS_AGENCY_ID || 'safar-sathi',
+  agency_name: process.env.GTFS_AGENCY_NAME || 'Safar Sathi',
+  agency_url: process.env.GTFS_AGENCY_URL || process.env.FRONTEND_URL || 'http://localhost:3000',
+  agency_timezone: TIMEZONE,
+  agency_lang: 'en'
+};
+
+// Changes whenever anything that ends up in the feed changes, including the
+// export window rolling over to a new day.
+const getFeedFingerprint = async () => {
+  const result = await pool.query(
+    `SELECT md5(concat_ws('|',
+       (NOW() AT TIME ZONE $1)::date,
+       (SELECT count(*) || ':' || COALESCE(max(updated_at)::text, '') FROM routes),
+       (SELECT count(*) || ':' || COALESCE(max(updated_at)::text, '') FROM bus_stops),
+       (SELECT count(*) || ':' || COALESCE(max(updated_at)::text, '') FROM route_shapes),
+       (SELECT md5(COALESCE(string_agg(route_id || ',' || bus_stop_id || ',' || stop_order || ',' || COALESCE(estimated_travel_time, 0), '/' ORDER BY route_id, stop_order), '')) FROM route_stops),
+       (SELECT count(*) || ':' || COALESCE(max(updated_at)::text, '') FROM trips)
+     )) AS fingerprint`,
+    [TIMEZONE]
+  );
+  return result.rows[0].fingerprint;
+};
+
+const buildFeed = async (fingerprint) => {
+  const [routesResult, stopsResult, routeStopsResult, shapesResult, tripsResult] = await Promise.all([
+    pool.query(
+      `SELECT id, name, short_name, description, color, text_color
+       FROM routes WHERE is_active = true ORDER BY name`
+    ),
+    pool.query(
+      `SELECT id, name, code, address, amenities,
+              ST_Y(location::geometry) AS latitude, ST_X(location::geometry) AS longitude
+       FROM bus_stops
+       WHERE is_active = true OR id IN (SELECT bus_stop_id FROM route_stops)
+       ORDER BY name`
+    ),
+    pool.query(
+      `SELECT rs.route_id, rs.bus_stop_id, rs.stop_order, rs.estimated_travel_time
+       FROM route_stops rs JOIN routes r ON r.id = rs.route_id AND r.is_active = true
+       ORDER BY rs.route_id, rs.stop_order`
+    ),
+    pool.query(
+      `SELECT rsh.route_id, rsh.direction, ST_AsGeoJSON(rsh.shape::geometry) AS geojson
+       FROM route_shapes rsh JOIN routes r ON r.id = rsh.route_id AND r.is_active = true`
+    ),
+    pool.query(
+      `SELECT t.id, t.route_id, t.direction, t.headsign,
+              to_char(svc.service_date, 'YYYYMMDD') AS service_date,
+              EXTRACT(EPOCH FROM (t.scheduled_start_time AT TIME ZONE $1) - svc.service_date::timestamp)::int AS start_seconds
+       FROM trips t
+       CROSS JOIN LATERAL (SELECT COALESCE(t.service_date, (t.scheduled_start_time AT TIME ZONE $1)::date) AS service_date) svc
+       JOIN routes r ON r.id = t.route_id AND r.is_active = true
+       WHERE t.status <> 'cancelled'
+         AND svc.service_date >= (NOW() AT TIME ZONE $1)::date
+         AND svc.service_date < (NOW() AT TIME ZONE $1)::date + $2::int
+       ORDER BY svc.service_date, t.scheduled_start_time`,
+      [TIMEZONE, EXPORT_DAYS]
+    )
+  ]);
+
+  const routeStops = new Map();
+  for (const row of routeStopsResult.rows) {
+    if (!routeStops.has(row.route_id)) routeStops.set(row.route_id, []);
+    routeStops.get(row.route_id).push(row);
+  }
+  const shapeIds = new Set();
+  const shapes = [];
+  for (const row of shapesResult.rows) {
+    const shapeId = `${row.route_id}_${row.direction}`;
+    shapeIds.add(shapeId);
+    JSON.parse(row.geojson).coordinates.forEach(([lng, lat], index) => {
+      shapes.push({ shape_id: shapeId, shape_pt_lat: lat, shape_pt_lon: lng, shape_pt_sequence: index + 1 });
+    });
+  }
+
+  const trips = [];
+  const stopTimes = [];
+  const serviceDates = new Set();
+  for (const trip of tripsResult.rows) {
+    const pattern = routeStops.get(trip.route_id);
+    if (!pattern || pattern.length < 2) continue;
+    const direction = trip.direction || 'forward';
+    const shapeId = `${trip.route_id}_${direction}`;
+    serviceDates.add(trip.service_date);
+    trips.push({
+      route_id: trip.route_id,
+      service_id: trip.service_date,
+      trip_id: trip.id,
+      trip_headsign: trip.headsign,
+      direction_id: gtfs.directionToGtfs(direction),
+      shape_id: shapeIds.has(shapeId) ? shapeId : null
+    });
+    stopOffsets(pattern, direction).forEach((stop, index) => {
+      const time = gtfs.formatGtfsTime(trip.start_seconds + stop.seconds);
+      stopTimes.push({ trip_id: trip.id, arrival_time: time, departure_time: time, stop_id: stop.stopId, stop_sequence: index + 1 });
+    });
+  }
+
+  const sortedDates = [...serviceDates].sort();
+  const files = [
+    { name: 'agency.txt', data: gtfs.toCsv(Object.keys(AGENCY), [AGENCY]) },
+    {
+      name: 'stops.txt',
+      data: gtfs.toCsv(['stop_id', 'stop_code', 'stop_name', 'stop_desc', 'stop_lat', 'stop_lon', 'wheelchair_boarding'], stopsResult.rows.map(stop => ({
+        stop_id: stop.id,
+        stop_code: stop.code,
+        stop_name: stop.name,
+        stop_desc: stop.address,
+        stop_lat: Number(stop.latitude).toFixed(6),
+        stop_lon: Number(stop.longitude).toFixed(6),
+        wheelchair_boarding: (stop.amenities || []).includes('wheelchair_accessible') ? 1 : 0
+      })))
+    },
+    {
+      name: 'routes.txt',
+      data: gtfs.toCsv(['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_desc', 'route_type', 'route_color', 'route_text_color'], routesResult.rows.map(route => ({
+        route_id: route.id,
+        agency_id: AGENCY.agency_id,
+        route_short_name: route.short_name,
+        route_long_name: route.name,
+        route_desc: route.description,
+        route_type: 3,
+        route_color: route.color ? route.color.replace('#', '').toUpperCase() : null,
+        route_text_color: route.text_color ? route.text_color.replace('#', '').toUpperCase() : null
+      })))
+    },
+    { name: 'trips.txt', data: gtfs.toCsv(['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id', 'shape_id'], trips) },
+    { name: 'stop_times.txt', data: gtfs.toCsv(['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'], stopTimes) },
+    // Trips are dated, so each service day is its own service_id
+    { name: 'calendar_dates.txt', data: gtfs.toCsv(['service_id', 'date', 'exception_type'], sortedDates.map(date => ({ service_id: date, date, exception_type: 1 }))) },
+    {
+      name: 'feed_info.txt',
+      data: gtfs.toCsv(['feed_publisher_name', 'feed_publisher_url', 'feed_lang', 'feed_start_date', 'feed_end_date', 'feed_version'], [{
+        feed_publisher_name: AGENCY.agency_name,
+        feed_publisher_url: AGENCY.agency_url,
+        feed_lang: 'en',
+        feed_start_date: sortedDates[0] || null,
+        feed_end_date: sortedDates[sortedDates.length - 1] || null,
+        feed_version: fingerprint.slice(0, 12)
+      }])
+    }
+  ];
+  if (shapes.length > 0) {
+    files.push({ name: 'shapes.txt', data: gtfs.toCsv(['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence'], shapes) });
+  }
+  return writeZip(files);
+};
+
+router.get('/static.zip', async (req, res) => {
+  try {
+    const fingerprint = await getFeedFingerprint();
+    const etag = `"${fingerprint}"`;
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+
+    let feed = await redisUtils.getCachedGtfsFeed(fingerprint);
+    if (!feed) {
+      feed = await buildFeed(fingerprint);
+      await redisUtils.cacheGtfsFeed(fingerprint, feed);
+      logger.info('GTFS static feed regenerated', { fingerprint, bytes: feed.length });
+    }
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': 'attachment; filename="gtfs.zip"',
+      ETag: etag,
+      'Cache-Control': 'public, max-age=300'
+    });
+    res.send(feed);
+  } catch (error) {
+    logger.error('GTFS static export error:', error);
+    res.status(500).json({ error: 'Failed to build GTFS feed' });
+  }
+});
+
+module.exports = router;
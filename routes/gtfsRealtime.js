@@ -0,0 +1,165 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { redisUtils } = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { formatGtfsTime, directionToGtfs } = require('../utils/gtfs');
+const { encodeFeedMessage, createFeedMessage, occupancyStatusFor } = require('../utils/gtfsRealtime');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const TIMEZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+
+const toEpochSeconds = (value) => {
+  const time = value ? new Date(value).getTime() : Date.now();
+  return Math.floor((Number.isNaN(time) ? Date.now() : time) / 1000);
+};
+
+// Trip descriptors use the same ids and service-day times as /api/gtfs/static.zip.
+const fetchTripDescriptors = async (tripIds) => {
+  if (tripIds.length === 0) return new Map();
+  const result = await pool.query(
+    `SELECT t.id, t.route_id, t.direction, t.status, t.passenger_count,
+            to_char(svc.service_date, 'YYYYMMDD') AS start_date,
+            EXTRACT(EPOCH FROM (t.scheduled_start_time AT TIME ZONE $2) - svc.service_date::timestamp)::int AS start_seconds
+     FROM trips t
+     CROSS JOIN LATERAL (SELECT COALESCE(t.service_date, (t.scheduled_start_time AT TIME ZONE $2)::date) AS service_date) svc
+     WHERE t.id = ANY($1::uuid[])`,
+    [tripIds, TIMEZONE]
+  );
+  return new Map(result.rows.map(row => [row.id, {
+    passengerCount: row.passenger_count,
+    descriptor: {
+      trip_id: row.id,
+      route_id: row.route_id,
+      direction_id: directionToGtfs(row.direction),
+      start_date: row.start_date,
+      start_time: formatGtfsTime(row.start_seconds),
+      schedule_relationship: row.status === 'cancelled' ? 'CANCELED' : 'SCHEDULED'
+    }
+  }]));
+};
+
+const fetchVehicles = async (vehicleIds) => {
+  if (vehicleIds.length === 0) return new Map();
+  const result = await pool.query('SELECT id, registration_number, capacity FROM vehicles WHERE id = ANY($1::uuid[])', [vehicleIds]);
+  return new Map(result.rows.map(row => [row.id, row]));
+};
+
+const vehicleDescriptor = (vehicleId, vehicles) => {
+  const vehicle = vehicles.get(vehicleId);
+  return { id: vehicleId, label: vehicle ? vehicle.registration_number : null, license_plate: vehicle ? vehicle.registration_number : null };
+};
+
+const buildVehiclePositions = async () => {
+  const locations = await redisUtils.getAllCachedVehicleLocations();
+  const [vehicles, trips] = await Promise.all([
+    fetchVehicles([...new Set(locations.map(l => l.vehicleId).filter(Boolean))]),
+    fetchTripDescriptors([...new Set(locations.map(l => l.tripId).filter(Boolean))])
+  ]);
+
+  const entities = locations.filter(l => l.vehicleId).map(location => {
+    const trip = location.tripId ? trips.get(location.tripId) : null;
+    const vehicle = vehicles.get(location.vehicleId);
+    return {
+      id: location.vehicleId,
+      vehicle: {
+        trip: trip ? trip.descriptor : null,
+        vehicle: vehicleDescriptor(location.vehicleId, vehicles),
+        position: {
+          latitude: Number(location.latitude),
+          longitude: Number(location.longitude),
+          bearing: location.heading === null || location.heading === undefined ? null : Number(location.heading),
+          // cached speed is km/h, GTFS-Realtime wants m/s
+          speed: location.speed === null || location.speed === undefined ? null : Number(location.speed) / 3.6
+        },
+        timestamp: toEpochSeconds(location.timestamp),
+        occupancy_status: trip && vehicle ? occupancyStatusFor(trip.passengerCount, vehicle.capacity) : null
+      }
+    };
+  });
+  return createFeedMessage(entities);
+};
+
+const buildTripUpdates = async () => {
+  const tripEtas = await redisUtils.getAllCachedTripETAs();
+  const cancelled = await pool.query(
+    `SELECT id FROM trips
+     WHERE status = 'cancelled'
+       AND COALESCE(service_date, (scheduled_start_time AT TIME ZONE $1)::date) = (NOW() AT TIME ZONE $1)::date`,
+    [TIMEZONE]
+  );
+  const cancelledIds = cancelled.rows.map(row => row.id);
+  const [vehicles, trips] = await Promise.all([
+    fetchVehicles([...new Set(tripEtas.map(t => t.vehicleId).filter(Boolean))]),
+    fetchTripDescriptors([...new Set([...tripEtas.map(t => t.tripId), ...cancelledIds])])
+  ]);
+
+  const entities = [];
+  for (const tripEta of tripEtas) {
+    const trip = trips.get(tripEta.tripId);
+    if (!trip || trip.descriptor.schedule_relationship === 'CANCELED') continue;
+    const calculatedAt = toEpochSeconds(tripEta.calculatedAt);
+    entities.push({
+      id: tripEta.tripId,
+      trip_update: {
+        trip: trip.descriptor,
+        vehicle: vehicleDescriptor(tripEta.vehicleId, vehicles),
+        timestamp: calculatedAt,
+        stop_time_update: (tripEta.etas || []).map(eta => ({
+          stop_id: eta.stopId,
+          arrival: { time: eta.arrivalTime ? toEpochSeconds(eta.arrivalTime) : calculatedAt + eta.eta * 60 },
+          schedule_relationship: 'SCHEDULED'
+        }))
+      }
+    });
+  }
+  for (const tripId of cancelledIds) {
+    const trip = trips.get(tripId);
+    if (trip) entities.push({ id: tripId, trip_update: { trip: trip.descriptor, timestamp: toEpochSeconds() } });
+  }
+  return createFeedMessage(entities);
+};
+
+const sendProtobuf = (res, feed) => {
+  res.set({ 'Content-Type': 'application/x-protobuf', 'Cache-Control': 'no-cache' });
+  res.send(encodeFeedMessage(feed));
+};
+
+router.get('/vehicle-positions', async (req, res) => {
+  try {
+    sendProtobuf(res, await buildVehiclePositions());
+  } catch (error) {
+    logger.error('GTFS-RT vehicle positions error:', error);
+    res.status(500).json({ error: 'Failed to build vehicle positions feed' });
+  }
+});
+
+router.get('/vehicle-positions.json', async (req, res) => {
+  try {
+    res.json(await buildVehiclePositions());
+  } catch (error) {
+    logger.error('GTFS-RT vehicle positions error:', error);
+    res.status(500).json({ error: 'Failed to build vehicle positions feed' });
+  }
+});
+
+router.get('/trip-updates', async (req, res) => {
+  try {
+    sendProtobuf(res, await buildTripUpdates());
+  } catch (error) {
+    logger.error('GTFS-RT trip updates error:', error);
+    res.status(500).json({ error: 'Failed to build trip updates feed' });
+  }
+});
+
+router.get('/trip-updates.json', async (req, res) => {
+  try {
+    res.json(await buildTripUpdates());
+  } catch (error) {
+    logger.error('GTFS-RT trip updates error:', error);
+    res.status(500).json({ error: 'Failed to build trip updates feed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/auth');
+const { findDeviceByKey, ingestPositions } = require('../utils/devices');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const MAX_BATCH = 500;
+
+// Trackers authenticate with their API key in the X-API-Key header
+const authenticateDevice = async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) return res.status(401).json({ error: 'API key required', code: 'MISSING_API_KEY' });
+  try {
+    const device = await findDeviceByKey(pool, apiKey);
+    if (!device) return res.status(403).json({ error: 'Invalid API key', code: 'INVALID_API_KEY' });
+    req.device = device;
+    next();
+  } catch (error) {
+    logger.error('Tracker authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate device' });
+  }
+};
+
+// A batch of positions from a tracker: { positions: [{ latitude, longitude,
+// timestamp, speed?, heading?, accuracy? }] }, speed in km/h. Positions that
+// can't be parsed are counted as invalid rather than failing the batch.
+router.post('/locations', authenticateDevice, [
+  body('positions').isArray({ min: 1, max: MAX_BATCH }).withMessage(`positions must be a list of 1-${MAX_BATCH} positions`),
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!req.device.vehicle_id) return res.status(409).json({ error: 'Device is not assigned to a vehicle', code: 'DEVICE_UNASSIGNED' });
+    const counts = await ingestPositions(pool, req.app.get('io'), req.device, req.body.positions, 'http');
+    res.status(202).json({ deviceId: req.device.id, vehicleId: req.device.vehicle_id, ...counts });
+  } catch (error) {
+    logger.error('Tracker location ingest error:', error);
+    res.status(500).json({ error: 'Failed to ingest locations' });
+  }
+});
+
+module.exports = router;
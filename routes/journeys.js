@@ -0,0 +1,311 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/auth');
+const { redisUtils } = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { stopOffsets } = require('../utils/schedule');
+const { planJourneys } = require('../utils/journeyPlanner');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const WALK_RADIUS = parseInt(process.env.JOURNEY_WALK_RADIUS, 10) || 800; // meters to/from a stop
+const TRANSFER_RADIUS = parseInt(process.env.JOURNEY_TRANSFER_RADIUS, 10) || 300; // meters between stops
+const WALK_SPEED = 1.25; // m/s
+const WALK_DETOUR_FACTOR = 1.3; // street distance vs straight line
+const SEARCH_WINDOW_HOURS = 4;
+const MAX_ACCESS_STOPS = 10;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const COORDINATE_PATTERN = /^\s*(-?\d+(\.\d+)?)\s*,\s*(-?\d+(\.\d+)?)\s*$/;
+
+const endpointValidator = (name) => query(name).custom((value) => {
+  if (UUID_PATTERN.test(value)) return true;
+  const match = COORDINATE_PATTERN.exec(value || '');
+  if (match && Math.abs(parseFloat(match[1])) <= 90 && Math.abs(parseFloat(match[3])) <= 180) return true;
+  throw new Error(`${name} must be a stop id or "lat,lng"`);
+});
+
+const journeyValidation = [
+  endpointValidator('from'),
+  endpointValidator('to'),
+  query('departAt').optional().isISO8601().withMessage('departAt must be an ISO 8601 date-time'),
+  query('maxTransfers').optional().isInt({ min: 0, max: 4 }).withMessage('maxTransfers must be 0-4'),
+  query('limit').optional().isInt({ min: 1, max: 10 }).withMessage('limit must be 1-10'),
+];
+
+const walkSeconds = (meters) => Math.round((meters * WALK_DETOUR_FACTOR) / WALK_SPEED);
+
+// Resolves "from"/"to" into a place with coordinates and the stops reachable
+// on foot: Map stopId -> { seconds, distance }.
+const resolveEndpoint = async (value) => {
+  if (UUID_PATTERN.test(value)) {
+    const stop = await pool.query(
+      `SELECT id, name, ST_Y(location::geometry) AS latitude, ST_X(location::geometry) AS longitude
+       FROM bus_stops WHERE id = $1`,
+      [value]
+    );
+    if (stop.rows.length === 0) return null;
+    const { id, name, latitude, longitude } = stop.rows[0];
+    const walkable = await stopsWithin(latitude, longitude, TRANSFER_RADIUS);
+    walkable.set(id, { seconds: 0, distance: 0 });
+    return { place: { type: 'stop', stopId: id, name, latitude, longitude }, walkable, nearestStopId: id };
+  }
+  const match = COORDINATE_PATTERN.exec(value);
+  const latitude = parseFloat(match[1]);
+  const longitude = parseFloat(match[3]);
+  const walkable = await stopsWithin(latitude, longitude, WALK_RADIUS);
+  return { place: { type: 'point', latitude, longitude }, walkable, nearestStopId: walkable.keys().next().value || null };
+};
+
+const stopsWithin = async (latitude, longitude, radius) => {
+  const result = await pool.query(
+    `SELECT bs.id, ST_Distance(bs.location, ref.point) AS distance
+     FROM bus_stops bs
+     CROSS JOIN (SELECT ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography AS point) ref
+     WHERE bs.is_active = true AND ST_DWithin(bs.location, ref.point, $3)
+     ORDER BY distance
+     LIMIT $4`,
+    [latitude, longitude, radius, MAX_ACCESS_STOPS]
+  );
+  return new Map(result.rows.map(row => [row.id, { seconds: walkSeconds(row.distance), distance: Math.round(row.distance) }]));
+};
+
+// Stop times for every trip that can still be ridden in the search window.
+// Running trips use their cached live ETAs, with stops already passed dropped.
+const loadTimetable = async (departAt) => {
+  const tripsResult = await pool.query(
+    `SELECT t.id, t.route_id, t.direction, t.status, t.headsign, t.scheduled_start_time,
+            r.name AS route_name, r.short_name AS route_short_name, r.color AS route_color
+     FROM trips t
+     JOIN routes r ON r.id = t.route_id AND r.is_active = true
+     WHERE t.status NOT IN ('completed', 'cancelled')
+       AND t.scheduled_start_time BETWEEN $1::timestamptz - make_interval(hours => $2) AND $1::timestamptz + make_interval(hours => $2)`,
+    [new Date(departAt), SEARCH_WINDOW_HOURS]
+  );
+  if (tripsResult.rows.length === 0) return [];
+  const tripIds = tripsResult.rows.map(row => row.id);
+  const routeIds = [...new Set(tripsResult.rows.map(row => row.route_id))];
+
+  const [routeStopsResult, scheduledResult, liveEtas] = await Promise.all([
+    pool.query(
+      `SELECT route_id, bus_stop_id, stop_order, estimated_travel_time
+       FROM route_stops WHERE route_id = ANY($1::uuid[]) ORDER BY route_id, stop_order`,
+      [routeIds]
+    ),
+    pool.query(
+      `SELECT trip_id, bus_stop_id, scheduled_arrival
+       FROM trip_stops WHERE trip_id = ANY($1::uuid[]) AND scheduled_arrival IS NOT NULL`,
+      [tripIds]
+    ),
+    Promise.all(tripsResult.rows.filter(row => row.status === 'active').map(row => redisUtils.getCachedTripETAs(row.id)))
+  ]);
+
+  const patterns = new Map();
+  for (const row of routeStopsResult.rows) {
+    if (!patterns.has(row.route_id)) patterns.set(row.route_id, []);
+    patterns.get(row.route_id).push(row);
+  }
+  const scheduled = new Map();
+  for (const row of scheduledResult.rows) scheduled.set(`${row.trip_id}:${row.bus_stop_id}`, new Date(row.scheduled_arrival).getTime());
+  const live = new Map(liveEtas.filter(Boolean).map(etaData => [etaData.tripId, etaData]));
+
+  const trips = [];
+  for (const row of tripsResult.rows) {
+    const pattern = patterns.get(row.route_id);
+    if (!pattern || pattern.length < 2) continue;
+    const start = new Date(row.scheduled_start_time).getTime();
+    let stopTimes = stopOffsets(pattern, row.direction || 'forward').map(offset => ({
+      stopId: offset.stopId,
+      time: scheduled.get(`${row.id}:${offset.stopId}`) ?? start + offset.seconds * 1000
+    }));
+
+    const etaData = live.get(row.id);
+    let realtime = false;
+    if (etaData && etaData.etas && etaData.etas.length > 0) {
+      const calculatedAt = new Date(etaData.calculatedAt).getTime();
+      const predicted = new Map(etaData.etas.map(eta => [eta.stopId, calculatedAt + eta.eta * 60000]));
+      const firstUpcoming = stopTimes.findIndex(st => predicted.has(st.stopId));
+      if (firstUpcoming !== -1) {
+        let delay = 0;
+        stopTimes = stopTimes.slice(firstUpcoming).map(st => {
+          if (predicted.has(st.stopId)) {
+            delay = predicted.get(st.stopId) - st.time;
+            return { stopId: st.stopId, time: predicted.get(st.stopId) };
+          }
+          // Past the last predicted stop, carry the latest known delay forward
+          return { stopId: st.stopId, time: st.time + delay };
+        });
+        for (let i = 1; i < stopTimes.length; i++) stopTimes[i].time = Math.max(stopTimes[i].time, stopTimes[i - 1].time);
+        realtime = true;
+      }
+    }
+
+    trips.push({
+      tripId: row.id,
+      routeId: row.route_id,
+      routeName: row.route_name,
+      routeShortName: row.route_short_name,
+      routeColor: row.route_color,
+      direction: row.direction || 'forward',
+      headsign: row.headsign,
+      realtime,
+      stopTimes
+    });
+  }
+  return trips;
+};
+
+const loadFootpaths = async (stopIds) => {
+  const result = await pool.query(
+    `SELECT a.id AS from_id, b.id AS to_id, ST_Distance(a.location, b.location) AS distance
+     FROM bus_stops a
+     JOIN bus_stops b ON a.id <> b.id AND ST_DWithin(a.location, b.location, $2)
+     WHERE a.id = ANY($1::uuid[]) AND b.id = ANY($1::uuid[]) AND b.is_active = true`,
+    [stopIds, TRANSFER_RADIUS]
+  );
+  const footpaths = new Map();
+  for (const row of result.rows) {
+    if (!footpaths.has(row.from_id)) footpaths.set(row.from_id, []);
+    footpaths.get(row.from_id).push({ stopId: row.to_id, seconds: walkSeconds(row.distance) });
+  }
+  return footpaths;
+};
+
+const loadStopPlaces = async (stopIds) => {
+  const result = await pool.query(
+    `SELECT id, name, ST_Y(location::geometry) AS latitude, ST_X(location::geometry) AS longitude
+     FROM bus_stops WHERE id = ANY($1::uuid[])`,
+    [stopIds]
+  );
+  return new Map(result.rows.map(row => [row.id, { type: 'stop', stopId: row.id, name: row.name, latitude: row.latitude, longitude: row.longitude }]));
+};
+
+const toIso = (ms) => new Date(ms).toISOString();
+
+// Turns planner output into itineraries with absolute times on every leg.
+const formatItinerary = (journey, origin, destination, places) => {
+  const legs = [];
+  const busLegs = journey.legs.filter(leg => leg.mode === 'bus');
+  let clock = busLegs[0].departure;
+
+  journey.legs.forEach((leg, index) => {
+    if (leg.mode === 'walk') {
+      if (leg.seconds === 0) return;
+      const isAccess = index === 0 && !leg.fromStopId;
+      const departure = isAccess ? busLegs[0].departure - leg.seconds * 1000 : clock;
+      const arrival = departure + leg.seconds * 1000;
+      legs.push({
+        mode: 'walk',
+        from: isAccess ? origin.place : places.get(leg.fromStopId),
+        to: places.get(leg.toStopId),
+        departure: toIso(departure),
+        arrival: toIso(arrival),
+        duration: leg.seconds,
+        distance: isAccess ? origin.walkable.get(leg.toStopId).distance : Math.round((leg.seconds * WALK_SPEED) / WALK_DETOUR_FACTOR)
+      });
+      clock = arrival;
+      return;
+    }
+    legs.push({
+      mode: 'bus',
+      tripId: leg.trip.tripId,
+      routeId: leg.trip.routeId,
+      routeName: leg.trip.routeName,
+      routeShortName: leg.trip.routeShortName,
+      routeColor: leg.trip.routeColor,
+      direction: leg.trip.direction,
+      headsign: leg.trip.headsign,
+      from: places.get(leg.fromStopId),
+      to: places.get(leg.toStopId),
+      departure: toIso(leg.departure),
+      arrival: toIso(leg.arrival),
+      duration: Math.round((leg.arrival - leg.departure) / 1000),
+      stops: leg.stopCount,
+      realtime: leg.trip.realtime
+    });
+    clock = leg.arrival;
+  });
+
+  if (journey.egressSeconds > 0) {
+    legs.push({
+      mode: 'walk',
+      from: places.get(journey.egressStopId),
+      to: destination.place,
+      departure: toIso(clock),
+      arrival: toIso(clock + journey.egressSeconds * 1000),
+      duration: journey.egressSeconds,
+      distance: destination.walkable.get(journey.egressStopId).distance
+    });
+  }
+
+  const departure = new Date(legs[0].departure).getTime();
+  return {
+    departure: legs[0].departure,
+    arrival: toIso(journey.arrival),
+    duration: Math.round((journey.arrival - departure) / 1000),
+    transfers: busLegs.length - 1,
+    walkingSeconds: legs.filter(leg => leg.mode === 'walk').reduce((sum, leg) => sum + leg.duration, 0),
+    realtime: busLegs.some(leg => leg.trip.realtime),
+    transferPoints: busLegs.slice(1).map(leg => places.get(leg.fromStopId)),
+    legs
+  };
+};
+
+const logPassengerRequest = async (req, origin, destination, departAt, itineraries) => {
+  try {
+    const best = itineraries[0];
+    const firstBusLeg = best ? best.legs.find(leg => leg.mode === 'bus') : null;
+    await pool.query(
+      `INSERT INTO passenger_requests (from_stop_id, to_stop_id, route_id, from_location, to_location, depart_at,
+                                       itineraries_found, best_duration, transfers, ip_address, user_agent)
+       VALUES ($1, $2, $3, ST_SetSRID(ST_MakePoint($5, $4), 4326)::geography, ST_SetSRID(ST_MakePoint($7, $6), 4326)::geography,
+               $8, $9, $10, $11, $12, $13)`,
+      [origin.nearestStopId, destination.nearestStopId, firstBusLeg ? firstBusLeg.routeId : null,
+        origin.place.latitude, origin.place.longitude, destination.place.latitude, destination.place.longitude,
+        new Date(departAt), itineraries.length, best ? best.duration : null, best ? best.transfers : null,
+        req.ip || null, req.get('User-Agent') || null]
+    );
+  } catch (error) {
+    logger.error('Error logging passenger request:', error);
+  }
+};
+
+router.get('/', journeyValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const departAt = req.query.departAt ? new Date(req.query.departAt).getTime() : Date.now();
+    const maxTransfers = req.query.maxTransfers !== undefined ? parseInt(req.query.maxTransfers, 10) : 2;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 3;
+
+    const [origin, destination] = await Promise.all([resolveEndpoint(req.query.from), resolveEndpoint(req.query.to)]);
+    if (!origin || !destination) return res.status(404).json({ error: 'Stop not found', code: 'STOP_NOT_FOUND' });
+
+    const itineraries = [];
+    if (origin.walkable.size > 0 && destination.walkable.size > 0) {
+      const trips = await loadTimetable(departAt);
+      const stopIds = new Set([...origin.walkable.keys(), ...destination.walkable.keys()]);
+      trips.forEach(trip => trip.stopTimes.forEach(st => stopIds.add(st.stopId)));
+      const [footpaths, places] = await Promise.all([loadFootpaths([...stopIds]), loadStopPlaces([...stopIds])]);
+
+      const journeys = planJourneys({
+        trips,
+        access: new Map([...origin.walkable].map(([id, walk]) => [id, walk.seconds])),
+        egress: new Map([...destination.walkable].map(([id, walk]) => [id, walk.seconds])),
+        footpaths,
+        departAt,
+        maxTransfers,
+        limit
+      });
+      journeys.forEach(journey => itineraries.push(formatItinerary(journey, origin, destination, places)));
+    }
+
+    await logPassengerRequest(req, origin, destination, departAt, itineraries);
+    res.json({ from: origin.place, to: destination.place, departAt: toIso(departAt), itineraries });
+  } catch (error) {
+    logger.error('Journey planning error:', error);
+    res.status(500).json({ error: 'Failed to plan journey' });
+  }
+});
+
+module.exports = router;
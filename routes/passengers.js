@@ -0,0 +1,161 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { param } = require('express-validator');
+const {
+  authenticateToken,
+  authorizeRoles,
+  updateProfileValidation,
+  deleteAccountValidation,
+  handleValidationErrors,
+  hashPassword,
+  comparePassword
+} = require('../middleware/auth');
+const { createSession, endUserSessions } = require('../utils/authSessions');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const PROFILE_COLUMNS = 'id, email, name, phone, role, email_verified_at, created_at, last_login';
+
+const passwordMatches = async (userId, password) => {
+  const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 && comparePassword(password, result.rows[0].password_hash);
+};
+
+const favouriteStopsQuery = `
+  SELECT bs.id, bs.name, bs.address, ST_Y(bs.location::geometry) AS latitude, ST_X(bs.location::geometry) AS longitude, f.created_at AS saved_at
+  FROM favourite_stops f JOIN bus_stops bs ON bs.id = f.stop_id
+  WHERE f.user_id = $1 ORDER BY f.created_at`;
+
+const favouriteRoutesQuery = `
+  SELECT r.id, r.name, r.description, r.color, f.created_at AS saved_at
+  FROM favourite_routes f JOIN routes r ON r.id = f.route_id
+  WHERE f.user_id = $1 ORDER BY f.created_at`;
+
+router.get('/me', authenticateToken, authorizeRoles('passenger'), async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`, [req.user.userId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+    res.json({ profile: result.rows[0] });
+  } catch (error) {
+    logger.error('Passenger profile fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Name, phone (null to clear) and password; the email address can't change.
+// A new password ends every session, and this one continues with new tokens.
+router.put('/me', authenticateToken, authorizeRoles('passenger'), updateProfileValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, phone, currentPassword, newPassword } = req.body;
+    if (newPassword && !(await passwordMatches(req.user.userId, currentPassword))) {
+      return res.status(403).json({ error: 'Current password is incorrect', code: 'INVALID_CREDENTIALS' });
+    }
+    const result = await pool.query(
+      `UPDATE users SET name = COALESCE($2, name),
+              phone = CASE WHEN $3::boolean THEN $4 ELSE phone END,
+              password_hash = COALESCE($5, password_hash)
+       WHERE id = $1 RETURNING ${PROFILE_COLUMNS}`,
+      [req.user.userId, name ?? null, phone !== undefined, phone || null, newPassword ? await hashPassword(newPassword) : null]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+    const profile = result.rows[0];
+    if (!newPassword) return res.json({ profile });
+    await endUserSessions(req.app.get('io'), profile.id);
+    const { token, refreshToken } = await createSession({ userId: profile.id, email: profile.email, role: profile.role, name: profile.name });
+    logger.info('Passenger password changed', { userId: profile.id });
+    res.json({ profile, token, refreshToken });
+  } catch (error) {
+    logger.error('Passenger profile update error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Deletes the account and everything saved with it, and ends its sessions
+router.delete('/me', authenticateToken, authorizeRoles('passenger'), deleteAccountValidation, handleValidationErrors, async (req, res) => {
+  try {
+    if (!(await passwordMatches(req.user.userId, req.body.password))) {
+      return res.status(403).json({ error: 'Password is incorrect', code: 'INVALID_CREDENTIALS' });
+    }
+    await pool.query("DELETE FROM users WHERE id = $1 AND role = 'passenger'", [req.user.userId]);
+    await endUserSessions(req.app.get('io'), req.user.userId);
+    logger.info('Passenger account deleted', { userId: req.user.userId });
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    logger.error('Passenger account deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+router.get('/me/favourites', authenticateToken, authorizeRoles('passenger'), async (req, res) => {
+  try {
+    const [stops, routes] = await Promise.all([
+      pool.query(favouriteStopsQuery, [req.user.userId]),
+      pool.query(favouriteRoutesQuery, [req.user.userId])
+    ]);
+    res.json({ stops: stops.rows, routes: routes.rows });
+  } catch (error) {
+    logger.error('Favourites fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch favourites' });
+  }
+});
+
+// Saving a favourite twice is not an error
+router.put('/me/favourites/stops/:stopId', authenticateToken, authorizeRoles('passenger'), [
+  param('stopId').isUUID().withMessage('stopId must be a valid id'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    await pool.query(
+      'INSERT INTO favourite_stops (user_id, stop_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.user.userId, req.params.stopId]
+    );
+    res.status(204).end();
+  } catch (error) {
+    if (error.code === '23503') return res.status(404).json({ error: 'Stop not found' });
+    logger.error('Favourite stop save error:', error);
+    res.status(500).json({ error: 'Failed to save favourite stop' });
+  }
+});
+
+router.delete('/me/favourites/stops/:stopId', authenticateToken, authorizeRoles('passenger'), [
+  param('stopId').isUUID().withMessage('stopId must be a valid id'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM favourite_stops WHERE user_id = $1 AND stop_id = $2', [req.user.userId, req.params.stopId]);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Favourite stop removal error:', error);
+    res.status(500).json({ error: 'Failed to remove favourite stop' });
+  }
+});
+
+router.put('/me/favourites/routes/:routeId', authenticateToken, authorizeRoles('passenger'), [
+  param('routeId').isUUID().withMessage('routeId must be a valid id'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    await pool.query(
+      'INSERT INTO favourite_routes (user_id, route_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.user.userId, req.params.routeId]
+    );
+    res.status(204).end();
+  } catch (error) {
+    if (error.code === '23503') return res.status(404).json({ error: 'Route not found' });
+    logger.error('Favourite route save error:', error);
+    res.status(500).json({ error: 'Failed to save favourite route' });
+  }
+});
+
+router.delete('/me/favourites/routes/:routeId', authenticateToken, authorizeRoles('passenger'), [
+  param('routeId').isUUID().withMessage('routeId must be a valid id'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM favourite_routes WHERE user_id = $1 AND route_id = $2', [req.user.userId, req.params.routeId]);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Favourite route removal error:', error);
+    res.status(500).json({ error: 'Failed to remove favourite route' });
+  }
+});
+
+module.exports = router;
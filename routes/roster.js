@@ -0,0 +1,397 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { body, query } = require('express-validator');
+const { authenticateToken, authorizeRoles, handleValidationErrors } = require('../middleware/auth');
+const roster = require('../utils/roster');
+const { assertVehicleAvailable } = require('../utils/maintenance');
+const { serviceToday } = require('../utils/timetable');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const MAX_ASSIGN_DAYS = 31;
+const DEFAULT_VIEW_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SHIFT_ERROR_STATUS = { SHIFT_NOT_FOUND: 404, SHIFT_CLOSED: 409 };
+
+const SHIFT_SELECT = `
+  SELECT s.id, s.driver_id, u.name AS driver_name, s.depot_id, dp.name AS depot_name,
+         s.vehicle_id, v.registration_number, s.starts_at, s.ends_at, s.breaks, s.status,
+         s.checked_in_at, s.checked_out_at, s.notes, COALESCE(tr.trips, '[]'::json) AS trips
+  FROM driver_shifts s
+  JOIN drivers d ON d.id = s.driver_id
+  JOIN users u ON u.id = d.user_id
+  LEFT JOIN depots dp ON dp.id = s.depot_id
+  LEFT JOIN vehicles v ON v.id = s.vehicle_id
+  LEFT JOIN LATERAL (
+    SELECT json_agg(json_build_object('id', t.id, 'route_id', t.route_id, 'route_name', r.name, 'direction', t.direction,
+                                      'scheduled_start_time', t.scheduled_start_time, 'status', t.status)
+                    ORDER BY t.scheduled_start_time) AS trips
+    FROM trips t JOIN routes r ON r.id = t.route_id
+    WHERE t.shift_id = s.id AND t.status <> 'cancelled'
+  ) tr ON true`;
+
+const formatShift = (row) => ({ ...row, working_hours: Math.round(roster.workingHours(row) * 100) / 100 });
+
+const getShift = async (db, id) => {
+  const result = await db.query(`${SHIFT_SELECT} WHERE s.id = $1`, [id]);
+  return result.rows[0] ? formatShift(result.rows[0]) : null;
+};
+
+// Shifts overlapping [from, to), by default from now for a week
+const listShifts = async ({ from, to, driverId = null, depotId = null }) => {
+  const start = from ? new Date(from) : new Date();
+  const end = to ? new Date(to) : new Date(start.getTime() + DEFAULT_VIEW_DAYS * DAY_MS);
+  const result = await pool.query(
+    `${SHIFT_SELECT}
+     WHERE s.starts_at < $2 AND s.ends_at > $1
+       AND ($3::uuid IS NULL OR s.driver_id = $3)
+       AND ($4::uuid IS NULL OR s.depot_id = $4)
+     ORDER BY s.starts_at, u.name`,
+    [start, end, driverId, depotId]
+  );
+  return { from: start.toISOString(), to: end.toISOString(), shifts: result.rows.map(formatShift) };
+};
+
+// Tells the shift's driver about a change to their roster
+const notifyDriver = (req, shift, action) => {
+  req.app.get('io').to(`driver:${shift.driver_id}`).emit('shift_update', { action, shift });
+};
+
+const viewValidation = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date-time'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date-time'),
+];
+
+const shiftValidation = (isUpdate) => {
+  const optional = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optional(body('driverId')).isUUID().withMessage('Valid driverId is required'),
+    body('depotId').optional({ nullable: true }).isUUID().withMessage('depotId must be a valid id'),
+    body('vehicleId').optional({ nullable: true }).isUUID().withMessage('vehicleId must be a valid id'),
+    optional(body('startsAt')).isISO8601().withMessage('startsAt must be an ISO 8601 date-time'),
+    optional(body('endsAt')).isISO8601().withMessage('endsAt must be an ISO 8601 date-time'),
+    body('breaks').optional().isArray({ max: 6 }).withMessage('breaks must be an array of at most 6 breaks'),
+    body('breaks.*.start').isISO8601().withMessage('Each break needs a start date-time'),
+    body('breaks.*.end').isISO8601().withMessage('Each break needs an end date-time'),
+    body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('notes must be at most 500 characters'),
+  ];
+};
+
+const encodeBreaks = (breaks) => JSON.stringify((breaks || []).map(b => ({ start: new Date(b.start).toISOString(), end: new Date(b.end).toISOString() })));
+
+// Validates a shift's times and checks it against the roster. Returns the
+// error response to send, or null if the shift can be saved.
+const checkShift = async (db, shift, excludeShiftId = null) => {
+  if (!(new Date(shift.ends_at) > new Date(shift.starts_at))) {
+    return { status: 400, body: { error: 'endsAt must be after startsAt', code: 'VALIDATION_ERROR' } };
+  }
+  const breakError = roster.invalidBreaks(shift);
+  if (breakError) return { status: 400, body: { error: breakError, code: 'VALIDATION_ERROR' } };
+  const conflicts = await roster.findShiftConflicts(db, shift, excludeShiftId);
+  if (conflicts.length > 0) return { status: 409, body: { error: 'Shift conflicts with the roster', code: 'ROSTER_CONFLICT', conflicts } };
+  return null;
+};
+
+// Depots
+
+router.get('/depots', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, address, ST_Y(location::geometry) AS latitude, ST_X(location::geometry) AS longitude
+       FROM depots ORDER BY name`
+    );
+    res.json({ depots: result.rows });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch depots' });
+  }
+});
+
+router.post('/depots', authenticateToken, authorizeRoles('admin'), [
+  body('name').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('address').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('address must be at most 500 characters'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { name, address, latitude, longitude } = req.body;
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      return res.status(400).json({ error: 'latitude and longitude must be given together', code: 'VALIDATION_ERROR' });
+    }
+    const result = await pool.query(
+      `INSERT INTO depots (name, address, location)
+       VALUES ($1, $2, CASE WHEN $3::float8 IS NULL THEN NULL ELSE ST_SetSRID(ST_MakePoint($4, $3), 4326)::geography END)
+       RETURNING id, name, address, ST_Y(location::geometry) AS latitude, ST_X(location::geometry) AS longitude`,
+      [name, address || null, latitude ?? null, longitude ?? null]
+    );
+    logger.info('Depot created', { depotId: result.rows[0].id, createdBy: req.user.userId });
+    res.status(201).json({ depot: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ error: 'A depot with this name already exists', code: 'DUPLICATE_DEPOT' });
+    logger.error('Depot create error:', error);
+    res.status(500).json({ error: 'Failed to create depot' });
+  }
+});
+
+// Roster views
+
+router.get('/', authenticateToken, authorizeRoles('admin'), [
+  ...viewValidation,
+  query('driverId').optional().isUUID().withMessage('driverId must be a valid id'),
+  query('depotId').optional().isUUID().withMessage('depotId must be a valid id'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    res.json(await listShifts(req.query));
+  } catch (error) {
+    logger.error('Roster fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch roster' });
+  }
+});
+
+// The signed-in driver's own shifts
+router.get('/me', authenticateToken, authorizeRoles('driver'), viewValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const driver = await pool.query('SELECT id FROM drivers WHERE user_id = $1', [req.user.userId]);
+    if (driver.rows.length === 0) return res.status(404).json({ error: 'Driver profile not found' });
+    res.json(await listShifts({ from: req.query.from, to: req.query.to, driverId: driver.rows[0].id }));
+  } catch (error) {
+    logger.error('Driver roster fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch roster' });
+  }
+});
+
+// Shifts
+
+router.get('/shifts/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const shift = await getShift(pool, req.params.id);
+    if (!shift) return res.status(404).json({ error: 'Shift not found' });
+    res.json({ shift });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch shift' });
+  }
+});
+
+router.post('/shifts', authenticateToken, authorizeRoles('admin'), shiftValidation(false), handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { driverId, depotId, vehicleId, startsAt, endsAt, breaks, notes } = req.body;
+    const shift = { driver_id: driverId, vehicle_id: vehicleId || null, starts_at: startsAt, ends_at: endsAt, breaks: JSON.parse(encodeBreaks(breaks)) };
+
+    await client.query('BEGIN');
+    // Locking the driver serialises roster changes for them
+    const driver = await client.query('SELECT id FROM drivers WHERE id = $1 FOR UPDATE', [driverId]);
+    if (driver.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Driver not found', code: 'VALIDATION_ERROR' });
+    }
+    if (shift.vehicle_id) await assertVehicleAvailable(client, shift.vehicle_id);
+    const problem = await checkShift(client, shift);
+    if (problem) {
+      await client.query('ROLLBACK');
+      return res.status(problem.status).json(problem.body);
+    }
+    const result = await client.query(
+      `INSERT INTO driver_shifts (driver_id, depot_id, vehicle_id, starts_at, ends_at, breaks, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      [driverId, depotId || null, vehicleId || null, startsAt, endsAt, encodeBreaks(breaks), notes || null, req.user.userId]
+    );
+    await client.query('COMMIT');
+
+    const created = await getShift(pool, result.rows[0].id);
+    notifyDriver(req, created, 'created');
+    logger.info('Shift created', { shiftId: created.id, driverId, createdBy: req.user.userId });
+    res.status(201).json({ shift: created });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'VEHICLE_NOT_FOUND') return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+    if (error.code === 'VEHICLE_UNAVAILABLE') return res.status(409).json({ error: error.message, code: error.code });
+    if (error.code === '23503') return res.status(400).json({ error: 'Unknown depot or vehicle', code: 'VALIDATION_ERROR' });
+    logger.error('Shift create error:', error);
+    res.status(500).json({ error: 'Failed to create shift' });
+  } finally {
+    client.release();
+  }
+});
+
+// Edits a planned or checked-in shift. Its trips move with it to a new
+// driver, and the edit is refused if any of them would fall outside it.
+router.put('/shifts/:id', authenticateToken, authorizeRoles('admin'), shiftValidation(true), handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { driverId, depotId, vehicleId, startsAt, endsAt, breaks, notes } = req.body;
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT * FROM driver_shifts WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+    const current = existing.rows[0];
+    if (!['planned', 'checked_in'].includes(current.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Cannot edit a ${current.status} shift`, code: 'SHIFT_CLOSED' });
+    }
+    if (driverId && driverId !== current.driver_id && current.status !== 'planned') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Cannot change the driver of a checked-in shift', code: 'SHIFT_CLOSED' });
+    }
+
+    const shift = {
+      id: current.id,
+      driver_id: driverId || current.driver_id,
+      vehicle_id: vehicleId !== undefined ? vehicleId : current.vehicle_id,
+      starts_at: startsAt || current.starts_at,
+      ends_at: endsAt || current.ends_at,
+      breaks: breaks ? JSON.parse(encodeBreaks(breaks)) : current.breaks
+    };
+    if (vehicleId) await assertVehicleAvailable(client, vehicleId);
+    const problem = await checkShift(client, shift, current.id);
+    if (problem) {
+      await client.query('ROLLBACK');
+      return res.status(problem.status).json(problem.body);
+    }
+    const displaced = await roster.displacedTrips(client, shift);
+    if (displaced.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Assigned trips would no longer fit the shift', code: 'ROSTER_CONFLICT', trips: displaced });
+    }
+
+    await client.query(
+      `UPDATE driver_shifts SET
+         driver_id = $2, vehicle_id = $3, starts_at = $4, ends_at = $5, breaks = $6,
+         depot_id = CASE WHEN $7::boolean THEN $8 ELSE depot_id END,
+         notes = CASE WHEN $9::boolean THEN $10 ELSE notes END
+       WHERE id = $1`,
+      [current.id, shift.driver_id, shift.vehicle_id, shift.starts_at, shift.ends_at, JSON.stringify(shift.breaks),
+        depotId !== undefined, depotId || null, notes !== undefined, notes || null]
+    );
+    if (shift.driver_id !== current.driver_id) {
+      await client.query(`UPDATE trips SET driver_id = $2 WHERE shift_id = $1 AND status IN ('scheduled', 'dispatched')`, [current.id, shift.driver_id]);
+    }
+    await client.query('COMMIT');
+
+    const updated = await getShift(pool, current.id);
+    notifyDriver(req, updated, 'updated');
+    if (shift.driver_id !== current.driver_id) notifyDriver(req, { ...updated, driver_id: current.driver_id }, 'removed');
+    logger.info('Shift updated', { shiftId: current.id, updatedBy: req.user.userId });
+    res.json({ shift: updated });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'VEHICLE_NOT_FOUND') return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+    if (error.code === 'VEHICLE_UNAVAILABLE') return res.status(409).json({ error: error.message, code: error.code });
+    if (error.code === '23503') return res.status(400).json({ error: 'Unknown driver, depot or vehicle', code: 'VALIDATION_ERROR' });
+    logger.error('Shift update error:', error);
+    res.status(500).json({ error: 'Failed to update shift' });
+  } finally {
+    client.release();
+  }
+});
+
+// Cancels a planned shift and takes its driver off the trips it had
+router.post('/shifts/:id/cancel', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE driver_shifts SET status = 'cancelled' WHERE id = $1 AND status = 'planned' RETURNING id`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      const exists = await pool.query('SELECT status FROM driver_shifts WHERE id = $1', [req.params.id]);
+      if (exists.rows.length === 0) return res.status(404).json({ error: 'Shift not found' });
+      return res.status(409).json({ error: `Cannot cancel a ${exists.rows[0].status} shift`, code: 'SHIFT_CLOSED' });
+    }
+    const released = await client.query(
+      `UPDATE trips SET shift_id = NULL, driver_id = NULL WHERE shift_id = $1 AND status IN ('scheduled', 'dispatched') RETURNING id`,
+      [req.params.id]
+    );
+    await client.query('COMMIT');
+
+    const shift = await getShift(pool, req.params.id);
+    notifyDriver(req, shift, 'cancelled');
+    logger.info('Shift cancelled', { shiftId: shift.id, releasedTrips: released.rowCount, by: req.user.userId });
+    res.json({ shift, releasedTripIds: released.rows.map(row => row.id) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Shift cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel shift' });
+  } finally {
+    client.release();
+  }
+});
+
+// Assigns trips to a shift. Trips that don't fit are reported and left alone.
+router.post('/shifts/:id/trips', authenticateToken, authorizeRoles('admin'), [
+  body('tripIds').isArray({ min: 1, max: 100 }).withMessage('tripIds must be a list of 1-100 trip ids'),
+  body('tripIds.*').isUUID().withMessage('Each trip id must be a valid id'),
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { assigned, rejected } = await roster.assignTripsToShift(client, req.params.id, [...new Set(req.body.tripIds)]);
+    await client.query('COMMIT');
+
+    const shift = await getShift(pool, req.params.id);
+    if (assigned.length > 0) notifyDriver(req, shift, 'trips_assigned');
+    logger.info('Trips assigned to shift', { shiftId: req.params.id, assigned: assigned.length, rejected: rejected.length, by: req.user.userId });
+    res.json({ shift, assignedTripIds: assigned.map(trip => trip.id), rejected });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (SHIFT_ERROR_STATUS[error.code]) return res.status(SHIFT_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    logger.error('Shift trip assignment error:', error);
+    res.status(500).json({ error: 'Failed to assign trips' });
+  } finally {
+    client.release();
+  }
+});
+
+router.delete('/shifts/:id/trips/:tripId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE trips SET shift_id = NULL, driver_id = NULL
+       WHERE id = $1 AND shift_id = $2 AND status IN ('scheduled', 'dispatched')
+       RETURNING id`,
+      [req.params.tripId, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'No unstarted trip with this id on the shift' });
+    const shift = await getShift(pool, req.params.id);
+    notifyDriver(req, shift, 'trip_removed');
+    logger.info('Trip removed from shift', { shiftId: req.params.id, tripId: req.params.tripId, by: req.user.userId });
+    res.json({ shift });
+  } catch (error) {
+    logger.error('Shift trip removal error:', error);
+    res.status(500).json({ error: 'Failed to remove trip from shift' });
+  }
+});
+
+// Fills rostered shifts with the unassigned trips of the given service days
+router.post('/auto-assign', authenticateToken, authorizeRoles('admin'), [
+  body('from').optional().isISO8601({ strict: true }).withMessage('from must be YYYY-MM-DD'),
+  body('days').optional().isInt({ min: 1, max: MAX_ASSIGN_DAYS }).withMessage(`days must be 1-${MAX_ASSIGN_DAYS}`),
+  body('routeId').optional().isUUID().withMessage('routeId must be a valid id'),
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const options = {
+      from: req.body.from || serviceToday(),
+      days: req.body.days ? parseInt(req.body.days, 10) : 1,
+      routeId: req.body.routeId || null
+    };
+    await client.query('BEGIN');
+    const result = await roster.autoAssignTrips(client, options);
+    await client.query('COMMIT');
+    logger.info('Trips auto-assigned', { ...options, ...result, by: req.user.userId });
+    res.json({ ...options, ...result });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Auto-assign error:', error);
+    res.status(500).json({ error: 'Failed to assign trips' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,162 @@
 const express = require('express');
 const { Pool } = require('pg');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { authenticateToken, authorizeRoles, handleValidationErrors } = require('../middleware/auth');
+const { redisUtils } = require('../config/redis');
+const { logger } = require('../utils/logger');
 const router = express.Router();
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
+const DEFAULT_AVERAGE_SPEED_KMH = parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || 25;
+
+const routeStopsValidation = [
+  body('stops').isArray({ min: 2 }).withMessage('stops must be an array of at least two stops'),
+  body('stops.*.stopId').isUUID().withMessage('Each stop needs a valid stopId'),
+  body('stops.*.estimatedTravelTime').optional({ nullable: true }).isInt({ min: 0 }).withMessage('estimatedTravelTime must be a non-negative number of seconds'),
+];
+
+const patchStopsValidation = [
+  body('op').isIn(['insert', 'remove', 'move']).withMessage('op must be insert, remove or move'),
+  body('stopId').isUUID().withMessage('Valid stopId is required'),
+  body('position').if(body('op').isIn(['insert', 'move'])).isInt({ min: 1 }).withMessage('position must be a 1-based stop order'),
+  body('estimatedTravelTime').optional({ nullable: true }).isInt({ min: 0 }).withMessage('estimatedTravelTime must be a non-negative number of seconds'),
+];
+
+const shapeValidation = [
+  param('direction').isIn(['forward', 'backward']).withMessage('direction must be forward or backward'),
+  body('coordinates').custom((value, { req }) => {
+    const geometry = req.body.type === 'Feature' ? req.body.geometry : req.body;
+    if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length < 2) {
+      throw new Error('Body must be a GeoJSON LineString (or Feature) with at least two coordinates');
+    }
+    const valid = geometry.coordinates.every(c => Array.isArray(c) && c.length >= 2 &&
+      Number.isFinite(c[0]) && Number.isFinite(c[1]) && Math.abs(c[0]) <= 180 && Math.abs(c[1]) <= 90);
+    if (!valid) throw new Error('Coordinates must be [longitude, latitude] pairs');
+    return true;
+  }),
+];
+
+const loadRouteStops = async (client, routeId) => {
+  const result = await client.query(
+    `SELECT bus_stop_id, stop_order, estimated_travel_time
+     FROM route_stops WHERE route_id = $1 ORDER BY stop_order FOR UPDATE`,
+    [routeId]
+  );
+  return result.rows.map(row => ({ stopId: row.bus_stop_id, estimatedTravelTime: row.estimated_travel_time }));
+};
+
+// Rewrites the whole ordered list. Deleting first keeps UNIQUE(route_id, stop_order)
+// satisfied while stops shift position.
+const writeRouteStops = async (client, routeId, stops) => {
+  await client.query('DELETE FROM route_stops WHERE route_id = $1', [routeId]);
+  await client.query(
+    `INSERT INTO route_stops (route_id, bus_stop_id, stop_order, estimated_travel_time)
+     SELECT $1, s.bus_stop_id, s.stop_order, s.travel_time
+     FROM unnest($2::uuid[], $3::int[], $4::int[]) AS s(bus_stop_id, stop_order, travel_time)`,
+    [routeId, stops.map(s => s.stopId), stops.map((_, i) => i + 1), stops.map((s, i) => (i === 0 ? 0 : s.estimatedTravelTime ?? null))]
+  );
+};
+
+// Sets estimated_travel_time from the distance between consecutive stops
+// measured along the forward shape, on every stop or (onlyMissing) only on
+// stops that have none. Returns false when the route has no shape.
+const recalculateTravelTimes = async (client, routeId, { averageSpeedKmh = DEFAULT_AVERAGE_SPEED_KMH, onlyMissing = false } = {}) => {
+  const result = await client.query(
+    `WITH shape AS (
+       SELECT shape::geometry AS geom, ST_Length(shape) AS length_m
+       FROM route_shapes WHERE route_id = $1 AND direction = 'forward'
+     )
+     SELECT rs.id, rs.stop_order, rs.estimated_travel_time, shape.length_m,
+            ST_LineLocatePoint(shape.geom, bs.location::geometry) AS fraction,
+            ST_Distance(bs.location, LAG(bs.location) OVER (ORDER BY rs.stop_order)) AS straight_m
+     FROM route_stops rs
+     JOIN bus_stops bs ON bs.id = rs.bus_stop_id
+     CROSS JOIN shape
+     WHERE rs.route_id = $1
+     ORDER BY rs.stop_order`,
+    [routeId]
+  );
+  if (result.rows.length === 0) return false;
+
+  const metersPerSecond = averageSpeedKmh / 3.6;
+  const ids = [];
+  const travelTimes = [];
+  result.rows.forEach((row, index) => {
+    if (onlyMissing && row.estimated_travel_time !== null) return;
+    ids.push(row.id);
+    if (index === 0) { travelTimes.push(0); return; }
+    const previous = result.rows[index - 1];
+    const alongShape = (row.fraction - previous.fraction) * row.length_m;
+    // A stop that projects behind its predecessor means the shape doesn't fit, fall back to straight line
+    const distance = alongShape > 0 ? alongShape : row.straight_m;
+    travelTimes.push(Math.round(distance / metersPerSecond));
+  });
+  await client.query(
+    `UPDATE route_stops rs SET estimated_travel_time = u.travel_time
+     FROM unnest($1::uuid[], $2::int[]) AS u(id, travel_time)
+     WHERE rs.id = u.id`,
+    [ids, travelTimes]
+  );
+  return true;
+};
+
+// Puts a stop at a 1-based position. The leg of the stop after it no longer
+// starts where it did, so its time is cleared to be computed again.
+const insertStopAt = (stops, position, stop) => {
+  const at = Math.min(position, stops.length + 1) - 1;
+  stops.splice(at, 0, stop);
+  if (stops[at + 1]) stops[at + 1].estimatedTravelTime = null;
+};
+
+const getRouteDetails = async (routeId) => {
+  const cached = await redisUtils.getCachedRoute(routeId);
+  if (cached) return cached;
+  const routeResult = await pool.query('SELECT * FROM routes WHERE id = $1', [routeId]);
+  if (routeResult.rows.length === 0) return null;
+  const [stopsResult, shapesResult] = await Promise.all([
+    pool.query(
+      `SELECT bs.id, bs.name, ST_X(bs.location::geometry) as longitude, ST_Y(bs.location::geometry) as latitude,
+              rs.stop_order, rs.estimated_travel_time
+       FROM route_stops rs
+       JOIN bus_stops bs ON rs.bus_stop_id = bs.id
+       WHERE rs.route_id = $1
+       ORDER BY rs.stop_order`,
+      [routeId]
+    ),
+    pool.query(
+      `SELECT direction, ST_AsGeoJSON(shape::geometry)::json AS geometry, ROUND(ST_Length(shape)::numeric) AS length_m
+       FROM route_shapes WHERE route_id = $1 ORDER BY direction DESC`,
+      [routeId]
+    )
+  ]);
+  const route = {
+    ...routeResult.rows[0],
+    stops: stopsResult.rows,
+    shapes: {
+      type: 'FeatureCollection',
+      features: shapesResult.rows.map(row => ({
+        type: 'Feature',
+        properties: { routeId, direction: row.direction, lengthMeters: Number(row.length_m), color: routeResult.rows[0].color },
+        geometry: row.geometry
+      }))
+    }
+  };
+  await redisUtils.cacheRoute(routeId, route, 300);
+  return route;
+};
+
+const routeExists = async (client, routeId) => {
+  const result = await client.query('SELECT id FROM routes WHERE id = $1', [routeId]);
+  return result.rows.length > 0;
+};
+
+const unknownStops = async (client, stopIds) => {
+  const result = await client.query('SELECT id FROM bus_stops WHERE id = ANY($1::uuid[])', [stopIds]);
+  const found = new Set(result.rows.map(row => row.id));
+  return stopIds.filter(id => !found.has(id));
+};
+
 router.get('/', async (req, res) => {
   try {
     const result = await pool.query('SELECT id, name, description, color, is_active FROM routes ORDER BY created_at DESC');
@@ -27,6 +179,34 @@ router.post('/', authenticateToken, authorizeRoles('admin'), async (req, res) =>
   }
 });
 
+router.get('/:id', async (req, res) => {
+  try {
+    const route = await getRouteDetails(req.params.id);
+    if (!route) return res.status(404).json({ error: 'Route not found' });
+    res.json({ route });
+  } catch (error) {
+    logger.error('Route fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch route' });
+  }
+});
+
+router.put('/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { name, description, color, isActive } = req.body;
+    const result = await pool.query(
+      `UPDATE routes SET name = COALESCE($2, name), description = COALESCE($3, description),
+       color = COALESCE($4, color), is_active = COALESCE($5, is_active)
+       WHERE id = $1 RETURNING *`,
+      [req.params.id, name, description, color, isActive]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Route not found' });
+    await redisUtils.invalidateRoute(req.params.id);
+    res.json({ route: result.rows[0] });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update route' });
+  }
+});
+
 router.get('/:id/stops', async (req, res) => {
   try {
     const result = await pool.query(
@@ -43,5 +223,164 @@ router.get('/:id/stops', async (req, res) => {
   }
 });
 
-module.exports = router;
+// Replace the ordered stop list. Travel times left out are computed from the
+// shape when the route has one.
+router.put('/:id/stops', authenticateToken, authorizeRoles('admin'), routeStopsValidation, handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const stops = req.body.stops.map(s => ({ stopId: s.stopId, estimatedTravelTime: s.estimatedTravelTime }));
+    const stopIds = stops.map(s => s.stopId);
+    if (new Set(stopIds).size !== stopIds.length) {
+      return res.status(400).json({ error: 'A stop can only appear once on a route', code: 'DUPLICATE_STOP' });
+    }
+    await client.query('BEGIN');
+    if (!(await routeExists(client, req.params.id))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Route not found' });
+    }
+    const missing = await unknownStops(client, stopIds);
+    if (missing.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Unknown stops', code: 'UNKNOWN_STOP', stopIds: missing });
+    }
+    await writeRouteStops(client, req.params.id, stops);
+    const explicitTimes = stops.slice(1).every(s => s.estimatedTravelTime !== undefined && s.estimatedTravelTime !== null);
+    if (!explicitTimes && req.query.recalculate !== 'false') await recalculateTravelTimes(client, req.params.id, { onlyMissing: true });
+    await client.query('COMMIT');
+    await redisUtils.invalidateRoute(req.params.id);
+    logger.info('Route stops replaced', { routeId: req.params.id, stopCount: stops.length, updatedBy: req.user.userId });
+    res.json({ route: await getRouteDetails(req.params.id) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Route stops replace error:', error);
+    res.status(500).json({ error: 'Failed to update route stops' });
+  } finally {
+    client.release();
+  }
+});
+
+// Insert, remove or move a single stop; the rest of the sequence is renumbered.
+// Only the legs next to the stop change: the stop's own (unless given) and
+// the following stop's are computed from the shape, other times are kept.
+router.patch('/:id/stops', authenticateToken, authorizeRoles('admin'), patchStopsValidation, handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { op, stopId, position, estimatedTravelTime } = req.body;
+    await client.query('BEGIN');
+    if (!(await routeExists(client, req.params.id))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Route not found' });
+    }
+    const stops = await loadRouteStops(client, req.params.id);
+    const index = stops.findIndex(s => s.stopId === stopId);
+
+    if (op === 'insert') {
+      if (index !== -1) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Stop is already on this route', code: 'DUPLICATE_STOP' });
+      }
+      if ((await unknownStops(client, [stopId])).length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Unknown stop', code: 'UNKNOWN_STOP' });
+      }
+      insertStopAt(stops, position, { stopId, estimatedTravelTime: estimatedTravelTime ?? null });
+    } else {
+      if (index === -1) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Stop is not on this route', code: 'STOP_NOT_ON_ROUTE' });
+      }
+      const [removed] = stops.splice(index, 1);
+      // The following stop's leg now starts one stop earlier: both legs
+      // together when they are known, else computed again
+      const following = stops[index];
+      if (following) {
+        following.estimatedTravelTime = following.estimatedTravelTime !== null && removed.estimatedTravelTime !== null
+          ? following.estimatedTravelTime + removed.estimatedTravelTime
+          : null;
+      }
+      if (op === 'move') insertStopAt(stops, position, { stopId, estimatedTravelTime: estimatedTravelTime ?? null });
+    }
 
+    await writeRouteStops(client, req.params.id, stops);
+    if (req.query.recalculate !== 'false') await recalculateTravelTimes(client, req.params.id, { onlyMissing: true });
+    await client.query('COMMIT');
+    await redisUtils.invalidateRoute(req.params.id);
+    logger.info('Route stops patched', { routeId: req.params.id, op, stopId, position, updatedBy: req.user.userId });
+    res.json({ route: await getRouteDetails(req.params.id) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Route stops patch error:', error);
+    res.status(500).json({ error: 'Failed to update route stops' });
+  } finally {
+    client.release();
+  }
+});
+
+// Attach the road geometry for one direction (GeoJSON LineString or Feature).
+router.put('/:id/shape/:direction', authenticateToken, authorizeRoles('admin'), shapeValidation, handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const geometry = req.body.type === 'Feature' ? req.body.geometry : req.body;
+    await client.query('BEGIN');
+    if (!(await routeExists(client, req.params.id))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Route not found' });
+    }
+    await client.query(
+      `INSERT INTO route_shapes (route_id, direction, shape)
+       VALUES ($1, $2, ST_SetSRID(ST_GeomFromGeoJSON($3), 4326)::geography)
+       ON CONFLICT (route_id, direction) DO UPDATE SET shape = EXCLUDED.shape, gtfs_shape_id = NULL`,
+      [req.params.id, req.params.direction, JSON.stringify({ type: 'LineString', coordinates: geometry.coordinates.map(c => [c[0], c[1]]) })]
+    );
+    const recalculate = req.params.direction === 'forward' && req.query.recalculate !== 'false';
+    if (recalculate) await recalculateTravelTimes(client, req.params.id);
+    await client.query('COMMIT');
+    await redisUtils.invalidateRoute(req.params.id);
+    logger.info('Route shape saved', { routeId: req.params.id, direction: req.params.direction, points: geometry.coordinates.length, updatedBy: req.user.userId });
+    res.json({ route: await getRouteDetails(req.params.id) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Route shape save error:', error);
+    res.status(500).json({ error: 'Failed to save route shape' });
+  } finally {
+    client.release();
+  }
+});
+
+router.delete('/:id/shape/:direction', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM route_shapes WHERE route_id = $1 AND direction = $2 RETURNING id', [req.params.id, req.params.direction]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Route shape not found' });
+    await redisUtils.invalidateRoute(req.params.id);
+    res.json({ message: 'Route shape deleted' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete route shape' });
+  }
+});
+
+router.post('/:id/travel-times/recalculate', authenticateToken, authorizeRoles('admin'),
+  body('averageSpeedKmh').optional().isFloat({ min: 5, max: 100 }).withMessage('averageSpeedKmh must be 5-100'),
+  handleValidationErrors,
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const updated = await recalculateTravelTimes(client, req.params.id, { averageSpeedKmh: req.body.averageSpeedKmh || DEFAULT_AVERAGE_SPEED_KMH });
+      if (!updated) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Route has no forward shape or no stops', code: 'SHAPE_REQUIRED' });
+      }
+      await client.query('COMMIT');
+      await redisUtils.invalidateRoute(req.params.id);
+      res.json({ route: await getRouteDetails(req.params.id) });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Travel time recalculation error:', error);
+      res.status(500).json({ error: 'Failed to recalculate travel times' });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { body, param, query } = require('express-validator');
+const { authenticateToken, authorizeRoles, handleValidationErrors } = require('../middleware/auth');
+const { redisUtils } = require('../config/redis');
+const { loadDepartures, affectsBoard, watchDepartures } = require('../utils/departures');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const DEFAULT_NEARBY_RADIUS = 500; // meters
+const MAX_NEARBY_RADIUS = 5000;
+const STREAM_MIN_INTERVAL = 2000; // a departure stream is recomputed at most this often
+const STREAM_REFRESH_INTERVAL = 30 * 1000; // and at least this often, so countdowns move
+const STREAM_KEEPALIVE_INTERVAL = 25 * 1000;
+
+const STOP_COLUMNS = `bs.id, bs.name, bs.code, bs.address, bs.amenities, bs.is_active, bs.geofence_radius,
+  ST_Y(bs.location::geometry) AS latitude, ST_X(bs.location::geometry) AS longitude`;
+
+// Routes serving each stop, joined laterally onto a bus_stops query aliased bs
+const SERVING_ROUTES_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT json_agg(json_build_object('id', r.id, 'name', r.name, 'short_name', r.short_name, 'color', r.color, 'stop_order', rs.stop_order) ORDER BY r.name) AS routes
+    FROM route_stops rs JOIN routes r ON r.id = rs.route_id AND r.is_active = true
+    WHERE rs.bus_stop_id = bs.id
+  ) serving ON true`;
+
+const stopValidation = (isUpdate) => {
+  const optional = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optional(body('name')).trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    optional(body('latitude')).isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+    optional(body('longitude')).isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+    body('address').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('Address must be at most 500 characters'),
+    body('code').optional({ nullable: true }).isString().trim().isLength({ max: 50 }).withMessage('Code must be at most 50 characters'),
+    body('amenities').optional().isArray().withMessage('Amenities must be an array'),
+    body('amenities.*').isString().matches(/^[a-z_]+$/).withMessage('Amenities must be lowercase identifiers like shelter or digital_display'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('geofenceRadius').optional({ nullable: true }).isInt({ min: 5, max: 500 }).withMessage('geofenceRadius must be 5-500 meters'),
+  ];
+};
+
+const nearbyValidation = [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid lat is required'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid lng is required'),
+  query('radius').optional().isFloat({ min: 1, max: MAX_NEARBY_RADIUS }).withMessage(`Radius must be 1-${MAX_NEARBY_RADIUS} meters`),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+];
+
+const idValidation = [
+  param('id').isUUID().withMessage('Valid stop id is required'),
+];
+
+const departuresValidation = [
+  param('id').isUUID().withMessage('Valid stop id is required'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50'),
+  query('minutes').optional().isInt({ min: 1, max: 720 }).withMessage('Minutes must be 1-720'),
+];
+
+const departuresOptions = (req) => ({
+  limit: req.query.limit ? parseInt(req.query.limit, 10) : 10,
+  horizonMinutes: req.query.minutes ? parseInt(req.query.minutes, 10) : 120
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const { q, active } = req.query;
+    const result = await pool.query(
+      `SELECT ${STOP_COLUMNS}
+       FROM bus_stops bs
+       WHERE ($1::text IS NULL OR bs.name ILIKE '%' || $1 || '%' OR bs.code = $1)
+         AND ($2::boolean IS NULL OR bs.is_active = $2)
+       ORDER BY bs.name`,
+      [q || null, active === undefined ? null : active === 'true']
+    );
+    res.json({ stops: result.rows });
+  } catch (error) {
+    logger.error('Stops fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch stops' });
+  }
+});
+
+router.get('/nearby', nearbyValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radius = req.query.radius ? parseFloat(req.query.radius) : DEFAULT_NEARBY_RADIUS;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 20;
+    // ST_DWithin on geography uses idx_bus_stops_location
+    const result = await pool.query(
+      `SELECT ${STOP_COLUMNS}, ROUND(ST_Distance(bs.location, ref.point)::numeric, 1) AS distance,
+              COALESCE(serving.routes, '[]'::json) AS routes
+       FROM bus_stops bs
+       CROSS JOIN (SELECT ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography AS point) ref
+       ${SERVING_ROUTES_JOIN}
+       WHERE bs.is_active = true AND ST_DWithin(bs.location, ref.point, $3)
+       ORDER BY distance
+       LIMIT $4`,
+      [lat, lng, radius, limit]
+    );
+    res.json({ location: { latitude: lat, longitude: lng }, radius, stops: result.rows });
+  } catch (error) {
+    logger.error('Nearby stops error:', error);
+    res.status(500).json({ error: 'Failed to fetch nearby stops' });
+  }
+});
+
+router.get('/:id', idValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${STOP_COLUMNS}, COALESCE(serving.routes, '[]'::json) AS routes
+       FROM bus_stops bs
+       ${SERVING_ROUTES_JOIN}
+       WHERE bs.id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Stop not found' });
+    res.json({ stop: result.rows[0] });
+  } catch (error) {
+    logger.error('Stop fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch stop' });
+  }
+});
+
+// The stop's departure board, for displays at the stop
+router.get('/:id/departures', departuresValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const board = await loadDepartures(pool, req.params.id, departuresOptions(req));
+    if (!board) return res.status(404).json({ error: 'Stop not found' });
+    res.json(board);
+  } catch (error) {
+    logger.error('Stop departures error:', error);
+    res.status(500).json({ error: 'Failed to fetch departures' });
+  }
+});
+
+// The departure board as Server-Sent Events: a `departures` event with the
+// whole board on connect and again whenever new ETAs or a trip status change
+// touch the stop
+router.get('/:id/departures/stream', departuresValidation, handleValidationErrors, async (req, res) => {
+  const options = departuresOptions(req);
+  let board;
+  try {
+    board = await loadDepartures(pool, req.params.id, options);
+    if (!board) return res.status(404).json({ error: 'Stop not found' });
+  } catch (error) {
+    logger.error('Stop departures stream error:', error);
+    return res.status(500).json({ error: 'Failed to fetch departures' });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  // The compression middleware buffers unless told to flush
+  const write = (chunk) => { res.write(chunk); if (res.flush) res.flush(); };
+  write(`event: departures\ndata: ${JSON.stringify(board)}\n\n`);
+
+  // Refreshes are coalesced: one waits out STREAM_MIN_INTERVAL, and updates
+  // arriving while one runs trigger a single follow-up
+  let closed = false;
+  let timer = null;
+  let running = false;
+  let again = false;
+  let lastAt = Date.now();
+  const refresh = async () => {
+    timer = null;
+    running = true;
+    try {
+      const next = await loadDepartures(pool, req.params.id, options);
+      if (next && !closed) {
+        board = next;
+        write(`event: departures\ndata: ${JSON.stringify(board)}\n\n`);
+      }
+    } catch (error) {
+      logger.error('Stop departures stream refresh error:', error);
+    } finally {
+      running = false;
+      lastAt = Date.now();
+      if (again && !closed) { again = false; scheduleRefresh(); }
+    }
+  };
+  const scheduleRefresh = () => {
+    if (running) { again = true; return; }
+    if (timer || closed) return;
+    timer = setTimeout(refresh, Math.max(0, lastAt + STREAM_MIN_INTERVAL - Date.now()));
+  };
+
+  const unwatch = watchDepartures(update => { if (affectsBoard(board, update)) scheduleRefresh(); });
+  const refresher = setInterval(scheduleRefresh, STREAM_REFRESH_INTERVAL);
+  const keepalive = setInterval(() => write(': keepalive\n\n'), STREAM_KEEPALIVE_INTERVAL);
+  req.on('close', () => {
+    closed = true;
+    unwatch();
+    clearTimeout(timer);
+    clearInterval(refresher);
+    clearInterval(keepalive);
+  });
+});
+
+router.post('/', authenticateToken, authorizeRoles('admin'), stopValidation(false), handleValidationErrors, async (req, res) => {
+  try {
+    const { name, latitude, longitude, address, code, amenities, isActive, geofenceRadius } = req.body;
+    const result = await pool.query(
+      `INSERT INTO bus_stops (name, location, address, code, amenities, is_active, geofence_radius)
+       VALUES ($1, ST_SetSRID(ST_MakePoint($3, $2), 4326)::geography, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [name, latitude, longitude, address || null, code || null, amenities || [], isActive === undefined ? true : isActive, geofenceRadius || null]
+    );
+    const stop = await pool.query(`SELECT ${STOP_COLUMNS} FROM bus_stops bs WHERE bs.id = $1`, [result.rows[0].id]);
+    logger.info('Bus stop created', { stopId: result.rows[0].id, createdBy: req.user.userId });
+    res.status(201).json({ stop: stop.rows[0] });
+  } catch (error) {
+    logger.error('Stop create error:', error);
+    res.status(500).json({ error: 'Failed to create stop' });
+  }
+});
+
+router.put('/:id', authenticateToken, authorizeRoles('admin'), idValidation, stopValidation(true), handleValidationErrors, async (req, res) => {
+  try {
+    const { name, latitude, longitude, address, code, amenities, isActive, geofenceRadius } = req.body;
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      return res.status(400).json({ error: 'latitude and longitude must be updated together', code: 'VALIDATION_ERROR' });
+    }
+    const result = await pool.query(
+      `UPDATE bus_stops SET
+         name = COALESCE($2, name),
+         location = CASE WHEN $3::float8 IS NULL THEN location ELSE ST_SetSRID(ST_MakePoint($4, $3), 4326)::geography END,
+         address = CASE WHEN $5::boolean THEN $6 ELSE address END,
+         code = CASE WHEN $7::boolean THEN $8 ELSE code END,
+         amenities = COALESCE($9, amenities),
+         is_active = COALESCE($10, is_active),
+         geofence_radius = CASE WHEN $11::boolean THEN $12 ELSE geofence_radius END
+       WHERE id = $1 RETURNING id`,
+      [req.params.id, name, latitude, longitude, address !== undefined, address || null, code !== undefined, code || null, amenities, isActive,
+        geofenceRadius !== undefined, geofenceRadius || null]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Stop not found' });
+    // Cached route profiles carry stop positions and geofences
+    const routes = await pool.query('SELECT DISTINCT route_id FROM route_stops WHERE bus_stop_id = $1', [req.params.id]);
+    await Promise.all(routes.rows.map(row => redisUtils.invalidateRoute(row.route_id)));
+    const stop = await pool.query(`SELECT ${STOP_COLUMNS} FROM bus_stops bs WHERE bs.id = $1`, [req.params.id]);
+    res.json({ stop: stop.rows[0] });
+  } catch (error) {
+    logger.error('Stop update error:', error);
+    res.status(500).json({ error: 'Failed to update stop' });
+  }
+});
+
+router.delete('/:id', authenticateToken, authorizeRoles('admin'), idValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const usage = await pool.query(
+      `SELECT (SELECT count(*) FROM route_stops WHERE bus_stop_id = $1)::int AS route_count,
+              (SELECT count(*) FROM trip_stops WHERE bus_stop_id = $1)::int AS trip_count`,
+      [req.params.id]
+    );
+    const { route_count: routeCount, trip_count: tripCount } = usage.rows[0];
+    if (routeCount > 0 || tripCount > 0) {
+      return res.status(409).json({
+        error: 'Stop is used by routes or trip history; deactivate it with isActive=false instead',
+        code: 'STOP_IN_USE',
+        routeCount,
+        tripCount
+      });
+    }
+    const result = await pool.query('DELETE FROM bus_stops WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Stop not found' });
+    logger.info('Bus stop deleted', { stopId: req.params.id, deletedBy: req.user.userId });
+    res.json({ message: 'Stop deleted', id: req.params.id });
+  } catch (error) {
+    logger.error('Stop delete error:', error);
+    res.status(500).json({ error: 'Failed to delete stop' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,365 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { body, query, param } = require('express-validator');
+const { authenticateToken, authorizeRoles, handleValidationErrors } = require('../middleware/auth');
+const gtfs = require('../utils/gtfs');
+const { serviceToday, departureTimes, generateTimetable } = require('../utils/timetable');
+const { autoAssignTrips } = require('../utils/roster');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const MAX_GENERATE_DAYS = 31;
+const MAX_SERVICE_SECONDS = 48 * 3600;
+
+const DAY_COLUMNS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// "HH:MM" or "HH:MM:SS" into the service day (hours may pass 24) -> seconds
+const parseTime = (value) => {
+  if (typeof value !== 'string') return null;
+  const seconds = gtfs.parseGtfsTime(/^\d{1,2}:\d{2}$/.test(value) ? `${value}:00` : value);
+  return seconds !== null && seconds < MAX_SERVICE_SECONDS ? seconds : null;
+};
+
+const isTime = (value) => parseTime(value) !== null;
+
+const CALENDAR_COLUMNS = `sc.id, sc.name, sc.gtfs_service_id, ${DAY_COLUMNS.map(day => `sc.${day}`).join(', ')},
+  to_char(sc.start_date, 'YYYY-MM-DD') AS start_date, to_char(sc.end_date, 'YYYY-MM-DD') AS end_date, sc.runs_on_holidays`;
+
+const CALENDAR_EXCEPTIONS_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT json_agg(json_build_object('date', to_char(scd.service_date, 'YYYY-MM-DD'), 'type', scd.exception_type) ORDER BY scd.service_date) AS exceptions
+    FROM service_calendar_dates scd WHERE scd.calendar_id = sc.id
+  ) ex ON true`;
+
+const formatPattern = (row) => ({
+  ...row,
+  first_departure: gtfs.formatGtfsTime(row.first_departure),
+  last_departure: gtfs.formatGtfsTime(row.last_departure),
+  headway_bands: row.headway_bands.map(band => ({ start: gtfs.formatGtfsTime(band.start), end: gtfs.formatGtfsTime(band.end), minutes: band.minutes })),
+  departures_per_day: departureTimes(row).length
+});
+
+const calendarValidation = (isUpdate) => {
+  const optional = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optional(body('name')).isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    optional(body('days')).isArray().withMessage('days must be an array of weekday names'),
+    body('days.*').isIn(DAY_COLUMNS).withMessage(`days must be from ${DAY_COLUMNS.join(', ')}`),
+    optional(body('startDate')).isISO8601({ strict: true }).withMessage('startDate must be YYYY-MM-DD'),
+    optional(body('endDate')).isISO8601({ strict: true }).withMessage('endDate must be YYYY-MM-DD'),
+    body('runsOnHolidays').optional({ nullable: true }).isBoolean().withMessage('runsOnHolidays must be true, false or null'),
+  ];
+};
+
+const exceptionsValidation = [
+  body('exceptions').isArray({ max: 1000 }).withMessage('exceptions must be an array'),
+  body('exceptions.*.date').isISO8601({ strict: true }).withMessage('Each exception needs a YYYY-MM-DD date'),
+  body('exceptions.*.type').isIn(['added', 'removed']).withMessage('Exception type must be added or removed'),
+];
+
+const patternValidation = (isUpdate) => {
+  const optional = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optional(body('routeId')).isUUID().withMessage('Valid routeId is required'),
+    optional(body('direction')).isIn(['forward', 'backward']).withMessage('direction must be forward or backward'),
+    optional(body('calendarId')).isUUID().withMessage('Valid calendarId is required'),
+    optional(body('firstDeparture')).custom(isTime).withMessage('firstDeparture must be HH:MM or HH:MM:SS'),
+    optional(body('lastDeparture')).custom(isTime).withMessage('lastDeparture must be HH:MM or HH:MM:SS'),
+    optional(body('defaultHeadway')).isInt({ min: 1, max: 240 }).withMessage('defaultHeadway must be 1-240 minutes'),
+    body('headwayBands').optional().isArray({ max: 24 }).withMessage('headwayBands must be an array'),
+    body('headwayBands.*.start').custom(isTime).withMessage('Each band needs a start time'),
+    body('headwayBands.*.end').custom(isTime).withMessage('Each band needs an end time'),
+    body('headwayBands.*.minutes').isInt({ min: 1, max: 240 }).withMessage('Each band needs a headway of 1-240 minutes'),
+    body('headwayBands').optional().custom(bands => {
+      const sorted = bands.map(b => ({ start: parseTime(b.start), end: parseTime(b.end) })).sort((a, b) => a.start - b.start);
+      return sorted.every((band, i) => band.start < band.end && (i === 0 || sorted[i - 1].end <= band.start));
+    }).withMessage('Headway bands must each end after they start and must not overlap'),
+    body('headsign').optional({ nullable: true }).isString().trim().isLength({ max: 255 }).withMessage('headsign must be at most 255 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ];
+};
+
+const generateValidation = [
+  body('from').optional().isISO8601({ strict: true }).withMessage('from must be YYYY-MM-DD'),
+  body('days').optional().isInt({ min: 1, max: MAX_GENERATE_DAYS }).withMessage(`days must be 1-${MAX_GENERATE_DAYS}`),
+  body('routeId').optional().isUUID().withMessage('routeId must be a valid id'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  body('assign').optional().isBoolean().withMessage('assign must be a boolean'),
+];
+
+const encodeBands = (bands) => JSON.stringify((bands || []).map(b => ({ start: parseTime(b.start), end: parseTime(b.end), minutes: Number(b.minutes) })));
+
+const getPattern = async (id) => {
+  const result = await pool.query('SELECT * FROM service_patterns WHERE id = $1', [id]);
+  return result.rows[0] ? formatPattern(result.rows[0]) : null;
+};
+
+// Calendars
+
+router.get('/calendars', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${CALENDAR_COLUMNS}, COALESCE(ex.exceptions, '[]'::json) AS exceptions
+       FROM service_calendars sc
+       ${CALENDAR_EXCEPTIONS_JOIN}
+       ORDER BY sc.name`
+    );
+    res.json({ calendars: result.rows });
+  } catch (error) {
+    logger.error('Calendars fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch calendars' });
+  }
+});
+
+router.post('/calendars', authenticateToken, authorizeRoles('admin'), calendarValidation(false), handleValidationErrors, async (req, res) => {
+  try {
+    const { name, days, startDate, endDate, runsOnHolidays } = req.body;
+    if (endDate < startDate) return res.status(400).json({ error: 'endDate must not be before startDate', code: 'VALIDATION_ERROR' });
+    const result = await pool.query(
+      `INSERT INTO service_calendars (name, ${DAY_COLUMNS.join(', ')}, start_date, end_date, runs_on_holidays)
+       VALUES ($1, ${DAY_COLUMNS.map((_, i) => `$${i + 2}`).join(', ')}, $9, $10, $11)
+       RETURNING id`,
+      [name, ...DAY_COLUMNS.map(day => days.includes(day)), startDate, endDate, runsOnHolidays ?? null]
+    );
+    const calendar = await pool.query(`SELECT ${CALENDAR_COLUMNS}, '[]'::json AS exceptions FROM service_calendars sc WHERE sc.id = $1`, [result.rows[0].id]);
+    logger.info('Service calendar created', { calendarId: result.rows[0].id, createdBy: req.user.userId });
+    res.status(201).json({ calendar: calendar.rows[0] });
+  } catch (error) {
+    logger.error('Calendar create error:', error);
+    res.status(500).json({ error: 'Failed to create calendar' });
+  }
+});
+
+router.put('/calendars/:id', authenticateToken, authorizeRoles('admin'), calendarValidation(true), handleValidationErrors, async (req, res) => {
+  try {
+    const { name, days, startDate, endDate, runsOnHolidays } = req.body;
+    if (startDate && endDate && endDate < startDate) return res.status(400).json({ error: 'endDate must not be before startDate', code: 'VALIDATION_ERROR' });
+    const result = await pool.query(
+      `UPDATE service_calendars SET
+         name = COALESCE($2, name),
+         ${DAY_COLUMNS.map((day, i) => `${day} = COALESCE($${i + 3}, ${day})`).join(',\n         ')},
+         start_date = COALESCE($10, start_date),
+         end_date = COALESCE($11, end_date),
+         runs_on_holidays = CASE WHEN $12::boolean THEN $13 ELSE runs_on_holidays END
+       WHERE id = $1 RETURNING id`,
+      [req.params.id, name, ...DAY_COLUMNS.map(day => (days ? days.includes(day) : null)), startDate, endDate,
+        runsOnHolidays !== undefined, runsOnHolidays ?? null]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Calendar not found' });
+    const calendar = await pool.query(
+      `SELECT ${CALENDAR_COLUMNS}, COALESCE(ex.exceptions, '[]'::json) AS exceptions
+       FROM service_calendars sc ${CALENDAR_EXCEPTIONS_JOIN} WHERE sc.id = $1`,
+      [req.params.id]
+    );
+    logger.info('Service calendar updated', { calendarId: req.params.id, updatedBy: req.user.userId });
+    res.json({ calendar: calendar.rows[0] });
+  } catch (error) {
+    logger.error('Calendar update error:', error);
+    res.status(500).json({ error: 'Failed to update calendar' });
+  }
+});
+
+// Replaces the calendar's exception dates
+router.put('/calendars/:id/exceptions', authenticateToken, authorizeRoles('admin'), exceptionsValidation, handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const dates = req.body.exceptions.map(e => e.date);
+    if (new Set(dates).size !== dates.length) {
+      return res.status(400).json({ error: 'A date can only appear once', code: 'DUPLICATE_DATE' });
+    }
+    await client.query('BEGIN');
+    const exists = await client.query('SELECT id FROM service_calendars WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (exists.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    await client.query('DELETE FROM service_calendar_dates WHERE calendar_id = $1', [req.params.id]);
+    await client.query(
+      `INSERT INTO service_calendar_dates (calendar_id, service_date, exception_type)
+       SELECT $1, d.service_date, d.exception_type
+       FROM unnest($2::date[], $3::varchar[]) AS d(service_date, exception_type)`,
+      [req.params.id, dates, req.body.exceptions.map(e => e.type)]
+    );
+    await client.query('COMMIT');
+    logger.info('Calendar exceptions replaced', { calendarId: req.params.id, count: dates.length, updatedBy: req.user.userId });
+    res.json({ calendarId: req.params.id, exceptions: [...req.body.exceptions].sort((a, b) => a.date.localeCompare(b.date)) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Calendar exceptions error:', error);
+    res.status(500).json({ error: 'Failed to update calendar exceptions' });
+  } finally {
+    client.release();
+  }
+});
+
+// Public holidays
+
+router.get('/holidays', [
+  query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('year must be 2000-2100'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT to_char(holiday_date, 'YYYY-MM-DD') AS date, name FROM public_holidays
+       WHERE $1::int IS NULL OR EXTRACT(YEAR FROM holiday_date) = $1
+       ORDER BY holiday_date`,
+      [req.query.year ? parseInt(req.query.year, 10) : null]
+    );
+    res.json({ holidays: result.rows });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch holidays' });
+  }
+});
+
+router.put('/holidays/:date', authenticateToken, authorizeRoles('admin'), [
+  param('date').isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD'),
+  body('name').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `INSERT INTO public_holidays (holiday_date, name) VALUES ($1, $2)
+       ON CONFLICT (holiday_date) DO UPDATE SET name = EXCLUDED.name
+       RETURNING to_char(holiday_date, 'YYYY-MM-DD') AS date, name`,
+      [req.params.date, req.body.name]
+    );
+    res.json({ holiday: result.rows[0] });
+  } catch (error) {
+    logger.error('Holiday save error:', error);
+    res.status(500).json({ error: 'Failed to save holiday' });
+  }
+});
+
+router.delete('/holidays/:date', authenticateToken, authorizeRoles('admin'), [
+  param('date').isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM public_holidays WHERE holiday_date = $1', [req.params.date]);
+    if (result.rowCount === 0) return res.status(404).json({ error: 'Holiday not found' });
+    res.json({ message: 'Holiday deleted', date: req.params.date });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete holiday' });
+  }
+});
+
+// Service patterns
+
+router.get('/patterns', [
+  query('routeId').optional().isUUID().withMessage('routeId must be a valid id'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM service_patterns
+       WHERE $1::uuid IS NULL OR route_id = $1
+       ORDER BY route_id, direction, first_departure`,
+      [req.query.routeId || null]
+    );
+    res.json({ patterns: result.rows.map(formatPattern) });
+  } catch (error) {
+    logger.error('Patterns fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch service patterns' });
+  }
+});
+
+router.get('/patterns/:id', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM service_patterns WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Service pattern not found' });
+    res.json({ pattern: formatPattern(result.rows[0]), departures: departureTimes(result.rows[0]).map(gtfs.formatGtfsTime) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch service pattern' });
+  }
+});
+
+router.post('/patterns', authenticateToken, authorizeRoles('admin'), patternValidation(false), handleValidationErrors, async (req, res) => {
+  try {
+    const { routeId, direction, calendarId, firstDeparture, lastDeparture, defaultHeadway, headwayBands, headsign, isActive } = req.body;
+    if (parseTime(lastDeparture) < parseTime(firstDeparture)) {
+      return res.status(400).json({ error: 'lastDeparture must not be before firstDeparture', code: 'VALIDATION_ERROR' });
+    }
+    const result = await pool.query(
+      `INSERT INTO service_patterns (route_id, direction, service_calendar_id, first_departure, last_departure, default_headway, headway_bands, headsign, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [routeId, direction, calendarId, parseTime(firstDeparture), parseTime(lastDeparture), defaultHeadway, encodeBands(headwayBands),
+        headsign || null, isActive === undefined ? true : isActive]
+    );
+    logger.info('Service pattern created', { patternId: result.rows[0].id, routeId, createdBy: req.user.userId });
+    res.status(201).json({ pattern: await getPattern(result.rows[0].id) });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ error: 'The route already has a pattern for this direction and calendar', code: 'DUPLICATE_PATTERN' });
+    if (error.code === '23503') return res.status(400).json({ error: 'Unknown route or calendar', code: 'VALIDATION_ERROR' });
+    logger.error('Pattern create error:', error);
+    res.status(500).json({ error: 'Failed to create service pattern' });
+  }
+});
+
+router.put('/patterns/:id', authenticateToken, authorizeRoles('admin'), patternValidation(true), handleValidationErrors, async (req, res) => {
+  try {
+    const { routeId, direction, calendarId, firstDeparture, lastDeparture, defaultHeadway, headwayBands, headsign, isActive } = req.body;
+    const result = await pool.query(
+      `UPDATE service_patterns SET
+         route_id = COALESCE($2, route_id),
+         direction = COALESCE($3, direction),
+         service_calendar_id = COALESCE($4, service_calendar_id),
+         first_departure = COALESCE($5, first_departure),
+         last_departure = COALESCE($6, last_departure),
+         default_headway = COALESCE($7, default_headway),
+         headway_bands = COALESCE($8, headway_bands),
+         headsign = CASE WHEN $9::boolean THEN $10 ELSE headsign END,
+         is_active = COALESCE($11, is_active)
+       WHERE id = $1 RETURNING id`,
+      [req.params.id, routeId, direction, calendarId, firstDeparture ? parseTime(firstDeparture) : null, lastDeparture ? parseTime(lastDeparture) : null,
+        defaultHeadway, headwayBands ? encodeBands(headwayBands) : null, headsign !== undefined, headsign || null, isActive]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Service pattern not found' });
+    logger.info('Service pattern updated', { patternId: req.params.id, updatedBy: req.user.userId });
+    res.json({ pattern: await getPattern(req.params.id) });
+  } catch (error) {
+    if (error.code === '23514') return res.status(400).json({ error: 'lastDeparture must not be before firstDeparture', code: 'VALIDATION_ERROR' });
+    if (error.code === '23505') return res.status(409).json({ error: 'The route already has a pattern for this direction and calendar', code: 'DUPLICATE_PATTERN' });
+    if (error.code === '23503') return res.status(400).json({ error: 'Unknown route or calendar', code: 'VALIDATION_ERROR' });
+    logger.error('Pattern update error:', error);
+    res.status(500).json({ error: 'Failed to update service pattern' });
+  }
+});
+
+// Trips already generated stay, detached from the pattern
+router.delete('/patterns/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM service_patterns WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Service pattern not found' });
+    logger.info('Service pattern deleted', { patternId: req.params.id, deletedBy: req.user.userId });
+    res.json({ message: 'Service pattern deleted', id: req.params.id });
+  } catch (error) {
+    logger.error('Pattern delete error:', error);
+    res.status(500).json({ error: 'Failed to delete service pattern' });
+  }
+});
+
+// Materialises trips from the patterns; safe to run repeatedly. With assign,
+// unassigned trips in the window are then given to rostered shifts.
+router.post('/generate', authenticateToken, authorizeRoles('admin'), generateValidation, handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const options = {
+      from: req.body.from || serviceToday(),
+      days: req.body.days ? parseInt(req.body.days, 10) : 1,
+      routeId: req.body.routeId || null
+    };
+    await client.query('BEGIN');
+    const report = await generateTimetable(client, options);
+    if (req.body.assign) report.assignments = await autoAssignTrips(client, options);
+    await client.query(req.body.dryRun ? 'ROLLBACK' : 'COMMIT');
+    logger.info('Timetable generated', { ...options, dryRun: Boolean(req.body.dryRun), trips: report.trips, assignments: report.assignments, by: req.user.userId });
+    res.json({ ...options, dryRun: Boolean(req.body.dryRun), report });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Timetable generation error:', error);
+    res.status(500).json({ error: 'Failed to generate timetable' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,84 @@
 const express = require('express');
 const { Pool } = require('pg');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { body, query } = require('express-validator');
+const { authenticateToken, authorizeRoles, handleValidationErrors } = require('../middleware/auth');
+const { transitionTrip, findNextTrip, settleEndedTrip, broadcastTripStatus, tripRooms } = require('../utils/tripLifecycle');
+const { broadcastStopEvents } = require('../utils/stopDetection');
+const { assignTripToDriver, assertTripFitsShift } = require('../utils/roster');
+const { assertVehicleAvailable } = require('../utils/maintenance');
+const { fetchTrack, trackGeoJSON } = require('../utils/track');
+const { flushLocations } = require('../utils/locationWriter');
+const { logger } = require('../utils/logger');
 const router = express.Router();
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
-router.get('/', authenticateToken, async (req, res) => {
+const TRIP_STATUSES = ['scheduled', 'dispatched', 'active', 'completed', 'cancelled'];
+
+const TRANSITION_ERROR_STATUS = { TRIP_NOT_FOUND: 404, TRIP_NOT_ASSIGNED: 403, INVALID_TRANSITION: 409, RESOURCE_BUSY: 409 };
+
+// Answers the request for an error from a vehicle or roster check, if it is one
+const sendAssignmentError = (res, error) => {
+  if (error.code === 'VEHICLE_NOT_FOUND') return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+  if (error.code === 'VEHICLE_UNAVAILABLE' || error.code === 'DRIVER_NOT_ROSTERED') return res.status(409).json({ error: error.message, code: error.code });
+  return null;
+};
+
+const reasonValidation = (required) => [
+  (required ? body('reason') : body('reason').optional({ nullable: true }))
+    .isString().trim().isLength({ min: 3, max: 500 }).withMessage('reason must be 3-500 characters'),
+];
+
+const updateValidation = [
+  body('scheduledStartTime').optional().isISO8601().withMessage('scheduledStartTime must be an ISO 8601 date-time'),
+  body('direction').optional().isIn(['forward', 'backward']).withMessage('direction must be forward or backward'),
+];
+
+const reassignValidation = [
+  body('vehicleId').optional().isUUID().withMessage('vehicleId must be a valid id'),
+  body('driverId').optional().isUUID().withMessage('driverId must be a valid id'),
+  body().custom(value => value.vehicleId || value.driverId).withMessage('vehicleId or driverId is required'),
+  ...reasonValidation(false),
+];
+
+// Runs a dispatcher-initiated transition and answers the request
+const dispatcherTransition = (to, action) => async (req, res) => {
+  try {
+    if (to === 'completed') await flushLocations();
+    const { trip, previousStatus, event } = await transitionTrip(pool, req.params.id, to, {
+      source: 'dispatcher',
+      reason: req.body.reason || null,
+      changedBy: req.user.userId
+    });
+    const io = req.app.get('io');
+    broadcastTripStatus(io, trip, event);
+    if (to === 'completed' || to === 'cancelled') {
+      const { routeId, events } = await settleEndedTrip(pool, trip, previousStatus);
+      broadcastStopEvents(io, { tripId: trip.id, vehicleId: trip.vehicle_id, routeId }, events);
+    }
+    logger.info(`Trip ${action}`, { tripId: trip.id, from: previousStatus, by: req.user.userId, reason: event.reason });
+    res.json({ trip, event });
+  } catch (error) {
+    if (TRANSITION_ERROR_STATUS[error.code]) {
+      return res.status(TRANSITION_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    logger.error(`Trip ${action} error:`, error);
+    res.status(500).json({ error: 'Failed to update trip' });
+  }
+};
+
+router.get('/', authenticateToken, [
+  query('status').optional().isIn(TRIP_STATUSES).withMessage(`status must be one of ${TRIP_STATUSES.join(', ')}`),
+], handleValidationErrors, async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT t.*, v.registration_number, r.name as route_name
        FROM trips t
-       JOIN vehicles v ON t.vehicle_id = v.id
+       LEFT JOIN vehicles v ON t.vehicle_id = v.id
        JOIN routes r ON t.route_id = r.id
-       ORDER BY t.created_at DESC`
+       WHERE ($1::text IS NULL OR t.status = $1)
+       ORDER BY t.created_at DESC`,
+      [req.query.status || null]
     );
     res.json({ trips: result.rows });
   } catch (error) {
@@ -20,17 +86,47 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// A driver can only be given the trip through one of their rostered shifts,
+// and the vehicle must not be in maintenance or out of service
 router.post('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  const client = await pool.connect();
   try {
     const { vehicleId, driverId, routeId, direction, scheduledStartTime } = req.body;
-    const result = await pool.query(
-      `INSERT INTO trips (vehicle_id, driver_id, route_id, direction, scheduled_start_time, status)
-       VALUES ($1, $2, $3, $4, $5, 'scheduled') RETURNING *`,
-      [vehicleId, driverId, routeId, direction || 'forward', scheduledStartTime]
+    if (vehicleId) await assertVehicleAvailable(client, vehicleId);
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO trips (vehicle_id, route_id, direction, scheduled_start_time, status)
+       VALUES ($1, $2, $3, $4, 'scheduled') RETURNING *`,
+      [vehicleId, routeId, direction || 'forward', scheduledStartTime]
     );
-    res.status(201).json({ trip: result.rows[0] });
+    const trip = driverId ? await assignTripToDriver(client, result.rows[0].id, driverId) : result.rows[0];
+    await client.query('COMMIT');
+    res.status(201).json({ trip });
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (sendAssignmentError(res, error)) return;
     res.status(500).json({ error: 'Failed to create trip' });
+  } finally {
+    client.release();
+  }
+});
+
+// The signed-in driver's trip in progress or next trip to start. Admins can
+// look up any driver with ?driverId=.
+router.get('/next', authenticateToken, authorizeRoles('driver', 'admin'), [
+  query('driverId').optional().isUUID().withMessage('driverId must be a valid id'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    let driverId = req.user.role === 'admin' ? req.query.driverId : null;
+    if (!driverId) {
+      const driver = await pool.query('SELECT id FROM drivers WHERE user_id = $1', [req.user.userId]);
+      if (driver.rows.length === 0) return res.status(404).json({ error: 'Driver profile not found' });
+      driverId = driver.rows[0].id;
+    }
+    res.json({ trip: await findNextTrip(pool, driverId) });
+  } catch (error) {
+    logger.error('Next trip lookup error:', error);
+    res.status(500).json({ error: 'Failed to fetch next trip' });
   }
 });
 
@@ -44,5 +140,152 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = router;
+router.get('/:id/events', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT e.id, e.from_status, e.to_status, e.reason, e.source, e.changed_by, u.name AS changed_by_name, e.created_at
+       FROM trip_status_events e
+       LEFT JOIN users u ON u.id = e.changed_by
+       WHERE e.trip_id = $1
+       ORDER BY e.created_at`,
+      [req.params.id]
+    );
+    res.json({ tripId: req.params.id, events: result.rows });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch trip events' });
+  }
+});
 
+// The trip's recorded positions as GeoJSON (?format=line|points, ?tolerance=)
+router.get('/:id/track', authenticateToken, authorizeRoles('admin'), [
+  query('format').optional().isIn(['line', 'points']).withMessage('format must be line or points'),
+  query('tolerance').optional().isFloat({ min: 1, max: 1000 }).withMessage('tolerance must be 1-1000 meters'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const trip = await pool.query('SELECT id, vehicle_id, route_id, status, actual_start_time, actual_end_time FROM trips WHERE id = $1', [req.params.id]);
+    if (trip.rows.length === 0) return res.status(404).json({ error: 'Trip not found' });
+    const { id, vehicle_id: vehicleId, route_id: routeId, status, actual_start_time: startTime, actual_end_time: endTime } = trip.rows[0];
+    const points = await fetchTrack(pool, { tripId: id, from: startTime, to: endTime });
+    res.json(trackGeoJSON(points, { format: req.query.format, tolerance: req.query.tolerance ? parseFloat(req.query.tolerance) : null }, {
+      tripId: id, vehicleId, routeId, status, startTime, endTime
+    }));
+  } catch (error) {
+    logger.error('Trip track fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip track' });
+  }
+});
+
+// Edits the schedule of a trip that has not started. Moving its start moves
+// its stops' scheduled arrivals with it; a rostered trip must still fit its
+// shift.
+router.put('/:id', authenticateToken, authorizeRoles('admin'), updateValidation, handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { scheduledStartTime, direction } = req.body;
+    await client.query('BEGIN');
+    const previous = await client.query('SELECT status, scheduled_start_time FROM trips WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (previous.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    if (!['scheduled', 'dispatched'].includes(previous.rows[0].status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Cannot edit a ${previous.rows[0].status} trip`, code: 'INVALID_TRANSITION' });
+    }
+    const result = await client.query(
+      `UPDATE trips SET
+         scheduled_start_time = COALESCE($2, scheduled_start_time),
+         direction = COALESCE($3, direction)
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id, scheduledStartTime || null, direction || null]
+    );
+    if (scheduledStartTime) {
+      await client.query(
+        'UPDATE trip_stops SET scheduled_arrival = scheduled_arrival + ($2::timestamptz - $3::timestamptz) WHERE trip_id = $1',
+        [req.params.id, result.rows[0].scheduled_start_time, previous.rows[0].scheduled_start_time]
+      );
+      await assertTripFitsShift(client, req.params.id);
+    }
+    await client.query('COMMIT');
+    logger.info('Trip updated', { tripId: req.params.id, updatedBy: req.user.userId });
+    res.json({ trip: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (sendAssignmentError(res, error)) return;
+    logger.error('Trip update error:', error);
+    res.status(500).json({ error: 'Failed to update trip' });
+  } finally {
+    client.release();
+  }
+});
+
+router.post('/:id/dispatch', authenticateToken, authorizeRoles('admin'), reasonValidation(false), handleValidationErrors,
+  dispatcherTransition('dispatched', 'dispatched'));
+
+router.post('/:id/cancel', authenticateToken, authorizeRoles('admin'), reasonValidation(true), handleValidationErrors,
+  dispatcherTransition('cancelled', 'cancelled'));
+
+// Ends a running trip on the driver's behalf, e.g. when the driver app has
+// lost connection
+router.post('/:id/close', authenticateToken, authorizeRoles('admin'), reasonValidation(true), handleValidationErrors,
+  dispatcherTransition('completed', 'force-closed'));
+
+// Moves a trip that has not started to another vehicle and/or driver. A new
+// driver must have a rostered shift that covers the trip.
+router.post('/:id/reassign', authenticateToken, authorizeRoles('admin'), reassignValidation, handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { vehicleId, driverId, reason } = req.body;
+    if (vehicleId) await assertVehicleAvailable(client, vehicleId);
+    if (driverId) {
+      const driver = await client.query('SELECT status FROM drivers WHERE id = $1', [driverId]);
+      if (driver.rows.length === 0) return res.status(400).json({ error: 'Driver not found', code: 'VALIDATION_ERROR' });
+      if (driver.rows[0].status === 'suspended') return res.status(409).json({ error: 'Driver is suspended', code: 'DRIVER_UNAVAILABLE' });
+    }
+
+    await client.query('BEGIN');
+    const previous = await client.query('SELECT status, vehicle_id, driver_id FROM trips WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (previous.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    const { status, vehicle_id: previousVehicleId, driver_id: previousDriverId } = previous.rows[0];
+    if (!['scheduled', 'dispatched'].includes(status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Cannot reassign a ${status} trip`, code: 'INVALID_TRANSITION' });
+    }
+    if (driverId && driverId !== previousDriverId) await assignTripToDriver(client, req.params.id, driverId);
+    const result = await client.query(
+      'UPDATE trips SET vehicle_id = COALESCE($2, vehicle_id) WHERE id = $1 RETURNING *',
+      [req.params.id, vehicleId || null]
+    );
+    await client.query('COMMIT');
+    const trip = result.rows[0];
+
+    // Both the old and the new vehicle and driver hear about the change
+    const rooms = new Set([...tripRooms(trip), `vehicle:${previousVehicleId}`, `driver:${previousDriverId}`]);
+    req.app.get('io').to([...rooms]).emit('trip_assignment_update', {
+      tripId: trip.id,
+      routeId: trip.route_id,
+      status: trip.status,
+      vehicleId: trip.vehicle_id,
+      driverId: trip.driver_id,
+      shiftId: trip.shift_id,
+      previousVehicleId,
+      previousDriverId,
+      reason: reason || null
+    });
+    logger.info('Trip reassigned', { tripId: trip.id, vehicleId: trip.vehicle_id, driverId: trip.driver_id, by: req.user.userId, reason });
+    res.json({ trip });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (sendAssignmentError(res, error)) return;
+    logger.error('Trip reassign error:', error);
+    res.status(500).json({ error: 'Failed to reassign trip' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,32 @@
 const express = require('express');
 const { Pool } = require('pg');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { body, query } = require('express-validator');
+const { authenticateToken, authorizeRoles, handleValidationErrors } = require('../middleware/auth');
+const { SERVICE_TYPES, UNAVAILABLE_STATUSES, fleetHealth, checkMaintenanceDue } = require('../utils/maintenance');
+const { broadcastAlert, resolveAlerts } = require('../utils/alerts');
+const { fetchTrack, trackGeoJSON } = require('../utils/track');
+const { logger } = require('../utils/logger');
 const router = express.Router();
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
+const HEALTH_STATES = ['ok', 'due', 'overdue'];
+const MAX_TRACK_HOURS = 24;
+
+const maintenanceValidation = [
+  body('serviceType').isIn(SERVICE_TYPES).withMessage(`serviceType must be one of ${SERVICE_TYPES.join(', ')}`),
+  body('performedAt').optional().isISO8601().withMessage('performedAt must be an ISO 8601 date-time'),
+  body('odometerKm').optional().isFloat({ min: 0 }).withMessage('odometerKm must be a positive number'),
+  body('cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('cost must be a positive number'),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }).withMessage('notes must be at most 2000 characters'),
+  body('intervalKm').optional({ nullable: true }).isInt({ min: 1 }).withMessage('intervalKm must be a positive whole number'),
+  body('intervalDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('intervalDays must be a positive whole number'),
+  body('returnToService').optional().isBoolean().withMessage('returnToService must be a boolean'),
+];
+
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query('SELECT id, registration_number, model, capacity, status, assigned_driver_id, assigned_route_id FROM vehicles ORDER BY created_at DESC');
+    const result = await pool.query('SELECT id, registration_number, model, capacity, status, assigned_driver_id, assigned_route_id, odometer_km, last_maintenance FROM vehicles ORDER BY created_at DESC');
     res.json({ vehicles: result.rows });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch vehicles' });
@@ -28,6 +47,21 @@ router.post('/', authenticateToken, authorizeRoles('admin'), async (req, res) =>
   }
 });
 
+// Services due soon or overdue across the fleet (?state=ok|due|overdue to
+// pick one; by default everything that needs attention)
+router.get('/maintenance/due', authenticateToken, authorizeRoles('admin'), [
+  query('state').optional().isIn(HEALTH_STATES).withMessage(`state must be one of ${HEALTH_STATES.join(', ')}`),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const health = await fleetHealth(pool);
+    const services = health.filter(service => (req.query.state ? service.state === req.query.state : service.state !== 'ok'));
+    res.json({ services });
+  } catch (error) {
+    logger.error('Fleet health fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance status' });
+  }
+});
+
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM vehicles WHERE id = $1', [req.params.id]);
@@ -38,9 +72,21 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// A vehicle in maintenance or out of service can't be assigned a driver or
+// route, and can't be taken off the road mid-trip
 router.put('/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   try {
     const { model, capacity, fuelType, status, assignedDriverId, assignedRouteId } = req.body;
+    const current = await pool.query('SELECT status FROM vehicles WHERE id = $1', [req.params.id]);
+    if (current.rows.length === 0) return res.status(404).json({ error: 'Vehicle not found' });
+    const nextStatus = status || current.rows[0].status;
+    if (UNAVAILABLE_STATUSES.includes(nextStatus) && (assignedDriverId || assignedRouteId)) {
+      return res.status(409).json({ error: `Cannot assign a vehicle that is ${nextStatus}`, code: 'VEHICLE_UNAVAILABLE' });
+    }
+    if (UNAVAILABLE_STATUSES.includes(nextStatus) && nextStatus !== current.rows[0].status) {
+      const running = await pool.query(`SELECT id FROM trips WHERE vehicle_id = $1 AND status = 'active'`, [req.params.id]);
+      if (running.rows.length > 0) return res.status(409).json({ error: 'The vehicle is on an active trip', code: 'RESOURCE_BUSY' });
+    }
     const result = await pool.query(
       `UPDATE vehicles SET model = COALESCE($2, model), capacity = COALESCE($3, capacity), fuel_type = COALESCE($4, fuel_type),
        status = COALESCE($5, status), assigned_driver_id = COALESCE($6, assigned_driver_id), assigned_route_id = COALESCE($7, assigned_route_id), updated_at = NOW()
@@ -54,5 +100,104 @@ router.put('/:id', authenticateToken, authorizeRoles('admin'), async (req, res)
   }
 });
 
+// Where the vehicle was between from and to, as GeoJSON (?format=line|points,
+// ?tolerance= meters to simplify; long tracks are simplified regardless)
+router.get('/:id/track', authenticateToken, authorizeRoles('admin'), [
+  query('from').isISO8601().withMessage('from must be an ISO 8601 date-time'),
+  query('to').isISO8601().withMessage('to must be an ISO 8601 date-time'),
+  query('format').optional().isIn(['line', 'points']).withMessage('format must be line or points'),
+  query('tolerance').optional().isFloat({ min: 1, max: 1000 }).withMessage('tolerance must be 1-1000 meters'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+    if (!(to > from) || to - from > MAX_TRACK_HOURS * 3600 * 1000) {
+      return res.status(400).json({ error: `to must be after from and at most ${MAX_TRACK_HOURS} hours later`, code: 'VALIDATION_ERROR' });
+    }
+    const vehicle = await pool.query('SELECT id, registration_number FROM vehicles WHERE id = $1', [req.params.id]);
+    if (vehicle.rows.length === 0) return res.status(404).json({ error: 'Vehicle not found' });
+    const points = await fetchTrack(pool, { vehicleId: req.params.id, from, to });
+    res.json(trackGeoJSON(points, { format: req.query.format, tolerance: req.query.tolerance ? parseFloat(req.query.tolerance) : null }, {
+      vehicleId: req.params.id,
+      registrationNumber: vehicle.rows[0].registration_number,
+      from: from.toISOString(),
+      to: to.toISOString()
+    }));
+  } catch (error) {
+    logger.error('Vehicle track fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch vehicle track' });
+  }
+});
+
+router.get('/:id/maintenance', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const vehicle = await pool.query('SELECT id, registration_number, status, odometer_km, last_maintenance FROM vehicles WHERE id = $1', [req.params.id]);
+    if (vehicle.rows.length === 0) return res.status(404).json({ error: 'Vehicle not found' });
+    const records = await pool.query(
+      `SELECT m.*, to_char(m.next_due_date, 'YYYY-MM-DD') AS next_due_date, u.name AS recorded_by_name
+       FROM maintenance_records m LEFT JOIN users u ON u.id = m.recorded_by
+       WHERE m.vehicle_id = $1
+       ORDER BY m.performed_at DESC`,
+      [req.params.id]
+    );
+    res.json({ vehicle: vehicle.rows[0], services: await fleetHealth(pool, req.params.id), records: records.rows });
+  } catch (error) {
+    logger.error('Maintenance history fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance history' });
+  }
+});
+
+// Logs a service. The odometer reading, if given, replaces the tracked
+// odometer unless a later service has already been logged. intervalKm and
+// intervalDays set when the service is next due.
+router.post('/:id/maintenance', authenticateToken, authorizeRoles('admin'), maintenanceValidation, handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { serviceType, performedAt, odometerKm, cost, notes, intervalKm, intervalDays, returnToService } = req.body;
+    await client.query('BEGIN');
+    const vehicle = await client.query('SELECT odometer_km FROM vehicles WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (vehicle.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+    const result = await client.query(
+      `INSERT INTO maintenance_records (vehicle_id, service_type, performed_at, odometer_km, cost, notes, interval_km, interval_days, next_due_km, next_due_date, recorded_by)
+       VALUES ($1, $2, COALESCE($3::timestamptz, NOW()), $4::numeric, $5, $6, $7::int, $8::int,
+               $4::numeric + $7::int, COALESCE($3::timestamptz, NOW())::date + $8::int, $9)
+       RETURNING *, to_char(next_due_date, 'YYYY-MM-DD') AS next_due_date`,
+      [req.params.id, serviceType, performedAt || null, odometerKm ?? vehicle.rows[0].odometer_km, cost ?? null, notes || null,
+        intervalKm ?? null, intervalDays ?? null, req.user.userId]
+    );
+    const record = result.rows[0];
+    const updated = await client.query(
+      `UPDATE vehicles SET
+         odometer_km = CASE WHEN $2::boolean AND NOT EXISTS (
+           SELECT 1 FROM maintenance_records WHERE vehicle_id = $1 AND performed_at > $3
+         ) THEN $4 ELSE odometer_km END,
+         last_maintenance = GREATEST(last_maintenance, $3),
+         status = CASE WHEN $5::boolean AND status = 'maintenance' THEN 'active' ELSE status END,
+         updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [req.params.id, odometerKm !== undefined, record.performed_at, record.odometer_km, Boolean(returnToService)]
+    );
+    await client.query('COMMIT');
+
+    // Earlier alerts for this service are settled by the new record; the check
+    // raises new ones if it is still (or already again) due
+    const io = req.app.get('io');
+    const resolved = await resolveAlerts(pool, [`maintenance_due:${req.params.id}:${serviceType}`, `maintenance_overdue:${req.params.id}:${serviceType}`]);
+    const changes = await checkMaintenanceDue(pool, req.params.id);
+    [...resolved, ...changes].forEach(alert => broadcastAlert(io, alert));
+    logger.info('Maintenance recorded', { vehicleId: req.params.id, serviceType, recordId: record.id, by: req.user.userId });
+    res.status(201).json({ record, vehicle: updated.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Maintenance record error:', error);
+    res.status(500).json({ error: 'Failed to record maintenance' });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,179 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+const {
+  predictArrivals,
+  fetchRouteProfile,
+  querySegmentStats,
+  queryPassages,
+  indexSegmentStats,
+  trainSegmentModel,
+  naiveSeconds
+} = require('../utils/etaEngine');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HORIZONS = [[0, 5], [5, 15], [15, 30], [30, Infinity]]; // minutes
+
+const usage = () => {
+  console.log('Usage: node scripts/etaModel.js <train|evaluate> [options]');
+  console.log('  train     Rebuild segment travel times from completed trips');
+  console.log('    --days=56         History window to learn from (default 56)');
+  console.log('  evaluate  Report prediction error against recent completed trips');
+  console.log('    --days=7          Evaluation window ending now (default 7)');
+  console.log('    --train-days=56   History before the window used to train (default 56)');
+  console.log('    --json            Print the report as JSON');
+};
+
+const parseArgs = (argv) => {
+  const options = { command: null, days: null, trainDays: 56, json: false };
+  for (const arg of argv) {
+    if (arg === '--json') options.json = true;
+    else if (arg.startsWith('--days=')) options.days = parseInt(arg.slice(7), 10);
+    else if (arg.startsWith('--train-days=')) options.trainDays = parseInt(arg.slice(13), 10);
+    else if (!arg.startsWith('--')) options.command = arg;
+  }
+  if (options.days === null) options.days = options.command === 'train' ? 56 : 7;
+  if (!Number.isInteger(options.days) || options.days < 1 || options.days > 365) throw new Error('--days must be between 1 and 365');
+  if (!Number.isInteger(options.trainDays) || options.trainDays < 1 || options.trainDays > 365) throw new Error('--train-days must be between 1 and 365');
+  return options;
+};
+
+async function train(options) {
+  const to = new Date();
+  const from = new Date(to.getTime() - options.days * DAY_MS);
+  console.log(`🧠 Training segment travel times from trips between ${from.toISOString()} and ${to.toISOString()}...`);
+  const client = await pool.connect();
+  try {
+    const rows = await trainSegmentModel(client, from, to);
+    console.log(`✅ Stored ${rows} segment buckets`);
+  } finally {
+    client.release();
+  }
+}
+
+const createAccumulator = () => ({ count: 0, absError: 0, squaredError: 0, error: 0, withinBand: 0, baselineAbsError: 0, absErrors: [] });
+
+const accumulate = (acc, sample) => {
+  acc.count++;
+  acc.error += sample.error;
+  acc.absError += Math.abs(sample.error);
+  acc.squaredError += sample.error ** 2;
+  acc.withinBand += sample.withinBand ? 1 : 0;
+  acc.baselineAbsError += Math.abs(sample.baselineError);
+  acc.absErrors.push(Math.abs(sample.error));
+};
+
+// Errors are reported in minutes; positive bias means predictions run late
+const summarise = (acc) => {
+  if (acc.count === 0) return { samples: 0 };
+  const sorted = acc.absErrors.sort((a, b) => a - b);
+  const round = (seconds) => Math.round(seconds / 6) / 10;
+  return {
+    samples: acc.count,
+    mae: round(acc.absError / acc.count),
+    rmse: round(Math.sqrt(acc.squaredError / acc.count)),
+    bias: round(acc.error / acc.count),
+    p90AbsError: round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.9))]),
+    bandCoverage: Math.round((acc.withinBand / acc.count) * 1000) / 10,
+    baselineMae: round(acc.baselineAbsError / acc.count)
+  };
+};
+
+// Replays each past trip from every stop it reached, predicting the rest of
+// the trip with a model trained only on data from before the window.
+async function evaluate(options) {
+  const evalTo = new Date();
+  const evalFrom = new Date(evalTo.getTime() - options.days * DAY_MS);
+  const trainFrom = new Date(evalFrom.getTime() - options.trainDays * DAY_MS);
+  if (!options.json) console.log(`📊 Training on ${trainFrom.toISOString().slice(0, 10)}..${evalFrom.toISOString().slice(0, 10)}, evaluating ${evalFrom.toISOString().slice(0, 10)}..${evalTo.toISOString().slice(0, 10)}`);
+
+  const segments = indexSegmentStats(await querySegmentStats(pool, trainFrom, evalFrom));
+  const passages = await queryPassages(pool, evalFrom, evalTo);
+
+  const trips = new Map();
+  for (const row of passages) {
+    if (!trips.has(row.trip_id)) trips.set(row.trip_id, { routeId: row.route_id, direction: row.direction, passed: new Map() });
+    if (row.passed_at) trips.get(row.trip_id).passed.set(row.bus_stop_id, new Date(row.passed_at).getTime());
+  }
+
+  const profiles = new Map();
+  const overall = createAccumulator();
+  const byHorizon = HORIZONS.map(() => createAccumulator());
+  const byRoute = new Map();
+  let tripsEvaluated = 0;
+
+  for (const trip of trips.values()) {
+    if (trip.passed.size < 2) continue;
+    const profileKey = `${trip.routeId}:${trip.direction}`;
+    if (!profiles.has(profileKey)) profiles.set(profileKey, await fetchRouteProfile(pool, trip.routeId, trip.direction));
+    const profile = profiles.get(profileKey);
+    if (!byRoute.has(trip.routeId)) byRoute.set(trip.routeId, createAccumulator());
+    tripsEvaluated++;
+
+    profile.stops.forEach((origin, index) => {
+      const startedAt = trip.passed.get(origin.stopId);
+      if (startedAt === undefined || index === profile.stops.length - 1) return;
+      const predictions = predictArrivals(profile, segments, { along: origin.along, nextIndex: index + 1, at: startedAt });
+      predictions.forEach((prediction, offset) => {
+        const actual = trip.passed.get(prediction.stopId);
+        if (actual === undefined || actual <= startedAt) return;
+        const target = profile.stops[index + 1 + offset];
+        const sample = {
+          error: (prediction.arrival - actual) / 1000,
+          withinBand: actual >= prediction.low && actual <= prediction.high,
+          baselineError: naiveSeconds(origin, target) - (actual - startedAt) / 1000
+        };
+        accumulate(overall, sample);
+        accumulate(byRoute.get(trip.routeId), sample);
+        const horizonMinutes = (actual - startedAt) / 60000;
+        const horizon = HORIZONS.findIndex(([min, max]) => horizonMinutes >= min && horizonMinutes < max);
+        accumulate(byHorizon[horizon], sample);
+      });
+    });
+  }
+
+  const routeNames = new Map();
+  if (byRoute.size > 0) {
+    const result = await pool.query('SELECT id, name FROM routes WHERE id = ANY($1::uuid[])', [[...byRoute.keys()]]);
+    result.rows.forEach(row => routeNames.set(row.id, row.name));
+  }
+
+  const report = {
+    window: { trainFrom, evalFrom, evalTo },
+    trips: tripsEvaluated,
+    overall: summarise(overall),
+    byHorizon: HORIZONS.map(([min, max], index) => ({ horizon: max === Infinity ? `${min}+ min` : `${min}-${max} min`, ...summarise(byHorizon[index]) })),
+    byRoute: [...byRoute].map(([routeId, acc]) => ({ routeId, route: routeNames.get(routeId) || routeId, ...summarise(acc) }))
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  console.log(`\n🚌 Trips evaluated: ${report.trips}`);
+  if (report.overall.samples === 0) {
+    console.log('⚠️  No stop passages found in the evaluation window');
+    return;
+  }
+  console.log('\nErrors in minutes (baseline = straight line at 30 km/h):');
+  console.table([{ group: 'overall', ...report.overall }, ...report.byHorizon.map(({ horizon, ...row }) => ({ group: horizon, ...row }))]);
+  console.table(report.byRoute.map(({ routeId, route, ...row }) => ({ group: route, ...row })));
+}
+
+(async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.command === 'train') await train(options);
+    else if (options.command === 'evaluate') await evaluate(options);
+    else {
+      usage();
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ ETA model command failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
@@ -0,0 +1,70 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+const { serviceToday, generateTimetable } = require('../utils/timetable');
+const { autoAssignTrips } = require('../utils/roster');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const MAX_DAYS = 31;
+
+const usage = () => {
+  console.log('Usage: node scripts/generateTimetable.js [--from=YYYY-MM-DD] [--days=7] [--route=<id>] [--assign] [--dry-run]');
+  console.log('  --from     First service day to generate (default today)');
+  console.log('  --days     Number of service days (default 7)');
+  console.log('  --route    Only generate trips for this route');
+  console.log('  --assign   Assign unassigned trips to rostered driver shifts');
+  console.log('  --dry-run  Report what would change without writing');
+};
+
+const parseArgs = (argv) => {
+  const options = { from: serviceToday(), days: 7, routeId: null, assign: false, dryRun: false, help: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--assign') options.assign = true;
+    else if (arg === '--help') options.help = true;
+    else if (arg.startsWith('--from=')) options.from = arg.slice(7);
+    else if (arg.startsWith('--days=')) options.days = parseInt(arg.slice(7), 10);
+    else if (arg.startsWith('--route=')) options.routeId = arg.slice(8);
+  }
+  if (!Number.isInteger(options.days) || options.days < 1 || options.days > MAX_DAYS) throw new Error(`--days must be between 1 and ${MAX_DAYS}`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.from)) throw new Error('--from must be YYYY-MM-DD');
+  return options;
+};
+
+async function generate(options) {
+  console.log(`📅 Generating trips from ${options.from} for ${options.days} days${options.routeId ? ` on route ${options.routeId}` : ''}...`);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const report = await generateTimetable(client, options);
+    const assignments = options.assign ? await autoAssignTrips(client, options) : null;
+    await client.query(options.dryRun ? 'ROLLBACK' : 'COMMIT');
+    console.log(`\n📊 ${report.patterns} service patterns over ${report.dates} days:`);
+    console.log(`   trips      created: ${report.trips.created}, already existed: ${report.trips.existing}, removed: ${report.trips.removed}`);
+    console.log(`   tripStops  created: ${report.tripStops.created}`);
+    if (assignments) console.log(`   rostered   assigned: ${assignments.assigned}, left unassigned: ${assignments.unassigned}`);
+    report.skippedPatterns.forEach(p => console.log(`   ⚠️  Skipped pattern ${p.patternId}: ${p.reason}`));
+    console.log(options.dryRun ? '\n🔍 Dry run, nothing written' : '\n🎉 Timetable generated');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+(async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      usage();
+      return;
+    }
+    await generate(options);
+  } catch (error) {
+    console.error('❌ Timetable generation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
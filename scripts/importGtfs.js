@@ -0,0 +1,503 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+const { readZip } = require('../utils/zip');
+const gtfs = require('../utils/gtfs');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const DEFAULT_TIMEZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+const MAX_LISTED_REJECTIONS = 50;
+
+const usage = () => {
+  console.log('Usage: node scripts/importGtfs.js <feed.zip> [--days=7] [--from=YYYY-MM-DD] [--dry-run]');
+  console.log('  --days     Number of service days to materialise into trips (default 7)');
+  console.log('  --from     First service day to materialise (default today)');
+  console.log('  --dry-run  Validate the feed and report without writing to the database');
+};
+
+const parseArgs = (argv) => {
+  const options = { file: null, days: 7, from: new Date().toISOString().slice(0, 10), dryRun: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg.startsWith('--days=')) options.days = parseInt(arg.slice(7), 10);
+    else if (arg.startsWith('--from=')) options.from = arg.slice(7);
+    else if (!arg.startsWith('--')) options.file = arg;
+  }
+  if (!Number.isInteger(options.days) || options.days < 1 || options.days > 366) throw new Error('--days must be between 1 and 366');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.from)) throw new Error('--from must be YYYY-MM-DD');
+  return options;
+};
+
+const createReport = () => {
+  const entities = ['routes', 'stops', 'calendars', 'shapes', 'routeStops', 'trips', 'tripStops'];
+  const report = { rejections: [] };
+  for (const entity of entities) report[entity] = { created: 0, updated: 0, rejected: 0, removed: 0 };
+  report.reject = (entity, id, reason) => {
+    report[entity].rejected++;
+    report.rejections.push({ entity, id, reason });
+  };
+  return report;
+};
+
+// Turns the parsed feed into validated, database-ready structures. Invalid
+// rows are recorded on the report and left out.
+const prepareFeed = (files, report) => {
+  const agency = files['agency.txt'] && files['agency.txt'].records[0];
+  const timezone = (agency && agency.agency_timezone) || DEFAULT_TIMEZONE;
+  const feedInfo = files['feed_info.txt'] && files['feed_info.txt'].records[0];
+
+  const stops = new Map();
+  for (const row of files['stops.txt'].records) {
+    if (row.location_type && row.location_type !== '0') continue;
+    const lat = parseFloat(row.stop_lat);
+    const lng = parseFloat(row.stop_lon);
+    if (!row.stop_id) { report.reject('stops', null, 'Missing stop_id'); continue; }
+    if (stops.has(row.stop_id)) { report.reject('stops', row.stop_id, 'Duplicate stop_id'); continue; }
+    if (!row.stop_name) { report.reject('stops', row.stop_id, 'Missing stop_name'); continue; }
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180 || (lat === 0 && lng === 0)) {
+      report.reject('stops', row.stop_id, 'Invalid coordinates'); continue;
+    }
+    stops.set(row.stop_id, {
+      gtfsId: row.stop_id,
+      name: row.stop_name.slice(0, 100),
+      code: row.stop_code || null,
+      address: row.stop_desc || null,
+      amenities: row.wheelchair_boarding === '1' ? ['wheelchair_accessible'] : [],
+      lat,
+      lng
+    });
+  }
+
+  const routes = new Map();
+  for (const row of files['routes.txt'].records) {
+    if (!row.route_id) { report.reject('routes', null, 'Missing route_id'); continue; }
+    if (routes.has(row.route_id)) { report.reject('routes', row.route_id, 'Duplicate route_id'); continue; }
+    const name = row.route_long_name || row.route_short_name;
+    if (!name) { report.reject('routes', row.route_id, 'Missing route_short_name and route_long_name'); continue; }
+    routes.set(row.route_id, {
+      gtfsId: row.route_id,
+      name: name.slice(0, 100),
+      shortName: row.route_short_name ? row.route_short_name.slice(0, 50) : null,
+      description: row.route_desc || null,
+      color: gtfs.parseGtfsColor(row.route_color) || '#3B82F6',
+      textColor: gtfs.parseGtfsColor(row.route_text_color)
+    });
+  }
+
+  const calendars = new Map();
+  const calendarFor = (serviceId) => {
+    if (!calendars.has(serviceId)) calendars.set(serviceId, { gtfsId: serviceId, calendar: null, exceptions: new Map() });
+    return calendars.get(serviceId);
+  };
+  for (const row of (files['calendar.txt'] || { records: [] }).records) {
+    const startDate = gtfs.parseGtfsDate(row.start_date);
+    const endDate = gtfs.parseGtfsDate(row.end_date);
+    if (!row.service_id || !startDate || !endDate || endDate < startDate) {
+      report.reject('calendars', row.service_id || null, 'Invalid service_id or date range'); continue;
+    }
+    const calendar = { start_date: startDate, end_date: endDate };
+    for (const day of gtfs.WEEKDAYS) calendar[day] = row[day] === '1';
+    calendarFor(row.service_id).calendar = calendar;
+  }
+  for (const row of (files['calendar_dates.txt'] || { records: [] }).records) {
+    const date = gtfs.parseGtfsDate(row.date);
+    if (!row.service_id || !date || !['1', '2'].includes(row.exception_type)) {
+      report.reject('calendars', row.service_id || null, `Invalid calendar_dates row for ${row.date}`); continue;
+    }
+    calendarFor(row.service_id).exceptions.set(date, row.exception_type === '1' ? 'added' : 'removed');
+  }
+
+  const shapes = new Map();
+  if (files['shapes.txt']) {
+    const points = new Map();
+    for (const row of files['shapes.txt'].records) {
+      const lat = parseFloat(row.shape_pt_lat);
+      const lng = parseFloat(row.shape_pt_lon);
+      const sequence = parseInt(row.shape_pt_sequence, 10);
+      if (!row.shape_id || !Number.isFinite(lat) || !Number.isFinite(lng) || !Number.isInteger(sequence)) continue;
+      if (!points.has(row.shape_id)) points.set(row.shape_id, []);
+      points.get(row.shape_id).push({ lat, lng, sequence });
+    }
+    for (const [shapeId, shapePoints] of points) {
+      if (shapePoints.length < 2) { report.reject('shapes', shapeId, 'Shape has fewer than two points'); continue; }
+      shapes.set(shapeId, shapePoints.sort((a, b) => a.sequence - b.sequence));
+    }
+  }
+
+  const stopTimesByTrip = new Map();
+  for (const row of files['stop_times.txt'].records) {
+    if (!stopTimesByTrip.has(row.trip_id)) stopTimesByTrip.set(row.trip_id, []);
+    stopTimesByTrip.get(row.trip_id).push(row);
+  }
+
+  const trips = new Map();
+  for (const row of files['trips.txt'].records) {
+    if (!row.trip_id) { report.reject('trips', null, 'Missing trip_id'); continue; }
+    if (trips.has(row.trip_id)) { report.reject('trips', row.trip_id, 'Duplicate trip_id'); continue; }
+    if (!routes.has(row.route_id)) { report.reject('trips', row.trip_id, `Unknown route_id ${row.route_id}`); continue; }
+    if (!calendars.has(row.service_id)) { report.reject('trips', row.trip_id, `Unknown service_id ${row.service_id}`); continue; }
+
+    const stopTimes = buildStopTimes(stopTimesByTrip.get(row.trip_id) || [], stops);
+    if (typeof stopTimes === 'string') { report.reject('trips', row.trip_id, stopTimes); continue; }
+
+    trips.set(row.trip_id, {
+      gtfsId: row.trip_id,
+      routeId: row.route_id,
+      serviceId: row.service_id,
+      direction: gtfs.directionFromGtfs(row.direction_id),
+      headsign: row.trip_headsign || null,
+      shapeId: shapes.has(row.shape_id) ? row.shape_id : null,
+      stopTimes
+    });
+  }
+
+  return { timezone, feedVersion: feedInfo ? feedInfo.feed_version || null : null, stops, routes, calendars, shapes, trips };
+};
+
+// Sorts a trip's stop_times, interpolates blank (non-timepoint) times and
+// returns [{ stopId, seconds }] or an error message string.
+const buildStopTimes = (rows, stops) => {
+  const sorted = rows
+    .map(row => ({ ...row, sequence: parseInt(row.stop_sequence, 10) }))
+    .filter(row => Number.isInteger(row.sequence))
+    .sort((a, b) => a.sequence - b.sequence);
+  if (sorted.length < 2) return 'Trip has fewer than two stop_times';
+
+  const times = [];
+  for (const row of sorted) {
+    if (!stops.has(row.stop_id)) return `stop_times references unknown stop_id ${row.stop_id}`;
+    times.push({ stopId: row.stop_id, seconds: gtfs.parseGtfsTime(row.arrival_time || row.departure_time) });
+  }
+  if (times[0].seconds === null || times[times.length - 1].seconds === null) return 'First and last stop_times must have times';
+
+  for (let i = 1; i < times.length - 1; i++) {
+    if (times[i].seconds !== null) continue;
+    const previous = i - 1;
+    let next = i + 1;
+    while (times[next].seconds === null) next++;
+    const step = (times[next].seconds - times[previous].seconds) / (next - previous);
+    times[i].seconds = Math.round(times[previous].seconds + step);
+  }
+  for (let i = 1; i < times.length; i++) {
+    if (times[i].seconds < times[i - 1].seconds) return `stop_times go backwards in time at stop ${times[i].stopId}`;
+  }
+  return times;
+};
+
+// Picks the trip with the most stops for each route and direction. Its stop
+// pattern becomes route_stops and its shape the route shape.
+const pickRepresentativeTrips = (trips) => {
+  const representatives = new Map();
+  for (const trip of trips.values()) {
+    const key = `${trip.routeId}|${trip.direction}`;
+    const current = representatives.get(key);
+    if (!current || trip.stopTimes.length > current.stopTimes.length) representatives.set(key, trip);
+  }
+  return representatives;
+};
+
+const upsertRoutes = async (client, feed, report) => {
+  const ids = new Map();
+  for (const route of feed.routes.values()) {
+    const result = await client.query(
+      `INSERT INTO routes (gtfs_route_id, name, short_name, description, color, text_color, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, true)
+       ON CONFLICT (gtfs_route_id) DO UPDATE SET
+         name = EXCLUDED.name, short_name = EXCLUDED.short_name, description = EXCLUDED.description,
+         color = EXCLUDED.color, text_color = EXCLUDED.text_color, is_active = true
+       RETURNING id, (xmax = 0) AS inserted`,
+      [route.gtfsId, route.name, route.shortName, route.description, route.color, route.textColor]
+    );
+    ids.set(route.gtfsId, result.rows[0].id);
+    report.routes[result.rows[0].inserted ? 'created' : 'updated']++;
+  }
+  const stale = await client.query(
+    `UPDATE routes SET is_active = false
+     WHERE gtfs_route_id IS NOT NULL AND NOT (gtfs_route_id = ANY($1)) AND is_active = true
+     RETURNING id`,
+    [[...ids.keys()]]
+  );
+  report.routes.removed = stale.rowCount;
+  return ids;
+};
+
+const upsertStops = async (client, feed, report) => {
+  const ids = new Map();
+  for (const stop of feed.stops.values()) {
+    const result = await client.query(
+      `INSERT INTO bus_stops (gtfs_stop_id, name, code, location, address, amenities, is_active)
+       VALUES ($1, $2, $3, ST_GeogFromText($4), $5, $6, true)
+       ON CONFLICT (gtfs_stop_id) DO UPDATE SET
+         name = EXCLUDED.name, code = EXCLUDED.code, location = EXCLUDED.location,
+         address = COALESCE(EXCLUDED.address, bus_stops.address),
+         amenities = CASE WHEN cardinality(EXCLUDED.amenities) > 0 THEN EXCLUDED.amenities ELSE bus_stops.amenities END,
+         is_active = true
+       RETURNING id, (xmax = 0) AS inserted`,
+      [stop.gtfsId, stop.name, stop.code, `POINT(${stop.lng} ${stop.lat})`, stop.address, stop.amenities]
+    );
+    ids.set(stop.gtfsId, result.rows[0].id);
+    report.stops[result.rows[0].inserted ? 'created' : 'updated']++;
+  }
+  const stale = await client.query(
+    `UPDATE bus_stops SET is_active = false
+     WHERE gtfs_stop_id IS NOT NULL AND NOT (gtfs_stop_id = ANY($1)) AND is_active = true
+     RETURNING id`,
+    [[...ids.keys()]]
+  );
+  report.stops.removed = stale.rowCount;
+  return ids;
+};
+
+const upsertCalendars = async (client, feed, report) => {
+  const ids = new Map();
+  for (const service of feed.calendars.values()) {
+    const exceptionDates = [...service.exceptions.keys()].sort();
+    const calendar = service.calendar || {
+      start_date: exceptionDates[0],
+      end_date: exceptionDates[exceptionDates.length - 1]
+    };
+    const result = await client.query(
+      `INSERT INTO service_calendars (gtfs_service_id, name, monday, tuesday, wednesday, thursday, friday, saturday, sunday, start_date, end_date)
+       VALUES ($1, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (gtfs_service_id) DO UPDATE SET
+         monday = EXCLUDED.monday, tuesday = EXCLUDED.tuesday, wednesday = EXCLUDED.wednesday,
+         thursday = EXCLUDED.thursday, friday = EXCLUDED.friday, saturday = EXCLUDED.saturday,
+         sunday = EXCLUDED.sunday, start_date = EXCLUDED.start_date, end_date = EXCLUDED.end_date
+       RETURNING id, (xmax = 0) AS inserted`,
+      [service.gtfsId, Boolean(calendar.monday), Boolean(calendar.tuesday), Boolean(calendar.wednesday),
+        Boolean(calendar.thursday), Boolean(calendar.friday), Boolean(calendar.saturday), Boolean(calendar.sunday),
+        calendar.start_date, calendar.end_date]
+    );
+    const calendarId = result.rows[0].id;
+    ids.set(service.gtfsId, calendarId);
+    report.calendars[result.rows[0].inserted ? 'created' : 'updated']++;
+
+    await client.query('DELETE FROM service_calendar_dates WHERE calendar_id = $1', [calendarId]);
+    if (exceptionDates.length > 0) {
+      await client.query(
+        `INSERT INTO service_calendar_dates (calendar_id, service_date, exception_type)
+         SELECT $1, d.service_date, d.exception_type
+         FROM unnest($2::date[], $3::varchar[]) AS d(service_date, exception_type)`,
+        [calendarId, exceptionDates, exceptionDates.map(date => service.exceptions.get(date))]
+      );
+    }
+  }
+  return ids;
+};
+
+const replaceRoutePatterns = async (client, feed, routeIds, stopIds, report) => {
+  const representatives = pickRepresentativeTrips(feed.trips);
+  for (const [gtfsRouteId, routeId] of routeIds) {
+    const forward = representatives.get(`${gtfsRouteId}|forward`);
+    const backward = representatives.get(`${gtfsRouteId}|backward`);
+
+    for (const trip of [forward, backward]) {
+      if (!trip || !trip.shapeId) continue;
+      const points = feed.shapes.get(trip.shapeId);
+      const lineString = `LINESTRING(${points.map(p => `${p.lng} ${p.lat}`).join(', ')})`;
+      const result = await client.query(
+        `INSERT INTO route_shapes (route_id, direction, shape, gtfs_shape_id)
+         VALUES ($1, $2, ST_GeogFromText($3), $4)
+         ON CONFLICT (route_id, direction) DO UPDATE SET shape = EXCLUDED.shape, gtfs_shape_id = EXCLUDED.gtfs_shape_id
+         RETURNING (xmax = 0) AS inserted`,
+        [routeId, trip.direction, lineString, trip.shapeId]
+      );
+      report.shapes[result.rows[0].inserted ? 'created' : 'updated']++;
+    }
+
+    // route_stops holds a single ordered pattern per route, the forward one when available
+    const pattern = forward || backward;
+    if (!pattern) continue;
+    const seen = new Set();
+    const orderedStops = [];
+    let previousSeconds = null;
+    for (const stopTime of pattern.stopTimes) {
+      if (seen.has(stopTime.stopId)) continue;
+      seen.add(stopTime.stopId);
+      orderedStops.push({
+        stopId: stopIds.get(stopTime.stopId),
+        travelTime: previousSeconds === null ? 0 : stopTime.seconds - previousSeconds
+      });
+      previousSeconds = stopTime.seconds;
+    }
+    const removed = await client.query('DELETE FROM route_stops WHERE route_id = $1', [routeId]);
+    await client.query(
+      `INSERT INTO route_stops (route_id, bus_stop_id, stop_order, estimated_travel_time)
+       SELECT $1, s.bus_stop_id, s.stop_order, s.travel_time
+       FROM unnest($2::uuid[], $3::int[], $4::int[]) AS s(bus_stop_id, stop_order, travel_time)`,
+      [routeId, orderedStops.map(s => s.stopId), orderedStops.map((_, i) => i + 1), orderedStops.map(s => s.travelTime)]
+    );
+    report.routeStops.removed += removed.rowCount;
+    report.routeStops.created += orderedStops.length;
+  }
+};
+
+const materialiseTrips = async (client, feed, ids, options, report) => {
+  const serviceDates = gtfs.dateRange(options.from, options.days);
+  const keptTripIds = [];
+
+  for (const serviceDate of serviceDates) {
+    for (const trip of feed.trips.values()) {
+      const service = feed.calendars.get(trip.serviceId);
+      if (!gtfs.isServiceActive(service.calendar, service.exceptions, serviceDate)) continue;
+
+      // Trips a dispatcher or driver has already picked up are left alone
+      const result = await client.query(
+        `INSERT INTO trips (gtfs_trip_id, service_date, service_calendar_id, route_id, direction, headsign, scheduled_start_time, status)
+         VALUES ($1, $2, $3, $4, $5, $6, ($2::date + make_interval(secs => $7))::timestamp AT TIME ZONE $8::text, 'scheduled')
+         ON CONFLICT (gtfs_trip_id, service_date) DO UPDATE SET
+           service_calendar_id = EXCLUDED.service_calendar_id, route_id = EXCLUDED.route_id,
+           direction = EXCLUDED.direction, headsign = EXCLUDED.headsign,
+           scheduled_start_time = EXCLUDED.scheduled_start_time
+         WHERE trips.status = 'scheduled'
+         RETURNING id, (xmax = 0) AS inserted`,
+        [trip.gtfsId, serviceDate, ids.calendars.get(trip.serviceId), ids.routes.get(trip.routeId),
+          trip.direction, trip.headsign, trip.stopTimes[0].seconds, feed.timezone]
+      );
+      if (result.rows.length === 0) {
+        const existing = await client.query('SELECT id FROM trips WHERE gtfs_trip_id = $1 AND service_date = $2', [trip.gtfsId, serviceDate]);
+        keptTripIds.push(existing.rows[0].id);
+        continue;
+      }
+      const tripId = result.rows[0].id;
+      keptTripIds.push(tripId);
+      report.trips[result.rows[0].inserted ? 'created' : 'updated']++;
+
+      const seen = new Set();
+      const stopTimes = trip.stopTimes.filter(st => !seen.has(st.stopId) && seen.add(st.stopId));
+      const written = await client.query(
+        `INSERT INTO trip_stops (trip_id, bus_stop_id, scheduled_arrival)
+         SELECT $1, s.bus_stop_id, ($2::date + make_interval(secs => s.seconds))::timestamp AT TIME ZONE $3::text
+         FROM unnest($4::uuid[], $5::int[]) AS s(bus_stop_id, seconds)
+         ON CONFLICT (trip_id, bus_stop_id) DO UPDATE SET scheduled_arrival = EXCLUDED.scheduled_arrival
+         RETURNING (xmax = 0) AS inserted`,
+        [tripId, serviceDate, feed.timezone, stopTimes.map(st => ids.stops.get(st.stopId)), stopTimes.map(st => st.seconds)]
+      );
+      for (const row of written.rows) report.tripStops[row.inserted ? 'created' : 'updated']++;
+    }
+  }
+
+  // Scheduled trips in the window that the new feed version no longer
+  // contains. Ones nobody has touched are deleted. Ones the roster or a
+  // dispatcher has given a driver, vehicle or shift are cancelled instead, so
+  // the assignment and its history stay visible.
+  const stale = await client.query(
+    `SELECT id, (driver_id IS NULL AND shift_id IS NULL AND vehicle_id IS NULL) AS untouched FROM trips
+     WHERE gtfs_trip_id IS NOT NULL AND status = 'scheduled'
+       AND service_date >= $1::date AND service_date < $1::date + $2::int
+       AND NOT (id = ANY($3::uuid[]))`,
+    [options.from, options.days, keptTripIds]
+  );
+  const deletedIds = stale.rows.filter(row => row.untouched).map(row => row.id);
+  const cancelledIds = stale.rows.filter(row => !row.untouched).map(row => row.id);
+  if (deletedIds.length > 0) {
+    // Alerts may point at a trip; they outlive it
+    await client.query('UPDATE alerts SET trip_id = NULL WHERE trip_id = ANY($1::uuid[])', [deletedIds]);
+    await client.query('DELETE FROM trip_stops WHERE trip_id = ANY($1::uuid[])', [deletedIds]);
+    await client.query('DELETE FROM trips WHERE id = ANY($1::uuid[])', [deletedIds]);
+  }
+  if (cancelledIds.length > 0) {
+    await client.query(
+      `WITH cancelled AS (
+         UPDATE trips SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = $2
+         WHERE id = ANY($1::uuid[]) RETURNING id
+       )
+       INSERT INTO trip_status_events (trip_id, from_status, to_status, reason, source)
+       SELECT id, 'scheduled', 'cancelled', $2, 'system' FROM cancelled`,
+      [cancelledIds, 'Removed from the GTFS feed']
+    );
+  }
+  report.trips.removed = deletedIds.length + cancelledIds.length;
+};
+
+const printReport = (report) => {
+  console.log('\n📊 Import report:');
+  for (const entity of ['routes', 'stops', 'calendars', 'shapes', 'routeStops', 'trips', 'tripStops']) {
+    const s = report[entity];
+    console.log(`   ${entity.padEnd(10)} created: ${s.created}, updated: ${s.updated}, rejected: ${s.rejected}, removed/deactivated: ${s.removed}`);
+  }
+  if (report.rejections.length > 0) {
+    console.log(`\n⚠️  ${report.rejections.length} rejected rows:`);
+    report.rejections.slice(0, MAX_LISTED_REJECTIONS).forEach(r => console.log(`   - [${r.entity}] ${r.id || '(no id)'}: ${r.reason}`));
+    if (report.rejections.length > MAX_LISTED_REJECTIONS) {
+      console.log(`   ... and ${report.rejections.length - MAX_LISTED_REJECTIONS} more`);
+    }
+  }
+};
+
+async function importGtfs(options) {
+  const filePath = path.resolve(options.file);
+  console.log(`📦 Reading GTFS feed: ${filePath}`);
+  const buffer = fs.readFileSync(filePath);
+  const feedHash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const files = gtfs.loadFeed(readZip(buffer));
+
+  const errors = gtfs.validateFeed(files);
+  if (errors.length > 0) {
+    console.error('❌ Feed validation failed:');
+    errors.forEach(e => console.error(`   - ${e}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = createReport();
+  const feed = prepareFeed(files, report);
+  console.log(`✅ Feed valid: ${feed.routes.size} routes, ${feed.stops.size} stops, ${feed.trips.size} trips (timezone ${feed.timezone})`);
+
+  if (options.dryRun) {
+    printReport(report);
+    console.log('\n🔍 Dry run, nothing written');
+    return;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    console.log('🛣️  Importing routes...');
+    const routeIds = await upsertRoutes(client, feed, report);
+    console.log('🚏 Importing stops...');
+    const stopIds = await upsertStops(client, feed, report);
+    console.log('📅 Importing service calendars...');
+    const calendarIds = await upsertCalendars(client, feed, report);
+    console.log('🗺️  Importing stop patterns and shapes...');
+    await replaceRoutePatterns(client, feed, routeIds, stopIds, report);
+    console.log(`🚌 Materialising trips from ${options.from} for ${options.days} days...`);
+    await materialiseTrips(client, feed, { routes: routeIds, stops: stopIds, calendars: calendarIds }, options, report);
+
+    const stats = { rejected: report.rejections.length };
+    for (const entity of ['routes', 'stops', 'calendars', 'shapes', 'routeStops', 'trips', 'tripStops']) stats[entity] = report[entity];
+    await client.query(
+      `INSERT INTO gtfs_imports (feed_hash, feed_version, service_start_date, service_days, stats)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [feedHash, feed.feedVersion, options.from, options.days, JSON.stringify(stats)]
+    );
+    await client.query('COMMIT');
+    printReport(report);
+    console.log('\n🎉 GTFS import completed successfully!');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+(async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.file) {
+      usage();
+      process.exitCode = 1;
+      return;
+    }
+    await importGtfs(options);
+  } catch (error) {
+    console.error('❌ GTFS import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
@@ -0,0 +1,63 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+const {
+  DOWNSAMPLE_AFTER_DAYS, DOWNSAMPLE_SECONDS, RETENTION_DAYS,
+  ensurePartitions, downsamplePartitions, dropExpiredPartitions
+} = require('../utils/locationPartitions');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const usage = () => {
+  console.log('Usage: node scripts/maintainLocations.js [--retention-days=N] [--downsample-after=N] [--downsample-seconds=N]');
+  console.log(`  --retention-days      Drop fixes older than this many days (default ${RETENTION_DAYS})`);
+  console.log(`  --downsample-after    Thin fixes older than this many days (default ${DOWNSAMPLE_AFTER_DAYS})`);
+  console.log(`  --downsample-seconds  Keep one fix per vehicle and trip in each window of this many seconds (default ${DOWNSAMPLE_SECONDS})`);
+};
+
+const parseArgs = (argv) => {
+  const options = { retentionDays: RETENTION_DAYS, afterDays: DOWNSAMPLE_AFTER_DAYS, seconds: DOWNSAMPLE_SECONDS, help: false };
+  for (const arg of argv) {
+    if (arg === '--help') options.help = true;
+    else if (arg.startsWith('--retention-days=')) options.retentionDays = parseInt(arg.slice(17), 10);
+    else if (arg.startsWith('--downsample-after=')) options.afterDays = parseInt(arg.slice(19), 10);
+    else if (arg.startsWith('--downsample-seconds=')) options.seconds = parseInt(arg.slice(21), 10);
+  }
+  for (const [flag, value] of [['--retention-days', options.retentionDays], ['--downsample-after', options.afterDays], ['--downsample-seconds', options.seconds]]) {
+    if (!Number.isInteger(value) || value < 1) throw new Error(`${flag} must be a positive whole number`);
+  }
+  if (options.afterDays >= options.retentionDays) console.log('⚠️  Fixes are dropped before they are old enough to downsample');
+  return options;
+};
+
+// Drops expired data first so no partitions are created just to be dropped
+async function maintain(options) {
+  console.log(`🗑️  Dropping fixes older than ${options.retentionDays} days...`);
+  const { dropped, defaultRemoved } = await dropExpiredPartitions(pool, options);
+  console.log(`✅ Dropped ${dropped.length} partitions and ${defaultRemoved} unpartitioned fixes`);
+
+  console.log('📅 Creating partitions...');
+  const created = await ensurePartitions(pool);
+  created.forEach(p => console.log(`   - ${p.name} (${p.moved} fixes moved in)`));
+  console.log(`✅ Created ${created.length} partitions`);
+
+  console.log(`🔽 Downsampling fixes older than ${options.afterDays} days to one per ${options.seconds}s...`);
+  const thinned = await downsamplePartitions(pool, options);
+  thinned.forEach(p => console.log(`   - ${p.name}: ${p.removed} fixes removed`));
+  console.log(`✅ Downsampled ${thinned.length} partitions`);
+}
+
+(async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      usage();
+      return;
+    }
+    await maintain(options);
+  } catch (error) {
+    console.error('❌ vehicle_locations maintenance failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
@@ -0,0 +1,60 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+const { refreshAnalytics } = require('../utils/analytics');
+const { serviceToday } = require('../utils/timetable');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const usage = () => {
+  console.log('Usage: node scripts/refreshAnalytics.js [--from=YYYY-MM-DD] [--days=2]');
+  console.log('  --from  First service day to rebuild (default yesterday)');
+  console.log('  --days  Number of service days (default 2, yesterday and today)');
+};
+
+const parseArgs = (argv) => {
+  const yesterday = new Date(Date.parse(`${serviceToday()}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+  const options = { from: yesterday, days: 2, help: false };
+  for (const arg of argv) {
+    if (arg === '--help') options.help = true;
+    else if (arg.startsWith('--from=')) options.from = arg.slice(7);
+    else if (arg.startsWith('--days=')) options.days = parseInt(arg.slice(7), 10);
+  }
+  if (!Number.isInteger(options.days) || options.days < 1 || options.days > MAX_DAYS) throw new Error(`--days must be between 1 and ${MAX_DAYS}`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.from)) throw new Error('--from must be YYYY-MM-DD');
+  return options;
+};
+
+async function refresh(options) {
+  console.log(`📈 Rebuilding analytics from ${options.from} for ${options.days} days...`);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const report = await refreshAnalytics(client, options);
+    await client.query('COMMIT');
+    console.log(`✅ ${report.trips} trips and ${report.stopBuckets} stop/hour buckets`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+(async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      usage();
+      return;
+    }
+    await refresh(options);
+  } catch (error) {
+    console.error('❌ Analytics refresh failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
@@ -1,14 +1,35 @@
 const { Pool } = require('pg');
 const { authenticateSocket } = require('../middleware/auth');
+const { sessionRoom, userRoom } = require('../utils/authSessions');
 const { redisUtils } = require('../config/redis');
 const { logger } = require('../utils/logger');
+const { broadcastStopEvents } = require('../utils/stopDetection');
+const { parseFix } = require('../utils/gpsFilter');
+const { startVehicleMonitor } = require('../utils/vehicleMonitor');
+const { startAlertSweeper } = require('../utils/alerts');
+const { startMaintenanceMonitor } = require('../utils/maintenance');
+const { startPartitionMaintenance } = require('../utils/locationPartitions');
+const { flushLocations, startLocationWriter } = require('../utils/locationWriter');
+const { processLocation, STALE_FIX_SECONDS } = require('../utils/locationPipeline');
+const { transitionTrip, findNextTrip, settleEndedTrip, broadcastTripStatus } = require('../utils/tripLifecycle');
+const { currentShift, checkInShift, checkOutShift } = require('../utils/roster');
+const { fetchTrack, startReplay } = require('../utils/track');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
+const TRIP_RECHECK_INTERVAL = 30 * 1000; // how long a driver socket trusts its cached trip
+const MAX_BATCH_FIXES = 500;
+
 const setupLocationSocket = (io) => {
+  startVehicleMonitor(io, pool);
+  startAlertSweeper(io, pool);
+  startMaintenanceMonitor(io, pool);
+  startPartitionMaintenance(pool);
+  startLocationWriter(pool);
   io.use(authenticateSocket);
   io.on('connection', (socket) => {
     logger.info(`User connected: ${socket.userId} (${socket.userRole})`);
+    socket.join([userRoom(socket.userId), sessionRoom(socket.sessionId)]);
     if (socket.userRole === 'driver') handleDriverConnection(socket);
     if (socket.userRole === 'passenger' || socket.userRole === 'admin') handlePassengerConnection(socket);
     socket.on('disconnect', () => { handleDisconnection(socket); });
@@ -17,12 +38,18 @@ const setupLocationSocket = (io) => {
 
 const handleDriverConnection = async (socket) => {
   try {
+    // The vehicle of a trip in progress wins over the vehicle of the shift the
+    // driver is checked in to, which wins over the driver's default vehicle
     const driverQuery = `
-      SELECT d.id as driver_id, d.status, v.id as vehicle_id, v.registration_number,
+      SELECT d.id as driver_id, d.status, COALESCE(t.vehicle_id, s.vehicle_id, v.id) as vehicle_id,
+             COALESCE(tv.registration_number, sv.registration_number, v.registration_number) as registration_number,
              t.id as trip_id, t.route_id, t.status as trip_status
       FROM drivers d
       LEFT JOIN vehicles v ON d.id = v.assigned_driver_id
-      LEFT JOIN trips t ON v.id = t.vehicle_id AND t.status = 'active'
+      LEFT JOIN trips t ON d.id = t.driver_id AND t.status = 'active'
+      LEFT JOIN vehicles tv ON tv.id = t.vehicle_id
+      LEFT JOIN driver_shifts s ON d.id = s.driver_id AND s.status = 'checked_in'
+      LEFT JOIN vehicles sv ON sv.id = s.vehicle_id
       WHERE d.user_id = $1
     `;
     const result = await pool.query(driverQuery, [socket.userId]);
@@ -31,13 +58,20 @@ const handleDriverConnection = async (socket) => {
     socket.driverId = driverData.driver_id;
     socket.vehicleId = driverData.vehicle_id;
     socket.tripId = driverData.trip_id;
+    socket.join(`driver:${socket.driverId}`);
     if (socket.vehicleId) socket.join(`vehicle:${socket.vehicleId}`);
     await redisUtils.setDriverSession(socket.driverId, { socketId: socket.id, vehicleId: socket.vehicleId, tripId: socket.tripId, status: 'connected', connectedAt: new Date().toISOString() });
     socket.emit('driver_status', { driverId: driverData.driver_id, vehicleId: driverData.vehicle_id, registrationNumber: driverData.registration_number, tripId: driverData.trip_id, tripStatus: driverData.trip_status, status: driverData.status });
-    socket.on('location_update', async (locationData) => { await handleLocationUpdate(socket, locationData); });
+    socket.on('get_next_trip', async () => { await emitNextTrip(socket); });
+    socket.on('shift_check_in', async () => { await handleShiftCheckIn(socket); });
+    socket.on('shift_check_out', async () => { await handleShiftCheckOut(socket); });
+    socket.on('location_update', async (locationData, ack) => { await handleLocationUpdate(socket, locationData, ack); });
+    socket.on('location_batch', async (batch, ack) => { await handleLocationBatch(socket, batch, ack); });
     socket.on('start_trip', async (tripData) => { await handleTripStart(socket, tripData); });
     socket.on('end_trip', async (tripData) => { await handleTripEnd(socket, tripData); });
     socket.on('passenger_count_update', async (countData) => { await handlePassengerCountUpdate(socket, countData); });
+    socket.emit('shift_status', { action: 'current', shift: await currentShift(pool, socket.driverId) });
+    await emitNextTrip(socket);
     logger.info(`Driver connected: ${socket.driverId}, Vehicle: ${socket.vehicleId}`);
   } catch (error) {
     logger.error('Error handling driver connection:', error);
@@ -47,91 +81,311 @@ const handleDriverConnection = async (socket) => {
 
 const handlePassengerConnection = async (socket) => {
   socket.join('passengers');
-  if (socket.userRole === 'admin') socket.join('admin');
+  if (socket.userRole === 'admin') {
+    socket.join('admin');
+    socket.on('replay_trip', async (data) => { await handleReplayStart(socket, data); });
+    socket.on('replay_control', (data) => { handleReplayControl(socket, data); });
+  }
   socket.on('subscribe_route', (routeId) => { socket.join(`route:${routeId}`); logger.info(`User ${socket.userId} subscribed to route ${routeId}`); });
   socket.on('subscribe_vehicle', (vehicleId) => { socket.join(`vehicle:${vehicleId}`); logger.info(`User ${socket.userId} subscribed to vehicle ${vehicleId}`); });
+  socket.on('subscribe_trip', (tripId) => { socket.join(`trip:${tripId}`); });
   socket.on('unsubscribe_route', (routeId) => { socket.leave(`route:${routeId}`); });
   socket.on('unsubscribe_vehicle', (vehicleId) => { socket.leave(`vehicle:${vehicleId}`); });
+  socket.on('unsubscribe_trip', (tripId) => { socket.leave(`trip:${tripId}`); });
   logger.info(`${socket.userRole} connected: ${socket.userId}`);
 };
 
-const handleLocationUpdate = async (socket, locationData) => {
+// Replays a past trip to this socket only, as location_update events in the
+// live shape (plus replay: true), `speed` times faster than it was recorded
+const handleReplayStart = async (socket, data) => {
   try {
-    const { latitude, longitude, speed, heading, accuracy, timestamp } = locationData;
-    if (!latitude || !longitude) { socket.emit('error', { message: 'Invalid location data' }); return; }
-    if (!socket.vehicleId) { socket.emit('error', { message: 'No vehicle assigned' }); return; }
-    const locationQuery = `
-      INSERT INTO vehicle_locations (vehicle_id, trip_id, location, speed, heading, accuracy, timestamp)
-      VALUES ($1, $2, ST_GeogFromText($3), $4, $5, $6, $7)
-      RETURNING id
-    `;
-    const locationPoint = `POINT(${longitude} ${latitude})`;
-    await pool.query(locationQuery, [socket.vehicleId, socket.tripId, locationPoint, speed || null, heading || null, accuracy || null, timestamp ? new Date(timestamp) : new Date()]);
-    const cacheData = { vehicleId: socket.vehicleId, tripId: socket.tripId, latitude, longitude, speed, heading, accuracy, timestamp: timestamp || new Date().toISOString(), driverId: socket.driverId };
-    await redisUtils.cacheVehicleLocation(socket.vehicleId, cacheData);
-    await redisUtils.publishLocationUpdate(socket.vehicleId, cacheData);
-    socket.to(`vehicle:${socket.vehicleId}`).emit('location_update', cacheData);
-    if (socket.tripId) {
-      const routeQuery = 'SELECT route_id FROM trips WHERE id = $1';
-      const routeResult = await pool.query(routeQuery, [socket.tripId]);
-      if (routeResult.rows.length > 0) {
-        const routeId = routeResult.rows[0].route_id;
-        socket.to(`route:${routeId}`).emit('route_vehicle_update', { routeId, vehicleId: socket.vehicleId, ...cacheData });
+    const { tripId, speed } = data || {};
+    if (!tripId) { socket.emit('error', { message: 'tripId is required' }); return; }
+    const trip = await pool.query('SELECT id, driver_id FROM trips WHERE id = $1', [tripId]);
+    if (trip.rows.length === 0) { socket.emit('error', { message: 'Trip not found' }); return; }
+    const points = await fetchTrack(pool, { tripId });
+    if (points.length === 0) { socket.emit('error', { message: 'No recorded positions for this trip' }); return; }
+    if (socket.replay) socket.replay.stop();
+
+    const driverId = trip.rows[0].driver_id;
+    socket.replay = startReplay(points, {
+      speed,
+      emit: (point) => socket.emit('location_update', {
+        vehicleId: point.vehicle_id, tripId, latitude: point.latitude, longitude: point.longitude, speed: point.speed,
+        heading: point.heading, accuracy: point.accuracy, timestamp: point.timestamp, driverId, replay: true
+      }),
+      onStatus: (state, position, rate) => {
+        socket.emit('replay_status', { tripId, state, position, total: points.length, speed: rate });
+        if (state === 'finished' || state === 'stopped') socket.replay = null;
+      }
+    });
+  } catch (error) {
+    logger.error('Error starting trip replay:', error);
+    socket.emit('error', { message: 'Failed to start replay' });
+  }
+};
+
+// { action: 'pause' | 'resume' | 'stop' } and/or { speed }
+const handleReplayControl = (socket, data) => {
+  const { action, speed } = data || {};
+  if (!socket.replay) { socket.emit('error', { message: 'No replay running' }); return; }
+  const replay = socket.replay;
+  if (speed !== undefined) replay.setSpeed(speed);
+  if (action === 'pause') replay.pause();
+  else if (action === 'resume') replay.resume();
+  else if (action === 'stop') replay.stop();
+};
+
+// The route and direction of the driver's active trip, cached on the socket
+// and rechecked every TRIP_RECHECK_INTERVAL in case a dispatcher closed or
+// cancelled it since the driver started it
+const activeTrip = async (socket) => {
+  if (!socket.tripId) return null;
+  if (socket.trip && socket.trip.id === socket.tripId && Date.now() - socket.trip.checkedAt < TRIP_RECHECK_INTERVAL) return socket.trip;
+  const tripResult = await pool.query(`SELECT route_id, COALESCE(direction, 'forward') AS direction FROM trips WHERE id = $1 AND status = 'active'`, [socket.tripId]);
+  if (tripResult.rows.length === 0) {
+    socket.tripId = null;
+    socket.trip = null;
+    return null;
+  }
+  socket.trip = { id: socket.tripId, routeId: tripResult.rows[0].route_id, direction: tripResult.rows[0].direction, checkedAt: Date.now() };
+  return socket.trip;
+};
+
+// Location events from one driver socket are handled one at a time, in the
+// order they arrived, so sequence checks and the GPS filter see fixes in order.
+// `work` handles its own errors.
+const queueLocationWork = (socket, work) => {
+  socket.locationQueue = (socket.locationQueue || Promise.resolve()).then(work);
+  return socket.locationQueue;
+};
+
+const readSeq = (value) => (value !== null && value !== undefined && Number.isSafeInteger(Number(value)) && Number(value) >= 0 ? Number(value) : null);
+
+// Stores fixes through the pipeline in time order, skipping ones already
+// stored. The app numbers fixes per vehicle (`seq`); a fix is a duplicate if
+// a fix with the same seq and time has been stored, so a reinstalled app that
+// numbers from 0 again is still accepted. Only the last fix, and only if it
+// is recent, is treated as live; the others are filtered among themselves
+// (see processLocation). Returns one
+// { seq, status, reason?, time? } per fix, status being stored, rejected,
+// duplicate or invalid.
+const storeFixes = async (socket, items) => {
+  const trip = await activeTrip(socket);
+  const source = { vehicleId: socket.vehicleId, tripId: socket.tripId, driverId: socket.driverId, trip };
+  const parsed = items.map(data => ({ data: data || {}, seq: readSeq(data && data.seq), fix: data ? parseFix(data) : null }));
+  const results = parsed.filter(item => !item.fix).map(item => ({ seq: item.seq, status: 'invalid' }));
+  const fixes = parsed.filter(item => item.fix).sort((a, b) => a.fix.time - b.fix.time);
+  const fixKey = ({ seq, fix }) => `${seq}:${fix.time}`;
+  const stored = await redisUtils.getStoredVehicleFixes(socket.vehicleId, fixes.filter(item => item.seq !== null).map(fixKey));
+  const added = [];
+  const replay = { state: null };
+  try {
+    for (const [index, item] of fixes.entries()) {
+      const { data, seq, fix } = item;
+      if (seq !== null && stored.has(fixKey(item))) {
+        results.push({ seq, status: 'duplicate' });
+        continue;
+      }
+      const live = index === fixes.length - 1 && Date.now() - fix.time < STALE_FIX_SECONDS * 1000;
+      const filtered = await processLocation(pool, socket, source, fix, { speed: data.speed, heading: data.heading, seq, live, replay });
+      if (seq !== null) {
+        stored.add(fixKey(item));
+        added.push({ seq, time: fix.time });
       }
+      results.push({ seq, status: filtered.status === 'rejected' ? 'rejected' : 'stored', reason: filtered.reason, time: fix.time });
+    }
+  } finally {
+    if (added.length > 0) await redisUtils.addVehicleFixes(socket.vehicleId, added);
+  }
+  return results;
+};
+
+// One fix, acknowledged with { seq, status } when the client passes a
+// callback: stored, rejected (kept for audit only), duplicate, invalid, or
+// failed with an `error`. Only failed fixes are worth sending again.
+const handleLocationUpdate = (socket, locationData, ack) => queueLocationWork(socket, async () => {
+  const respond = typeof ack === 'function' ? ack : () => {};
+  const seq = readSeq(locationData && locationData.seq);
+  try {
+    if (!socket.vehicleId) {
+      socket.emit('error', { message: 'No vehicle assigned' });
+      respond({ seq, status: 'failed', error: 'No vehicle assigned' });
+      return;
+    }
+    const [result] = await storeFixes(socket, [locationData]);
+    if (result.status === 'invalid') {
+      socket.emit('error', { message: 'Invalid location data' });
+      respond({ seq, status: 'invalid', error: 'Invalid location data' });
+      return;
     }
-    socket.to('admin').emit('vehicle_location_update', cacheData);
-    await calculateAndEmitETAs(socket, { latitude, longitude });
+    if (result.status === 'rejected') {
+      socket.emit('location_rejected', { reason: result.reason, timestamp: new Date(result.time).toISOString() });
+    }
+    respond({ seq, status: result.status });
   } catch (error) {
     logger.error('Error handling location update:', error);
     socket.emit('error', { message: 'Failed to update location' });
+    respond({ seq, status: 'failed', error: 'Failed to update location' });
+  }
+});
+
+// Fixes queued while the app was offline, { fixes: [...] } in the shape of
+// location_update. They are stored but only the newest, if recent, is
+// broadcast. Acknowledged with counts and `acked`, the highest seq the server
+// now holds, so the app can drop everything up to it; a failed batch is
+// acknowledged with status failed and can be sent again as it was.
+const handleLocationBatch = (socket, batch, ack) => queueLocationWork(socket, async () => {
+  const respond = typeof ack === 'function' ? ack : () => {};
+  try {
+    const fixes = batch && batch.fixes;
+    if (!Array.isArray(fixes) || fixes.length === 0 || fixes.length > MAX_BATCH_FIXES) {
+      respond({ status: 'invalid', error: `fixes must be a list of 1-${MAX_BATCH_FIXES} fixes` });
+      return;
+    }
+    if (!socket.vehicleId) {
+      respond({ status: 'failed', error: 'No vehicle assigned' });
+      return;
+    }
+    const results = await storeFixes(socket, fixes);
+    const count = (status) => results.filter(result => result.status === status).length;
+    const seqs = results.map(result => result.seq).filter(seq => seq !== null);
+    respond({
+      status: 'ok',
+      acked: seqs.length > 0 ? Math.max(...seqs) : null,
+      received: fixes.length,
+      stored: count('stored'),
+      rejected: count('rejected'),
+      duplicates: count('duplicate'),
+      invalid: count('invalid')
+    });
+    logger.info(`Location batch from vehicle ${socket.vehicleId}: ${count('stored')} stored, ${count('duplicate')} duplicates of ${fixes.length}`);
+  } catch (error) {
+    logger.error('Error handling location batch:', error);
+    respond({ status: 'failed', error: 'Failed to store location batch' });
   }
+});
+
+const emitNextTrip = async (socket) => {
+  try {
+    socket.emit('next_trip', { trip: await findNextTrip(pool, socket.driverId) });
+  } catch (error) {
+    logger.error('Error looking up next trip:', error);
+    socket.emit('error', { message: 'Failed to fetch next trip' });
+  }
+};
+
+const emitTransitionError = (socket, error, fallback) => {
+  if (error.code) socket.emit('error', { message: error.message, code: error.code });
+  else { logger.error(`${fallback}:`, error); socket.emit('error', { message: fallback }); }
 };
 
-const handleTripStart = async (socket) => {
+// Checks the driver in to the shift that is about to start or under way, and
+// moves them onto the shift's vehicle
+const handleShiftCheckIn = async (socket) => {
   try {
-    if (!socket.tripId) { socket.emit('error', { message: 'No active trip found' }); return; }
-    const updateQuery = `
-      UPDATE trips 
-      SET status = 'active', actual_start_time = NOW()
-      WHERE id = $1 AND driver_id = $2
-      RETURNING *
-    `;
-    const result = await pool.query(updateQuery, [socket.tripId, socket.driverId]);
-    if (result.rows.length === 0) { socket.emit('error', { message: 'Failed to start trip' }); return; }
-    const trip = result.rows[0];
-    await redisUtils.setActiveTripData(socket.tripId, { ...trip, startedAt: new Date().toISOString() });
-    socket.emit('trip_started', { tripId: socket.tripId, startTime: trip.actual_start_time });
-    socket.to(`route:${trip.route_id}`).emit('trip_status_update', { tripId: socket.tripId, vehicleId: socket.vehicleId, status: 'active', startTime: trip.actual_start_time });
-    logger.info(`Trip started: ${socket.tripId} by driver: ${socket.driverId}`);
+    const shift = await checkInShift(pool, socket.driverId);
+    if (shift.vehicle_id && !socket.tripId && shift.vehicle_id !== socket.vehicleId) {
+      if (socket.vehicleId) socket.leave(`vehicle:${socket.vehicleId}`);
+      socket.vehicleId = shift.vehicle_id;
+      socket.join(`vehicle:${socket.vehicleId}`);
+    }
+    socket.emit('shift_status', { action: 'checked_in', shift });
+    socket.nsp.to('admin').emit('shift_update', { action: 'checked_in', shift });
+    logger.info(`Driver ${socket.driverId} checked in to shift ${shift.id}`);
+    await emitNextTrip(socket);
   } catch (error) {
-    logger.error('Error starting trip:', error);
-    socket.emit('error', { message: 'Failed to start trip' });
+    emitTransitionError(socket, error, 'Failed to check in');
+  }
+};
+
+const handleShiftCheckOut = async (socket) => {
+  try {
+    const { shift, unfinishedTrips } = await checkOutShift(pool, socket.driverId);
+    socket.emit('shift_status', { action: 'checked_out', shift, unfinishedTrips });
+    socket.nsp.to('admin').emit('shift_update', { action: 'checked_out', shift, unfinishedTrips });
+    logger.info(`Driver ${socket.driverId} checked out of shift ${shift.id}`, { unfinishedTrips });
+  } catch (error) {
+    emitTransitionError(socket, error, 'Failed to check out');
+  }
+};
+
+// Starts the given trip, or the driver's next one. A trip that was never
+// dispatched is dispatched on the way, so the audit trail stays complete.
+// Rostered trips need the driver to be checked in to their shift, and a trip
+// can only start once it has a vehicle.
+const handleTripStart = async (socket, tripData) => {
+  try {
+    if (await activeTrip(socket)) { socket.emit('error', { message: 'A trip is already in progress', code: 'RESOURCE_BUSY' }); return; }
+    let tripId = tripData && tripData.tripId;
+    if (!tripId) {
+      const next = await findNextTrip(pool, socket.driverId);
+      if (!next) { socket.emit('error', { message: 'No trip to start' }); return; }
+      tripId = next.id;
+    }
+    const options = { source: 'driver', changedBy: socket.userId, driverId: socket.driverId };
+    const current = await pool.query(
+      'SELECT t.status, t.vehicle_id, s.status AS shift_status FROM trips t LEFT JOIN driver_shifts s ON s.id = t.shift_id WHERE t.id = $1',
+      [tripId]
+    );
+    if (current.rows.length > 0 && current.rows[0].shift_status && current.rows[0].shift_status !== 'checked_in') {
+      socket.emit('error', { message: 'Check in to your shift before starting this trip', code: 'SHIFT_NOT_CHECKED_IN' });
+      return;
+    }
+    if (current.rows.length > 0 && !current.rows[0].vehicle_id) {
+      socket.emit('error', { message: 'This trip has no vehicle assigned', code: 'TRIP_NO_VEHICLE' });
+      return;
+    }
+    if (current.rows.length > 0 && current.rows[0].status === 'scheduled') {
+      const dispatched = await transitionTrip(pool, tripId, 'dispatched', { ...options, reason: 'Dispatched when the driver started the trip' });
+      broadcastTripStatus(socket.nsp, dispatched.trip, dispatched.event);
+    }
+    const { trip, event } = await transitionTrip(pool, tripId, 'active', options);
+
+    socket.tripId = trip.id;
+    if (trip.vehicle_id !== socket.vehicleId) {
+      if (socket.vehicleId) socket.leave(`vehicle:${socket.vehicleId}`);
+      socket.vehicleId = trip.vehicle_id;
+      socket.join(`vehicle:${socket.vehicleId}`);
+    }
+    await redisUtils.setActiveTripData(trip.id, { ...trip, startedAt: new Date().toISOString() });
+    socket.emit('trip_started', { tripId: trip.id, vehicleId: trip.vehicle_id, startTime: trip.actual_start_time });
+    broadcastTripStatus(socket.nsp, trip, event);
+    logger.info(`Trip started: ${trip.id} by driver: ${socket.driverId}`);
+  } catch (error) {
+    emitTransitionError(socket, error, 'Failed to start trip');
   }
 };
 
 const handleTripEnd = async (socket, tripData) => {
   try {
     if (!socket.tripId) { socket.emit('error', { message: 'No active trip found' }); return; }
-    const { passengerCount, distanceCovered } = tripData;
-    const updateQuery = `
-      UPDATE trips 
-      SET status = 'completed', actual_end_time = NOW(), 
-          passenger_count = $3, distance_covered = $4
-      WHERE id = $1 AND driver_id = $2
-      RETURNING *
-    `;
-    const result = await pool.query(updateQuery, [socket.tripId, socket.driverId, passengerCount || 0, distanceCovered || 0]);
-    if (result.rows.length === 0) { socket.emit('error', { message: 'Failed to end trip' }); return; }
-    const trip = result.rows[0];
-    await redisUtils.removeDriverSession(socket.driverId);
-    await pool.query('UPDATE drivers SET total_trips = total_trips + 1 WHERE id = $1', [socket.driverId]);
-    socket.emit('trip_ended', { tripId: socket.tripId, endTime: trip.actual_end_time, stats: { passengerCount: trip.passenger_count, distanceCovered: trip.distance_covered } });
-    socket.to(`route:${trip.route_id}`).emit('trip_status_update', { tripId: socket.tripId, vehicleId: socket.vehicleId, status: 'completed', endTime: trip.actual_end_time });
+    const { passengerCount, distanceCovered } = tripData || {};
+    // The trip's distance is measured from its stored fixes, including any
+    // still being replayed
+    await socket.locationQueue;
+    await flushLocations();
+    const { trip, previousStatus, event } = await transitionTrip(pool, socket.tripId, 'completed', {
+      source: 'driver',
+      changedBy: socket.userId,
+      driverId: socket.driverId,
+      passengerCount: passengerCount ?? null,
+      distanceCovered: distanceCovered ?? null
+    });
     socket.tripId = null;
+    await redisUtils.removeDriverSession(socket.driverId);
+    await settleTrip(socket, trip, previousStatus);
+    socket.emit('trip_ended', { tripId: trip.id, endTime: trip.actual_end_time, stats: { passengerCount: trip.passenger_count, distanceCovered: trip.distance_covered } });
+    broadcastTripStatus(socket.nsp, trip, event);
     logger.info(`Trip completed: ${trip.id} by driver: ${socket.driverId}`);
+    await emitNextTrip(socket);
   } catch (error) {
-    logger.error('Error ending trip:', error);
-    socket.emit('error', { message: 'Failed to end trip' });
+    // A dispatcher ended or cancelled the trip first: it is no longer this socket's
+    if (error.code === 'INVALID_TRANSITION') {
+      socket.tripId = null;
+      socket.trip = null;
+    }
+    emitTransitionError(socket, error, 'Failed to end trip');
   }
 };
 
@@ -145,7 +399,8 @@ const handlePassengerCountUpdate = async (socket, countData) => {
         INSERT INTO trip_stops (trip_id, bus_stop_id, actual_arrival, passengers_boarded)
         VALUES ($1, $2, NOW(), $3)
         ON CONFLICT (trip_id, bus_stop_id) 
-        DO UPDATE SET passengers_boarded = $3, actual_arrival = NOW()
+        DO UPDATE SET passengers_boarded = $3, actual_arrival = COALESCE(trip_stops.actual_arrival, NOW()),
+                      status = NULLIF(trip_stops.status, 'skipped')
       `, [socket.tripId, stopId, count]);
     }
     socket.to(`vehicle:${socket.vehicleId}`).emit('passenger_count_update', { vehicleId: socket.vehicleId, tripId: socket.tripId, passengerCount: count, stopId });
@@ -156,46 +411,20 @@ const handlePassengerCountUpdate = async (socket, countData) => {
   }
 };
 
-const calculateAndEmitETAs = async (socket, currentLocation) => {
+const settleTrip = async (socket, trip, previousStatus) => {
   try {
-    if (!socket.tripId) return;
-    const stopsQuery = `
-      SELECT bs.id, bs.name, ST_X(bs.location::geometry) as longitude, 
-             ST_Y(bs.location::geometry) as latitude, rs.stop_order
-      FROM route_stops rs
-      JOIN bus_stops bs ON rs.bus_stop_id = bs.id
-      JOIN trips t ON rs.route_id = t.route_id
-      WHERE t.id = $1 AND rs.stop_order > (
-        SELECT COALESCE(MAX(rs2.stop_order), 0)
-        FROM trip_stops ts
-        JOIN route_stops rs2 ON ts.bus_stop_id = rs2.bus_stop_id
-        WHERE ts.trip_id = $1 AND ts.actual_arrival IS NOT NULL
-      )
-      ORDER BY rs.stop_order
-      LIMIT 5
-    `;
-    const stopsResult = await pool.query(stopsQuery, [socket.tripId]);
-    if (stopsResult.rows.length > 0) {
-      const etaUpdates = [];
-      for (const stop of stopsResult.rows) {
-        const distance = calculateDistance(currentLocation.latitude, currentLocation.longitude, stop.latitude, stop.longitude);
-        const averageSpeed = 30;
-        const etaMinutes = Math.round((distance / averageSpeed) * 60);
-        etaUpdates.push({ stopId: stop.id, stopName: stop.name, eta: etaMinutes, distance: Math.round(distance * 100) / 100 });
-        await redisUtils.cacheETA(socket.tripId, stop.id, socket.vehicleId, { eta: etaMinutes, calculatedAt: new Date().toISOString() });
-      }
-      socket.to('passengers').emit('eta_update', { vehicleId: socket.vehicleId, tripId: socket.tripId, etas: etaUpdates });
-    }
+    const { routeId, events } = await settleEndedTrip(pool, trip, previousStatus);
+    broadcastStopEvents(socket, { tripId: trip.id, vehicleId: trip.vehicle_id, routeId }, events);
   } catch (error) {
-    logger.error('Error calculating ETAs:', error);
+    logger.error('Error settling ended trip:', error);
   }
 };
 
 const handleDisconnection = async (socket) => {
   try {
+    if (socket.replay) socket.replay.stop();
     if (socket.userRole === 'driver' && socket.driverId) {
       await redisUtils.removeDriverSession(socket.driverId);
-      await pool.query('UPDATE drivers SET status = $1 WHERE id = $2', ['inactive', socket.driverId]);
       logger.info(`Driver disconnected: ${socket.driverId}`);
     }
     logger.info(`User disconnected: ${socket.userId} (${socket.userRole})`);
@@ -204,16 +433,5 @@ const handleDisconnection = async (socket) => {
   }
 };
 
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-};
-
 module.exports = { setupLocationSocket };
 
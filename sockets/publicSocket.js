@@ -0,0 +1,96 @@
+// The anonymous, read-only /public namespace for the public map, stop
+// displays and riders who haven't logged in. Clients can only subscribe to
+// routes, vehicles and stops; what they receive is published by
+// utils/publicBroadcast. Connections and subscriptions are capped per client
+// IP address (per server instance).
+
+const { redisUtils } = require('../config/redis');
+const { setPublicNamespace } = require('../utils/publicBroadcast');
+const { logger } = require('../utils/logger');
+
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.PUBLIC_SOCKET_MAX_CONNECTIONS_PER_IP, 10) || 10;
+const MAX_SUBSCRIPTIONS_PER_IP = parseInt(process.env.PUBLIC_SOCKET_MAX_SUBSCRIPTIONS_PER_IP, 10) || 50;
+const TRUSTED_PROXIES = parseInt(process.env.PUBLIC_SOCKET_TRUSTED_PROXIES, 10) || 0; // reverse proxies in front of the app
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ROOM_TYPES = ['route', 'vehicle', 'stop'];
+
+// { connections, subscriptions } per IP address
+const clients = new Map();
+
+const clientOf = (ip) => {
+  if (!clients.has(ip)) clients.set(ip, { connections: 0, subscriptions: 0 });
+  return clients.get(ip);
+};
+
+// The client's address. Behind TRUSTED_PROXIES proxies it is the one the
+// outermost of them added to X-Forwarded-For; entries before it are the
+// client's own to make up.
+const clientIp = (handshake) => {
+  if (TRUSTED_PROXIES === 0) return handshake.address;
+  const forwarded = String(handshake.headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  const chain = [...forwarded, handshake.address];
+  return chain[Math.max(0, chain.length - 1 - TRUSTED_PROXIES)];
+};
+
+const limitConnections = (socket, next) => {
+  const ip = clientIp(socket.handshake);
+  const client = clientOf(ip);
+  if (client.connections >= MAX_CONNECTIONS_PER_IP) return next(new Error('Too many connections'));
+  client.connections++;
+  socket.publicIp = ip;
+  socket.publicRooms = new Set();
+  next();
+};
+
+// Acknowledged with { ok: true } or { ok: false, error } when the client passes a callback
+const subscribe = async (socket, type, id, ack) => {
+  const client = clientOf(socket.publicIp);
+  const room = `${type}:${id}`;
+  if (typeof id !== 'string' || !UUID_PATTERN.test(id)) return ack({ ok: false, error: `Invalid ${type} id` });
+  if (socket.publicRooms.has(room)) return ack({ ok: true });
+  if (client.subscriptions >= MAX_SUBSCRIPTIONS_PER_IP) return ack({ ok: false, error: 'Too many subscriptions' });
+  client.subscriptions++;
+  socket.publicRooms.add(room);
+  socket.join(room);
+  ack({ ok: true });
+  if (type === 'vehicle') {
+    // The vehicle's last known position, so the map needn't wait for its next fix
+    const cached = await redisUtils.getCachedVehicleLocation(id);
+    if (cached) socket.emit('location_update', { vehicleId: cached.vehicleId, tripId: cached.tripId, latitude: cached.latitude, longitude: cached.longitude, speed: cached.speed, heading: cached.heading, timestamp: cached.timestamp });
+  }
+};
+
+const unsubscribe = (socket, type, id, ack) => {
+  const room = `${type}:${id}`;
+  if (socket.publicRooms.delete(room)) {
+    clientOf(socket.publicIp).subscriptions--;
+    socket.leave(room);
+  }
+  ack({ ok: true });
+};
+
+const handleDisconnection = (socket) => {
+  const client = clientOf(socket.publicIp);
+  client.connections--;
+  client.subscriptions -= socket.publicRooms.size;
+  if (client.connections <= 0) clients.delete(socket.publicIp);
+};
+
+// Kept apart from the authenticated namespace: no JWT, and none of its events
+const setupPublicSocket = (io) => {
+  const nsp = io.of('/public');
+  nsp.use(limitConnections);
+  nsp.on('connection', (socket) => {
+    for (const type of ROOM_TYPES) {
+      socket.on(`subscribe_${type}`, (id, ack) => {
+        subscribe(socket, type, id, typeof ack === 'function' ? ack : () => {}).catch(error => logger.error('Public subscribe error:', error));
+      });
+      socket.on(`unsubscribe_${type}`, (id, ack) => { unsubscribe(socket, type, id, typeof ack === 'function' ? ack : () => {}); });
+    }
+    socket.on('disconnect', () => { handleDisconnection(socket); });
+  });
+  setPublicNamespace(nsp);
+  return nsp;
+};
+
+module.exports = { setupPublicSocket };
@@ -0,0 +1,101 @@
+// TCP listeners for hardware trackers that speak a line-based text protocol.
+// TRACKER_LISTENERS lists protocol:port pairs (e.g. "nmea:5010"); each
+// connection must open with the device's API key (see the protocol module),
+// and its positions then go through the same pipeline as the driver app's.
+
+const net = require('net');
+const { Pool } = require('pg');
+const protocols = require('../utils/trackerProtocols');
+const { findDeviceByKey, ingestPositions } = require('../utils/devices');
+const { logger } = require('../utils/logger');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+const IDLE_TIMEOUT = (parseInt(process.env.TRACKER_IDLE_TIMEOUT_SECONDS, 10) || 600) * 1000;
+const MAX_LINE_LENGTH = 1024;
+const DEVICE_RECHECK_INTERVAL = 30 * 1000; // how long a connection trusts its device row
+
+// "nmea:5010,nmea:5011" -> [{ protocol, port }], skipping unknown protocols
+const parseListeners = (value) => (value || '').split(',').map(entry => entry.trim()).filter(Boolean).flatMap(entry => {
+  const [name, port] = entry.split(':');
+  if (!protocols[name] || !Number.isInteger(Number(port))) {
+    logger.error(`Ignoring tracker listener "${entry}": expected <protocol>:<port> with protocol one of ${Object.keys(protocols).join(', ')}`);
+    return [];
+  }
+  return [{ protocol: protocols[name], port: Number(port) }];
+});
+
+// Lines of one connection are handled one at a time, in order. The device is
+// looked up again by its key every DEVICE_RECHECK_INTERVAL, and the
+// connection closed once the key has been rotated, the device deactivated or
+// moved to another vehicle (it reconnects with its current key and vehicle).
+const handleConnection = (io, protocol, connection) => {
+  const remote = `${connection.remoteAddress}:${connection.remotePort}`;
+  const session = {};
+  let device = null;
+  let apiKey = null;
+  let checkedAt = 0;
+  let pending = '';
+  let queue = Promise.resolve();
+
+  const deviceUnchanged = async () => {
+    if (Date.now() - checkedAt < DEVICE_RECHECK_INTERVAL) return true;
+    const current = await findDeviceByKey(pool, apiKey);
+    if (!current || current.id !== device.id || current.vehicle_id !== device.vehicle_id) return false;
+    checkedAt = Date.now();
+    return true;
+  };
+
+  const handleLine = async (line) => {
+    if (connection.destroyed) return;
+    if (!device) {
+      apiKey = protocol.login(line);
+      if (!apiKey) return;
+      device = await findDeviceByKey(pool, apiKey);
+      if (!device || !device.vehicle_id) {
+        logger.warn(`Tracker connection from ${remote} refused: ${device ? 'device has no vehicle' : 'invalid API key'}`);
+        connection.destroy();
+        return;
+      }
+      checkedAt = Date.now();
+      logger.info(`Tracker ${device.id} connected over ${protocol.name} from ${remote}`);
+      return;
+    }
+    if (!(await deviceUnchanged())) {
+      logger.warn(`Tracker ${device.id} connection closed: key rotated, device deactivated or moved to another vehicle`);
+      connection.destroy();
+      return;
+    }
+    const position = protocol.parse(line, session);
+    if (position) await ingestPositions(pool, io, device, [position], protocol.name);
+  };
+
+  connection.setEncoding('latin1');
+  connection.setTimeout(IDLE_TIMEOUT, () => connection.destroy());
+  connection.on('data', (chunk) => {
+    pending += chunk;
+    const lines = pending.split(/\r?\n/);
+    pending = lines.pop();
+    if (pending.length > MAX_LINE_LENGTH) {
+      logger.warn(`Tracker connection from ${remote} closed: line too long`);
+      connection.destroy();
+      return;
+    }
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      queue = queue.then(() => handleLine(line.trim())).catch(error => logger.error(`Tracker ${protocol.name} line error:`, error));
+    }
+  });
+  connection.on('error', (error) => logger.warn(`Tracker connection error from ${remote}: ${error.message}`));
+  connection.on('close', () => { if (device) logger.info(`Tracker ${device.id} disconnected`); });
+};
+
+// Starts a listener for each TRACKER_LISTENERS entry; returns the servers
+const startTrackerListeners = (io) => parseListeners(process.env.TRACKER_LISTENERS).map(({ protocol, port }) => {
+  const server = net.createServer(connection => handleConnection(io, protocol, connection));
+  server.on('error', (error) => logger.error(`Tracker ${protocol.name} listener on port ${port} failed:`, error));
+  server.listen(port, () => logger.info(`Tracker ${protocol.name} listener on port ${port}`));
+  return server;
+});
+
+module.exports = { startTrackerListeners };
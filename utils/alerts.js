@@ -0,0 +1,72 @@
+// Live delivery and expiry of alerts, and raising and resolving of system
+// alerts. An alert is pushed to the rooms of the route and vehicle it
+// concerns, and to the admin room, whenever it is created, edited, resolved
+// or expires.
+
+const { logger } = require('./logger');
+
+const EXPIRY_SWEEP_INTERVAL = 30 * 1000;
+
+const alertRooms = (alert) => {
+  const rooms = ['admin'];
+  if (alert.route_id) rooms.push(`route:${alert.route_id}`);
+  if (alert.vehicle_id) rooms.push(`vehicle:${alert.vehicle_id}`);
+  return rooms;
+};
+
+// Emitting to all rooms at once delivers to each socket only once, even if it
+// is subscribed to both the route and the vehicle
+const broadcastAlert = (io, alert) => {
+  io.to(alertRooms(alert)).emit('alert', alert);
+};
+
+// Inserts an alert unless one with the same dedupe key is already open.
+// Returns the new row, or null if it was already raised.
+const raiseAlert = async (db, alert) => {
+  const result = await db.query(
+    `INSERT INTO alerts (type, title, message, severity, vehicle_id, route_id, trip_id, source, dedupe_key, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, 'system', $8, $9)
+     ON CONFLICT (dedupe_key) WHERE is_active = true AND dedupe_key IS NOT NULL DO NOTHING
+     RETURNING *`,
+    [alert.type, alert.title, alert.message, alert.severity, alert.vehicleId, alert.routeId, alert.tripId, alert.dedupeKey, JSON.stringify(alert.metadata || {})]
+  );
+  if (result.rows.length > 0) logger.warn(`System alert raised: ${alert.title}`, { dedupeKey: alert.dedupeKey });
+  return result.rows[0] || null;
+};
+
+const resolveAlerts = async (db, dedupeKeys) => {
+  if (dedupeKeys.length === 0) return [];
+  const result = await db.query(
+    `UPDATE alerts SET is_active = false, resolved_at = NOW()
+     WHERE is_active = true AND source = 'system' AND dedupe_key = ANY($1::text[])
+     RETURNING *`,
+    [dedupeKeys]
+  );
+  return result.rows;
+};
+
+// Deactivates alerts whose expires_at has passed and returns them
+const expireAlerts = async (db) => {
+  const result = await db.query(
+    `UPDATE alerts SET is_active = false
+     WHERE is_active = true AND expires_at IS NOT NULL AND expires_at <= NOW()
+     RETURNING *`
+  );
+  if (result.rows.length > 0) logger.info(`Expired ${result.rows.length} alert(s)`);
+  return result.rows;
+};
+
+const startAlertSweeper = (io, db) => {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expireAlerts(db);
+      expired.forEach(alert => broadcastAlert(io, alert));
+    } catch (error) {
+      logger.error('Alert expiry sweep failed:', error);
+    }
+  }, EXPIRY_SWEEP_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { broadcastAlert, raiseAlert, resolveAlerts, expireAlerts, startAlertSweeper };
@@ -0,0 +1,76 @@
+// Rebuilds the precomputed analytics tables for a range of service days from
+// trips and trip_stops. Trip distance comes from trips.distance_covered, which
+// is measured from GPS when the trip completes, so vehicle_locations is never
+// scanned here. Rebuilding a day replaces it, so this is safe to re-run.
+
+const TIMEZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+const ON_TIME_EARLY_SECONDS = parseInt(process.env.ON_TIME_EARLY_SECONDS, 10) || 60; // earlier than this is early
+const ON_TIME_LATE_SECONDS = parseInt(process.env.ON_TIME_LATE_SECONDS, 10) || 300; // later than this is late
+
+// Service day of a trip: its generated service date, or the local date it starts
+const SERVICE_DATE_SQL = `COALESCE(t.service_date, (t.scheduled_start_time AT TIME ZONE $3)::date)`;
+
+// Stop visits with their delay in seconds
+const STOP_DELAYS_SQL = `
+  SELECT ts.*, EXTRACT(EPOCH FROM ts.actual_arrival - ts.scheduled_arrival) AS delay
+  FROM trip_stops ts`;
+
+// Punctuality counts over those visits; $4/$5 are the early and late limits
+const PUNCTUALITY_COLUMNS = `
+  COUNT(*) FILTER (WHERE s.delay IS NOT NULL) AS observed,
+  COUNT(*) FILTER (WHERE s.delay BETWEEN -$4::int AND $5::int) AS on_time,
+  COUNT(*) FILTER (WHERE s.delay < -$4::int) AS early,
+  COUNT(*) FILTER (WHERE s.delay > $5::int) AS late,
+  COUNT(*) FILTER (WHERE s.status = 'skipped') AS skipped,
+  COALESCE(SUM(s.delay), 0)::bigint AS total_delay`;
+
+// Recomputes `days` service days from `from` (YYYY-MM-DD). Run inside a
+// transaction so readers never see a half-built day.
+// Returns { from, days, trips, stopBuckets }.
+const refreshAnalytics = async (db, { from, days }) => {
+  const params = [from, days, TIMEZONE, ON_TIME_EARLY_SECONDS, ON_TIME_LATE_SECONDS];
+
+  await db.query('DELETE FROM analytics_trip_metrics WHERE service_date >= $1::date AND service_date < $1::date + $2::int', [from, days]);
+  await db.query('DELETE FROM analytics_stop_punctuality WHERE service_date >= $1::date AND service_date < $1::date + $2::int', [from, days]);
+
+  // Trips on a service day can start the evening before or after midnight,
+  // so the start-time window is a day wider on each side than the dates
+  const trips = await db.query(
+    `INSERT INTO analytics_trip_metrics (trip_id, service_date, route_id, vehicle_id, driver_id, outcome, distance_km, service_hours,
+       stops_observed, stops_on_time, stops_early, stops_late, stops_skipped, total_delay_seconds, peak_load, avg_load, capacity)
+     SELECT t.id, ${SERVICE_DATE_SQL}, t.route_id, t.vehicle_id, t.driver_id,
+            CASE WHEN t.status IN ('completed', 'active', 'cancelled') THEN t.status ELSE 'not_run' END,
+            t.distance_covered,
+            CASE WHEN t.status = 'completed' THEN EXTRACT(EPOCH FROM t.actual_end_time - t.actual_start_time) / 3600 END,
+            COALESCE(p.observed, 0), COALESCE(p.on_time, 0), COALESCE(p.early, 0), COALESCE(p.late, 0), COALESCE(p.skipped, 0), COALESCE(p.total_delay, 0),
+            NULLIF(GREATEST(p.peak_load, t.passenger_count), 0), p.avg_load, v.capacity
+     FROM trips t
+     LEFT JOIN vehicles v ON v.id = t.vehicle_id
+     LEFT JOIN LATERAL (
+       SELECT ${PUNCTUALITY_COLUMNS},
+              MAX(s.passengers_boarded) AS peak_load,
+              AVG(s.passengers_boarded) FILTER (WHERE s.passengers_boarded > 0) AS avg_load
+       FROM (${STOP_DELAYS_SQL} WHERE ts.trip_id = t.id) s
+     ) p ON true
+     WHERE t.scheduled_start_time >= ($1::date - 1)::timestamp AT TIME ZONE $3
+       AND t.scheduled_start_time < ($1::date + $2::int + 1)::timestamp AT TIME ZONE $3
+       AND ${SERVICE_DATE_SQL} >= $1::date AND ${SERVICE_DATE_SQL} < $1::date + $2::int
+       AND (t.status IN ('completed', 'active', 'cancelled') OR t.scheduled_start_time < NOW())`,
+    params
+  );
+
+  const stops = await db.query(
+    `INSERT INTO analytics_stop_punctuality (service_date, route_id, bus_stop_id, hour, observations, on_time, early, late, skipped, total_delay_seconds)
+     SELECT m.service_date, m.route_id, s.bus_stop_id, EXTRACT(HOUR FROM s.scheduled_arrival AT TIME ZONE $3)::int,
+            ${PUNCTUALITY_COLUMNS}
+     FROM analytics_trip_metrics m
+     JOIN (${STOP_DELAYS_SQL}) s ON s.trip_id = m.trip_id
+     WHERE m.service_date >= $1::date AND m.service_date < $1::date + $2::int
+       AND m.outcome IN ('completed', 'active') AND s.scheduled_arrival IS NOT NULL
+     GROUP BY 1, 2, 3, 4`,
+    params
+  );
+  return { from, days, trips: trips.rowCount, stopBuckets: stops.rowCount };
+};
+
+module.exports = { ON_TIME_EARLY_SECONDS, ON_TIME_LATE_SECONDS, refreshAnalytics };
@@ -0,0 +1,92 @@
+// Login sessions. A login issues an access token and a refresh token, signed
+// with different secrets and told apart by their `type`, that both carry the
+// session id (`sid`) and the user's token generation (`gen`). The session is
+// a Redis key holding the id of its one valid refresh token, which changes on
+// every refresh: presenting an older refresh token means it was copied, and
+// ends the session. Logging out deletes the session; logging out everywhere
+// bumps the user's generation, which revokes every token issued before it.
+// Access tokens are checked against both on every request and socket
+// connection.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { redisUtils } = require('../config/redis');
+const { logger } = require('./logger');
+
+const accessSecret = () => process.env.JWT_SECRET;
+const refreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// Socket.IO rooms every authenticated socket joins, so revoking a session or
+// a user disconnects their live sockets on any instance
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+const authError = (message, code) => Object.assign(new Error(message), { code });
+
+const signTokens = (user, sessionId, generation) => {
+  const claims = { userId: user.userId, email: user.email, role: user.role, name: user.name, sid: sessionId, gen: generation };
+  const refreshId = crypto.randomUUID();
+  const token = jwt.sign({ ...claims, type: 'access' }, accessSecret(), { expiresIn: process.env.JWT_EXPIRES_IN || '24h' });
+  const refreshToken = jwt.sign({ ...claims, type: 'refresh' }, refreshSecret(), { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d', jwtid: refreshId });
+  const ttl = jwt.decode(refreshToken).exp - Math.floor(Date.now() / 1000);
+  return { token, refreshToken, refreshId, ttl };
+};
+
+// Starts a session for `user` ({ userId, email, role, name }): { token, refreshToken }
+const createSession = async (user) => {
+  const sessionId = crypto.randomUUID();
+  const generation = await redisUtils.getTokenGeneration(user.userId);
+  const { token, refreshToken, refreshId, ttl } = signTokens(user, sessionId, generation);
+  await redisUtils.createAuthSession(sessionId, refreshId, ttl);
+  return { token, refreshToken };
+};
+
+const endSession = async (io, sessionId) => {
+  await redisUtils.deleteAuthSession(sessionId);
+  if (io) io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+// Revokes every session of the user, on every device
+const endUserSessions = async (io, userId) => {
+  await redisUtils.bumpTokenGeneration(userId);
+  if (io) io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+// Trades a refresh token for a new access and refresh token pair. Errors are
+// coded INVALID_REFRESH_TOKEN, TOKEN_REVOKED or REFRESH_TOKEN_REUSED.
+const refreshSession = async (io, refreshToken) => {
+  let claims;
+  try {
+    claims = jwt.verify(refreshToken, refreshSecret());
+  } catch (error) {
+    throw authError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+  if (claims.type !== 'refresh' || !claims.sid || !claims.jti) throw authError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  if (claims.gen !== await redisUtils.getTokenGeneration(claims.userId)) throw authError('Session has been revoked', 'TOKEN_REVOKED');
+  const next = signTokens(claims, claims.sid, claims.gen);
+  const outcome = await redisUtils.rotateAuthSession(claims.sid, claims.jti, next.refreshId, next.ttl);
+  if (outcome === 'reused') {
+    logger.warn('Refresh token reused; session ended', { userId: claims.userId, sessionId: claims.sid });
+    if (io) io.in(sessionRoom(claims.sid)).disconnectSockets(true);
+    throw authError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+  }
+  if (outcome === 'missing') throw authError('Session has been revoked', 'TOKEN_REVOKED');
+  return { token: next.token, refreshToken: next.refreshToken };
+};
+
+// The claims of a valid, unrevoked access token. Errors are coded
+// INVALID_TOKEN or TOKEN_REVOKED; anything else means Redis couldn't be asked.
+const verifyAccessToken = async (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, accessSecret());
+  } catch (error) {
+    throw authError('Invalid or expired token', 'INVALID_TOKEN');
+  }
+  if (claims.type !== 'access' || !claims.sid) throw authError('Invalid or expired token', 'INVALID_TOKEN');
+  const { sessionActive, generation } = await redisUtils.getAuthState(claims.sid, claims.userId);
+  if (!sessionActive || claims.gen !== generation) throw authError('Token has been revoked', 'TOKEN_REVOKED');
+  return claims;
+};
+
+module.exports = { createSession, refreshSession, endSession, endUserSessions, verifyAccessToken, sessionRoom, userRoom };
@@ -0,0 +1,130 @@
+// Departure boards for stops: the next trips calling at a stop across every
+// route serving it, timed from the trip's cached live ETAs where it has them
+// and from the timetable otherwise, with the routes' rider-facing alerts.
+// Changes that can move a board (new ETAs, trip status changes) are published
+// over Redis so stream clients on every instance refresh.
+
+const { redisUtils } = require('../config/redis');
+const { stopOffsets } = require('./schedule');
+
+const LOOKBACK_HOURS = 3; // trips that started this long ago may still be on their way
+const DUE_GRACE = 60 * 1000; // a departure this late by its time still shows, as due
+
+// Manual alerts only: system alerts (off-route, stalled, maintenance) are for operators
+const ALERTS_QUERY = `
+  SELECT a.id, a.type, a.title, a.message, a.severity, a.route_id, a.created_at, a.expires_at
+  FROM alerts a
+  WHERE a.route_id = ANY($1::uuid[]) AND a.source = 'manual'
+    AND a.is_active = true AND (a.expires_at IS NULL OR a.expires_at > NOW())
+  ORDER BY a.created_at DESC`;
+
+// When a trip is expected at the stop: { scheduledAt, expectedAt, realtime },
+// or null once it has left the stop
+const timeAtStop = (row, pattern, stopId, etaData) => {
+  if (row.stop_status && row.stop_status !== 'arrived') return null; // departed, passed or skipped
+  const offset = stopOffsets(pattern, row.direction).find(stop => stop.stopId === stopId);
+  if (!offset) return null;
+  const scheduledAt = row.scheduled_arrival ? new Date(row.scheduled_arrival).getTime() : new Date(row.scheduled_start_time).getTime() + offset.seconds * 1000;
+  if (row.stop_status === 'arrived') return { scheduledAt, expectedAt: Date.now(), realtime: true };
+  if (row.status !== 'active' || !etaData || !etaData.etas || etaData.etas.length === 0) return { scheduledAt, expectedAt: scheduledAt, realtime: false };
+  // ETAs cover only the stops still ahead of the bus
+  const eta = etaData.etas.find(prediction => prediction.stopId === stopId);
+  if (!eta) return null;
+  const expectedAt = eta.arrivalTime ? new Date(eta.arrivalTime).getTime() : new Date(etaData.calculatedAt).getTime() + eta.eta * 60000;
+  return { scheduledAt, expectedAt, realtime: true };
+};
+
+// The board for a stop: { stop, routeIds, generatedAt, departures, alerts },
+// or null if there is no such stop. Departures are the next `limit` within
+// `horizonMinutes`, soonest first, each with source realtime or scheduled.
+const loadDepartures = async (db, stopId, { limit = 10, horizonMinutes = 120 } = {}) => {
+  const stopResult = await db.query(
+    `SELECT bs.id, bs.name, bs.code, COALESCE(array_agg(DISTINCT rs.route_id) FILTER (WHERE rs.route_id IS NOT NULL), '{}') AS route_ids
+     FROM bus_stops bs LEFT JOIN route_stops rs ON rs.bus_stop_id = bs.id
+     WHERE bs.id = $1 GROUP BY bs.id`,
+    [stopId]
+  );
+  if (stopResult.rows.length === 0) return null;
+  const { route_ids: routeIds, ...stop } = stopResult.rows[0];
+
+  const [tripsResult, routeStopsResult, alertsResult] = await Promise.all([
+    db.query(
+      `SELECT t.id, t.route_id, COALESCE(t.direction, 'forward') AS direction, t.status, t.headsign, t.vehicle_id, t.scheduled_start_time,
+              r.name AS route_name, r.short_name AS route_short_name, r.color AS route_color, v.registration_number,
+              ts.scheduled_arrival, ts.status AS stop_status
+       FROM trips t
+       JOIN routes r ON r.id = t.route_id AND r.is_active = true
+       LEFT JOIN vehicles v ON v.id = t.vehicle_id
+       LEFT JOIN trip_stops ts ON ts.trip_id = t.id AND ts.bus_stop_id = $1
+       WHERE t.route_id = ANY($2::uuid[]) AND t.status NOT IN ('completed', 'cancelled')
+         AND t.scheduled_start_time BETWEEN NOW() - make_interval(hours => $3) AND NOW() + make_interval(mins => $4)`,
+      [stopId, routeIds, LOOKBACK_HOURS, horizonMinutes]
+    ),
+    db.query(
+      `SELECT route_id, bus_stop_id, stop_order, estimated_travel_time
+       FROM route_stops WHERE route_id = ANY($1::uuid[]) ORDER BY route_id, stop_order`,
+      [routeIds]
+    ),
+    db.query(ALERTS_QUERY, [routeIds])
+  ]);
+
+  const patterns = new Map();
+  for (const row of routeStopsResult.rows) {
+    if (!patterns.has(row.route_id)) patterns.set(row.route_id, []);
+    patterns.get(row.route_id).push(row);
+  }
+  const liveEtas = await Promise.all(tripsResult.rows.filter(row => row.status === 'active').map(row => redisUtils.getCachedTripETAs(row.id)));
+  const live = new Map(liveEtas.filter(Boolean).map(etaData => [etaData.tripId, etaData]));
+
+  const now = Date.now();
+  const departures = [];
+  for (const row of tripsResult.rows) {
+    const time = timeAtStop(row, patterns.get(row.route_id) || [], stopId, live.get(row.id));
+    if (!time || time.expectedAt < now - DUE_GRACE || time.expectedAt > now + horizonMinutes * 60000) continue;
+    departures.push({
+      tripId: row.id,
+      routeId: row.route_id,
+      routeName: row.route_name,
+      routeShortName: row.route_short_name,
+      routeColor: row.route_color,
+      headsign: row.headsign,
+      direction: row.direction,
+      vehicleId: row.vehicle_id,
+      registrationNumber: row.registration_number,
+      scheduledTime: new Date(time.scheduledAt).toISOString(),
+      expectedTime: new Date(time.expectedAt).toISOString(),
+      minutes: Math.max(0, Math.round((time.expectedAt - now) / 60000)),
+      delaySeconds: time.realtime ? Math.round((time.expectedAt - time.scheduledAt) / 1000) : null,
+      source: time.realtime ? 'realtime' : 'scheduled'
+    });
+  }
+  departures.sort((a, b) => new Date(a.expectedTime) - new Date(b.expectedTime));
+
+  return { stop, routeIds, generatedAt: new Date(now).toISOString(), departures: departures.slice(0, limit), alerts: alertsResult.rows };
+};
+
+// Tells departure streams that a trip's times may have changed: `stopIds` are
+// the stops its new ETAs cover, or omitted when every stop on the route may
+// be affected (a trip starting, ending or being cancelled)
+const notifyDepartures = ({ routeId, tripId, stopIds }) => redisUtils.publishDeparturesUpdate({ routeId, tripId, stopIds });
+
+// Whether an update can change this board: it names the stop, concerns a
+// trip already on the board, or moves a whole route serving the stop
+const affectsBoard = (board, update) => (update.stopIds ? update.stopIds.includes(board.stop.id) : board.routeIds.includes(update.routeId))
+  || board.departures.some(departure => departure.tripId === update.tripId);
+
+// Local listeners for departure updates, fed by one Redis subscription
+const listeners = new Set();
+let subscribed = false;
+
+// Calls `listener` with every update; returns a function that stops it
+const watchDepartures = (listener) => {
+  listeners.add(listener);
+  if (!subscribed) {
+    subscribed = true;
+    redisUtils.subscribeToDeparturesUpdates(update => listeners.forEach(watcher => watcher(update)));
+  }
+  return () => listeners.delete(listener);
+};
+
+module.exports = { loadDepartures, notifyDepartures, affectsBoard, watchDepartures };
@@ -0,0 +1,80 @@
+// Tracker devices: fixed GPS units that report for a vehicle with an API key
+// rather than a signed-in driver. Their positions, whether posted over HTTP
+// or sent over a TCP tracker protocol, go through the same pipeline as the
+// driver app's.
+
+const crypto = require('crypto');
+const { parseFix } = require('./gpsFilter');
+const { processLocation, vehicleTrip, STALE_FIX_SECONDS } = require('./locationPipeline');
+const { logger } = require('./logger');
+
+const KEY_PREFIX_LENGTH = 12;
+const TOUCH_INTERVAL = 60 * 1000; // last_seen_at is updated at most this often
+
+// Last last_seen_at update per device
+const touchedAt = new Map();
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// A new API key with its hash and display prefix; only the hash is stored
+const generateApiKey = () => {
+  const apiKey = `ssk_${crypto.randomBytes(24).toString('hex')}`;
+  return { apiKey, hash: hashApiKey(apiKey), prefix: apiKey.slice(0, KEY_PREFIX_LENGTH) };
+};
+
+// The active device holding this API key, or null
+const findDeviceByKey = async (db, apiKey) => {
+  if (!apiKey) return null;
+  const result = await db.query(
+    'SELECT id, name, identifier, vehicle_id FROM tracker_devices WHERE api_key_hash = $1 AND is_active = true',
+    [hashApiKey(apiKey)]
+  );
+  return result.rows[0] || null;
+};
+
+const touchDevice = async (db, deviceId, protocol) => {
+  const last = touchedAt.get(deviceId);
+  if (last && Date.now() - last < TOUCH_INTERVAL) return;
+  touchedAt.set(deviceId, Date.now());
+  try {
+    await db.query('UPDATE tracker_devices SET last_seen_at = NOW(), last_protocol = $2 WHERE id = $1', [deviceId, protocol]);
+  } catch (error) {
+    logger.error('Error updating tracker last seen:', error);
+  }
+};
+
+// Feeds a device's positions ({ latitude, longitude, timestamp, speed?,
+// heading?, accuracy? }, speed in km/h) through the location pipeline, oldest
+// first, for the device's vehicle and whatever trip that vehicle is on. As
+// with the driver app, only the newest fix, and only if it is recent, is
+// treated as live. `emitter` is the Socket.IO server. Returns { accepted,
+// rejected, invalid }.
+const ingestPositions = async (db, emitter, device, positions, protocol) => {
+  const counts = { accepted: 0, rejected: 0, invalid: 0 };
+  const fixes = [];
+  for (const position of positions) {
+    const fix = position && parseFix(position);
+    if (fix) fixes.push({ fix, speed: position.speed ?? null, heading: position.heading ?? null });
+    else counts.invalid++;
+  }
+  fixes.sort((a, b) => a.fix.time - b.fix.time);
+  const replay = { state: null };
+  for (const [index, { fix, speed, heading }] of fixes.entries()) {
+    // Looked up per fix (from Redis) so a trip starting mid-batch is picked up
+    const trip = await vehicleTrip(db, device.vehicle_id);
+    const source = {
+      vehicleId: device.vehicle_id,
+      tripId: trip ? trip.tripId : null,
+      driverId: trip ? trip.driverId : null,
+      trip: trip ? { routeId: trip.routeId, direction: trip.direction } : null
+    };
+    const live = index === fixes.length - 1 && Date.now() - fix.time < STALE_FIX_SECONDS * 1000;
+    const filtered = await processLocation(db, emitter, source, fix, { speed, heading, live, replay });
+    if (filtered.status === 'rejected') counts.rejected++;
+    else counts.accepted++;
+  }
+  await touchDevice(db, device.id, protocol);
+  return counts;
+};
+
+module.exports = { generateApiKey, findDeviceByKey, ingestPositions };
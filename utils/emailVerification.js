@@ -0,0 +1,46 @@
+// Email verification for self-registered passengers: a random token is
+// mailed as a link and only its SHA-256 hash is stored. Sending a new token
+// retires the user's older ones.
+
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+
+const TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// `user` is { id, email, name }
+const sendVerificationEmail = async (db, user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await db.query('UPDATE email_verifications SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+  await db.query(
+    `INSERT INTO email_verifications (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3))`,
+    [user.id, hashToken(token), TOKEN_TTL_HOURS]
+  );
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Safar Sathi account',
+    text: `Hello ${user.name},\n\nConfirm your email address to start using Safar Sathi:\n\n${link}\n\nThe link expires in ${TOKEN_TTL_HOURS} hours. If you didn't sign up, ignore this email.\n`
+  });
+};
+
+// Marks the token's user verified; returns { id, email } or null for an
+// unknown, used or expired token
+const verifyEmailToken = async (db, token) => {
+  const result = await db.query(
+    `WITH used AS (
+       UPDATE email_verifications SET used_at = NOW()
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id
+     )
+     UPDATE users u SET email_verified_at = COALESCE(u.email_verified_at, NOW())
+     FROM used WHERE u.id = used.user_id
+     RETURNING u.id, u.email`,
+    [hashToken(token)]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = { sendVerificationEmail, verifyEmailToken };
@@ -0,0 +1,327 @@
+// Historical ETA engine. Stop-to-stop travel times are learned from past
+// trips and bucketed by route, direction, weekday and time of day; distances
+// are measured along the route shape rather than in a straight line.
+// Functions take a pg pool or client as `db` so scripts can share them.
+
+const { redisUtils } = require('../config/redis');
+const { haversineDistance, cumulativeLengths, projectOntoLine } = require('./geo');
+
+const TIMEZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+const TIME_BAND_HOURS = parseInt(process.env.ETA_TIME_BAND_HOURS, 10) || 2;
+const MIN_SAMPLES = parseInt(process.env.ETA_MIN_SAMPLES, 10) || 5;
+const FALLBACK_SPEED_KMH = parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || 25;
+const FALLBACK_SPREAD = 0.35; // relative std deviation when a segment has no history
+const BAND_Z = 1.2816; // mean +/- z * sigma covers the 10th-90th percentile
+const PASSAGE_RADIUS = 50; // meters from a stop that count as reaching it
+const SHAPE_TOLERANCE = 150; // a shape further than this from a stop is not trusted
+const MAX_SEGMENT_SECONDS = 3600;
+const ANY = -1;
+
+// One row per trip and route stop with the time the bus reached the stop:
+// the recorded arrival, or else the first GPS fix within PASSAGE_RADIUS.
+const PASSAGES_SQL = `
+  SELECT t.id AS trip_id, t.route_id, COALESCE(t.direction, 'forward') AS direction,
+         rs.bus_stop_id, rs.stop_order,
+         COALESCE(ts.actual_arrival, fix.timestamp) AS passed_at
+  FROM trips t
+  JOIN route_stops rs ON rs.route_id = t.route_id
+  JOIN bus_stops bs ON bs.id = rs.bus_stop_id
+  LEFT JOIN trip_stops ts ON ts.trip_id = t.id AND ts.bus_stop_id = rs.bus_stop_id
+  LEFT JOIN LATERAL (
+    SELECT vl.timestamp FROM vehicle_locations vl
+    WHERE ts.actual_arrival IS NULL AND vl.trip_id = t.id AND vl.filter_status <> 'rejected'
+      AND vl.timestamp BETWEEN t.actual_start_time AND t.actual_end_time
+      AND ST_DWithin(vl.location, bs.location, ${PASSAGE_RADIUS})
+    ORDER BY vl.timestamp
+    LIMIT 1
+  ) fix ON true
+  WHERE t.status = 'completed' AND t.actual_start_time >= $1 AND t.actual_start_time < $2`;
+
+// Segment statistics per bucket plus the pooled fallbacks (-1) across days
+// and across days and times, in one pass via GROUPING SETS.
+const SEGMENT_STATS_SQL = `
+  WITH passages AS (${PASSAGES_SQL}),
+  ordered AS (
+    SELECT route_id, direction, bus_stop_id AS from_stop_id, passed_at,
+           LEAD(bus_stop_id) OVER w AS to_stop_id,
+           LEAD(passed_at) OVER w AS next_passed_at
+    FROM passages
+    WINDOW w AS (PARTITION BY trip_id ORDER BY CASE WHEN direction = 'backward' THEN -stop_order ELSE stop_order END)
+  ),
+  segments AS (
+    SELECT route_id, direction, from_stop_id, to_stop_id,
+           EXTRACT(DOW FROM passed_at AT TIME ZONE $3::text)::int AS day_of_week,
+           FLOOR(EXTRACT(HOUR FROM passed_at AT TIME ZONE $3::text) / $4::int)::int AS time_band,
+           EXTRACT(EPOCH FROM next_passed_at - passed_at) AS seconds
+    FROM ordered
+    WHERE passed_at IS NOT NULL AND next_passed_at IS NOT NULL
+  )
+  SELECT route_id, direction, from_stop_id, to_stop_id,
+         COALESCE(day_of_week, ${ANY}) AS day_of_week,
+         COALESCE(time_band, ${ANY}) AS time_band,
+         COUNT(*)::int AS sample_count,
+         AVG(seconds) AS mean_seconds,
+         COALESCE(STDDEV_SAMP(seconds), 0) AS stddev_seconds,
+         PERCENTILE_CONT(0.1) WITHIN GROUP (ORDER BY seconds) AS p10_seconds,
+         PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY seconds) AS p50_seconds,
+         PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY seconds) AS p90_seconds
+  FROM segments
+  WHERE seconds > 0 AND seconds <= $5
+  GROUP BY GROUPING SETS (
+    (route_id, direction, from_stop_id, to_stop_id, day_of_week, time_band),
+    (route_id, direction, from_stop_id, to_stop_id, time_band),
+    (route_id, direction, from_stop_id, to_stop_id)
+  )`;
+
+const segmentStatsParams = (from, to) => [from, to, TIMEZONE, TIME_BAND_HOURS, MAX_SEGMENT_SECONDS];
+
+const querySegmentStats = async (db, from, to) => {
+  const result = await db.query(SEGMENT_STATS_SQL, segmentStatsParams(from, to));
+  return result.rows;
+};
+
+const queryPassages = async (db, from, to) => {
+  const result = await db.query(`${PASSAGES_SQL} ORDER BY t.id, rs.stop_order`, [from, to]);
+  return result.rows;
+};
+
+// Replaces the stored model with one trained on trips started in [from, to).
+// Expects a dedicated client since it runs in a transaction.
+const trainSegmentModel = async (client, from, to) => {
+  await client.query('BEGIN');
+  try {
+    await client.query('DELETE FROM segment_travel_times');
+    const result = await client.query(
+      `INSERT INTO segment_travel_times (route_id, direction, from_stop_id, to_stop_id, day_of_week, time_band,
+                                         sample_count, mean_seconds, stddev_seconds, p10_seconds, p50_seconds, p90_seconds)
+       SELECT route_id, direction, from_stop_id, to_stop_id, day_of_week, time_band,
+              sample_count, mean_seconds, stddev_seconds, p10_seconds, p50_seconds, p90_seconds
+       FROM (${SEGMENT_STATS_SQL}) stats`,
+      segmentStatsParams(from, to)
+    );
+    await client.query('COMMIT');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+// Map "routeId:direction:fromStopId:toStopId" -> Map "dayOfWeek:timeBand" -> stats
+const indexSegmentStats = (rows) => {
+  const index = new Map();
+  for (const row of rows) {
+    const key = `${row.route_id}:${row.direction}:${row.from_stop_id}:${row.to_stop_id}`;
+    if (!index.has(key)) index.set(key, new Map());
+    index.get(key).set(`${row.day_of_week}:${row.time_band}`, {
+      samples: Number(row.sample_count),
+      mean: parseFloat(row.mean_seconds),
+      stddev: parseFloat(row.stddev_seconds)
+    });
+  }
+  return index;
+};
+
+const bucketFormatter = new Intl.DateTimeFormat('en-US', { timeZone: TIMEZONE, weekday: 'short', hour: 'numeric', hourCycle: 'h23' });
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const bucketFor = (ms) => {
+  const parts = Object.fromEntries(bucketFormatter.formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+  return { dayOfWeek: WEEKDAY_INDEX[parts.weekday], timeBand: Math.floor(parseInt(parts.hour, 10) / TIME_BAND_HOURS) };
+};
+
+// Expected seconds and spread for one segment, falling back from the exact
+// weekday/time bucket to coarser pools and finally to distance at a default speed.
+const estimateSegment = (profile, segments, from, to, at) => {
+  const buckets = segments.get(`${profile.routeId}:${profile.direction}:${from.stopId}:${to.stopId}`);
+  if (buckets) {
+    const { dayOfWeek, timeBand } = bucketFor(at);
+    const levels = [[`${dayOfWeek}:${timeBand}`, 'high'], [`${ANY}:${timeBand}`, 'medium'], [`${ANY}:${ANY}`, 'medium']];
+    for (const [key, confidence] of levels) {
+      const stat = buckets.get(key);
+      if (stat && stat.samples >= MIN_SAMPLES) return { seconds: stat.mean, stddev: stat.stddev, confidence };
+    }
+  }
+  const seconds = Math.max(0, to.along - from.along) / (FALLBACK_SPEED_KMH / 3.6);
+  return { seconds, stddev: seconds * FALLBACK_SPREAD, confidence: 'low' };
+};
+
+const CONFIDENCE_RANK = { high: 2, medium: 1, low: 0 };
+
+// Predicts arrival at profile.stops[nextIndex] onwards for a vehicle `along`
+// meters into the route at time `at` (ms). Segment variances are summed, so
+// the band widens with distance. Times are ms; distance is meters.
+const predictArrivals = (profile, segments, { along, nextIndex, at }) => {
+  const predictions = [];
+  let clock = at;
+  let variance = 0;
+  let confidence = 'high';
+  for (let i = nextIndex; i < profile.stops.length; i++) {
+    const stop = profile.stops[i];
+    if (i === 0) {
+      const seconds = Math.max(0, stop.along - along) / (FALLBACK_SPEED_KMH / 3.6);
+      clock += seconds * 1000;
+      variance += (seconds * FALLBACK_SPREAD) ** 2;
+      confidence = 'low';
+    } else {
+      const previous = profile.stops[i - 1];
+      const estimate = estimateSegment(profile, segments, previous, stop, clock);
+      const length = stop.along - previous.along;
+      const fraction = i === nextIndex && length > 0 ? Math.min(1, Math.max(0, (stop.along - along) / length)) : 1;
+      clock += estimate.seconds * fraction * 1000;
+      variance += (estimate.stddev * fraction) ** 2;
+      if (CONFIDENCE_RANK[estimate.confidence] < CONFIDENCE_RANK[confidence]) confidence = estimate.confidence;
+    }
+    const spread = BAND_Z * Math.sqrt(variance) * 1000;
+    predictions.push({
+      stopId: stop.stopId,
+      stopName: stop.name,
+      arrival: clock,
+      low: Math.max(at, clock - spread),
+      high: clock + spread,
+      distance: Math.max(0, stop.along - along),
+      confidence
+    });
+  }
+  return predictions;
+};
+
+// Places stops along a line in travel order. Returns null if any stop is too
+// far from the line for it to be the road the bus actually takes.
+const alignStops = (line, stops) => {
+  const cumulative = cumulativeLengths(line);
+  const aligned = [];
+  let startIndex = 0;
+  for (const stop of stops) {
+    const projection = projectOntoLine(line, cumulative, stop.latitude, stop.longitude, startIndex);
+    if (projection.offset > SHAPE_TOLERANCE) return null;
+    const previous = aligned[aligned.length - 1];
+    aligned.push({ ...stop, along: Math.max(projection.along, previous ? previous.along : 0), segmentIndex: projection.segmentIndex });
+    startIndex = projection.segmentIndex;
+  }
+  return { line, cumulative, stops: aligned };
+};
+
+// Ordered stops with their distance along the route for one direction. Uses
+// the direction's shape, else the opposite shape reversed, else straight
+// lines between stops.
+const fetchRouteProfile = async (db, routeId, direction) => {
+  const [stopsResult, shapesResult] = await Promise.all([
+    db.query(
+      `SELECT rs.bus_stop_id, bs.name, bs.geofence_radius,
+              ST_Y(bs.location::geometry) AS latitude, ST_X(bs.location::geometry) AS longitude
+       FROM route_stops rs JOIN bus_stops bs ON bs.id = rs.bus_stop_id
+       WHERE rs.route_id = $1 ORDER BY rs.stop_order`,
+      [routeId]
+    ),
+    db.query('SELECT direction, ST_AsGeoJSON(shape::geometry) AS geojson FROM route_shapes WHERE route_id = $1', [routeId])
+  ]);
+  const stops = stopsResult.rows.map(row => ({
+    stopId: row.bus_stop_id,
+    name: row.name,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    radius: row.geofence_radius
+  }));
+  if (direction === 'backward') stops.reverse();
+
+  const shapes = new Map(shapesResult.rows.map(row => [row.direction, JSON.parse(row.geojson).coordinates]));
+  const opposite = shapes.get(direction === 'backward' ? 'forward' : 'backward');
+  const candidates = [shapes.get(direction), opposite && [...opposite].reverse()].filter(Boolean);
+
+  let profile = null;
+  for (const line of candidates) {
+    profile = stops.length > 0 ? alignStops(line, stops) : null;
+    if (profile) { profile.source = 'shape'; break; }
+  }
+  if (!profile) {
+    const line = stops.map(stop => [stop.longitude, stop.latitude]);
+    const cumulative = cumulativeLengths(line);
+    profile = {
+      line,
+      cumulative,
+      stops: stops.map((stop, index) => ({ ...stop, along: cumulative[index], segmentIndex: Math.max(0, Math.min(index, line.length - 2)) })),
+      source: 'stops'
+    };
+  }
+  return { routeId, direction, ...profile };
+};
+
+const loadRouteProfile = async (db, routeId, direction) => {
+  const cached = await redisUtils.getCachedRouteProfile(routeId, direction);
+  if (cached) return cached;
+  const profile = await fetchRouteProfile(db, routeId, direction);
+  await redisUtils.cacheRouteProfile(routeId, direction, profile);
+  return profile;
+};
+
+const loadSegmentTimes = async (db, routeId, direction) => {
+  let rows = await redisUtils.getCachedSegmentTimes(routeId, direction);
+  if (!rows) {
+    const result = await db.query(
+      `SELECT route_id, direction, from_stop_id, to_stop_id, day_of_week, time_band, sample_count, mean_seconds, stddev_seconds
+       FROM segment_travel_times WHERE route_id = $1 AND direction = $2`,
+      [routeId, direction]
+    );
+    rows = result.rows;
+    await redisUtils.cacheSegmentTimes(routeId, direction, rows);
+  }
+  return indexSegmentStats(rows);
+};
+
+// ETAs for the stops a running trip has yet to reach. `eta`, `etaLow` and
+// `etaHigh` are minutes from now; `distance` is kilometers along the route.
+const estimateTripETAs = async (db, tripId, { latitude, longitude, timestamp }) => {
+  const tripResult = await db.query(
+    `SELECT t.route_id, COALESCE(t.direction, 'forward') AS direction,
+            COALESCE(array_agg(ts.bus_stop_id) FILTER (WHERE ts.actual_arrival IS NOT NULL OR ts.status = 'skipped'), '{}') AS visited_stop_ids
+     FROM trips t
+     LEFT JOIN trip_stops ts ON ts.trip_id = t.id
+     WHERE t.id = $1
+     GROUP BY t.id`,
+    [tripId]
+  );
+  if (tripResult.rows.length === 0) return [];
+  const { route_id: routeId, direction, visited_stop_ids: visitedStopIds } = tripResult.rows[0];
+  const [profile, segments] = await Promise.all([loadRouteProfile(db, routeId, direction), loadSegmentTimes(db, routeId, direction)]);
+  if (profile.stops.length === 0) return [];
+
+  const visited = new Set(visitedStopIds);
+  let lastVisited = -1;
+  profile.stops.forEach((stop, index) => { if (visited.has(stop.stopId)) lastVisited = index; });
+  const floor = lastVisited >= 0 ? profile.stops[lastVisited] : null;
+  const projection = projectOntoLine(profile.line, profile.cumulative, latitude, longitude, floor ? floor.segmentIndex : 0);
+  const along = Math.max(projection.along, floor ? floor.along : 0);
+  const nextIndex = profile.stops.findIndex((stop, index) => index > lastVisited && stop.along > along);
+  if (nextIndex === -1) return [];
+
+  const now = Date.now();
+  const at = timestamp ? Math.min(new Date(timestamp).getTime() || now, now) : now;
+  const toMinutes = (ms) => Math.max(0, Math.round((ms - now) / 60000));
+  return predictArrivals(profile, segments, { along, nextIndex, at }).map(prediction => ({
+    stopId: prediction.stopId,
+    stopName: prediction.stopName,
+    eta: toMinutes(prediction.arrival),
+    etaLow: toMinutes(prediction.low),
+    etaHigh: toMinutes(prediction.high),
+    arrivalTime: new Date(prediction.arrival).toISOString(),
+    distance: Math.round(prediction.distance / 10) / 100,
+    confidence: prediction.confidence
+  }));
+};
+
+// Straight-line distance at a fixed speed, the estimate the engine replaced.
+// Kept for comparison in offline evaluation.
+const naiveSeconds = (from, to, speedKmh = 30) => haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude) / (speedKmh / 3.6);
+
+module.exports = {
+  estimateTripETAs,
+  predictArrivals,
+  fetchRouteProfile,
+  loadRouteProfile,
+  querySegmentStats,
+  queryPassages,
+  indexSegmentStats,
+  trainSegmentModel,
+  naiveSeconds
+};
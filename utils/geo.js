@@ -0,0 +1,99 @@
+// Distance and projection helpers for WGS84 coordinates. Lines are arrays of
+// [lng, lat] pairs, as in GeoJSON. All distances are in meters.
+
+const EARTH_RADIUS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Distance from the start of the line to each vertex
+const cumulativeLengths = (line) => {
+  const lengths = [0];
+  for (let i = 1; i < line.length; i++) {
+    lengths.push(lengths[i - 1] + haversineDistance(line[i - 1][1], line[i - 1][0], line[i][1], line[i][0]));
+  }
+  return lengths;
+};
+
+// Closest point on the line to (lat, lng): its coordinates, its distance
+// along the line and its offset from it. Segments before startIndex are
+// skipped so that loops and out-and-back routes don't match a pass the
+// vehicle has already made.
+// Uses a local flat projection per segment, which is accurate at street scale.
+const projectOntoLine = (line, cumulative, lat, lng, startIndex = 0) => {
+  let best = { along: 0, offset: Infinity, segmentIndex: startIndex };
+  if (line.length === 1) {
+    return { along: 0, offset: haversineDistance(lat, lng, line[0][1], line[0][0]), segmentIndex: 0, latitude: line[0][1], longitude: line[0][0] };
+  }
+  for (let i = Math.max(0, startIndex); i < line.length - 1; i++) {
+    const [lng1, lat1] = line[i];
+    const [lng2, lat2] = line[i + 1];
+    const scale = Math.cos(toRadians(lat1));
+    const dx = toRadians(lng2 - lng1) * scale;
+    const dy = toRadians(lat2 - lat1);
+    const px = toRadians(lng - lng1) * scale;
+    const py = toRadians(lat - lat1);
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.min(1, Math.max(0, (px * dx + py * dy) / lengthSquared)) : 0;
+    const offset = EARTH_RADIUS * Math.hypot(px - t * dx, py - t * dy);
+    if (offset < best.offset) {
+      best = {
+        along: cumulative[i] + t * (cumulative[i + 1] - cumulative[i]),
+        offset,
+        segmentIndex: i,
+        latitude: lat1 + t * (lat2 - lat1),
+        longitude: lng1 + t * (lng2 - lng1)
+      };
+    }
+  }
+  return best;
+};
+
+// Offset of (lat, lng) from the straight segment between two [lng, lat] points
+const segmentOffset = ([lng1, lat1], [lng2, lat2], lat, lng) => {
+  const scale = Math.cos(toRadians(lat1));
+  const dx = toRadians(lng2 - lng1) * scale;
+  const dy = toRadians(lat2 - lat1);
+  const px = toRadians(lng - lng1) * scale;
+  const py = toRadians(lat - lat1);
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.min(1, Math.max(0, (px * dx + py * dy) / lengthSquared)) : 0;
+  return EARTH_RADIUS * Math.hypot(px - t * dx, py - t * dy);
+};
+
+// Douglas-Peucker: indices of the vertices to keep so that no dropped vertex
+// is more than `tolerance` meters from the simplified line. The first and
+// last vertices are always kept.
+const simplifyLine = (line, tolerance) => {
+  if (line.length <= 2) return line.map((_, i) => i);
+  const keep = new Uint8Array(line.length);
+  keep[0] = 1;
+  keep[line.length - 1] = 1;
+  const stack = [[0, line.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let worst = -1;
+    let worstOffset = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const offset = segmentOffset(line[first], line[last], line[i][1], line[i][0]);
+      if (offset > worstOffset) { worst = i; worstOffset = offset; }
+    }
+    if (worst !== -1) {
+      keep[worst] = 1;
+      stack.push([first, worst], [worst, last]);
+    }
+  }
+  const indices = [];
+  keep.forEach((kept, i) => { if (kept) indices.push(i); });
+  return indices;
+};
+
+module.exports = { haversineDistance, cumulativeLengths, projectOntoLine, simplifyLine };
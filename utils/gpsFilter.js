@@ -0,0 +1,145 @@
+// Cleans driver GPS fixes before they are stored and broadcast. Fixes that
+// imply impossible speeds are rejected, low-accuracy fixes count for less
+// than good ones, an optional Kalman filter smooths the track, and points
+// near the trip's route are snapped onto its shape. Per-vehicle filter state
+// lives in Redis.
+
+const { redisUtils } = require('../config/redis');
+const { haversineDistance, projectOntoLine } = require('./geo');
+const { loadRouteProfile } = require('./etaEngine');
+
+const MAX_SPEED_KMH = parseFloat(process.env.GPS_MAX_SPEED_KMH) || 120;
+const KALMAN_ENABLED = process.env.GPS_KALMAN_ENABLED === 'true';
+const SNAP_DISTANCE = parseFloat(process.env.GPS_SNAP_DISTANCE) || 30; // meters
+const REFERENCE_ACCURACY = 15; // meters; fixes at least this good are taken as sent
+const MIN_ACCURACY = 5; // floor on measurement error for the Kalman filter
+const PROCESS_NOISE = 1.5; // m/s² of acceleration the motion model doesn't predict
+const INITIAL_SPEED_ERROR = 10; // m/s
+const RESET_AFTER_SECONDS = 300; // a gap this long restarts the filter
+const MAX_CONSECUTIVE_REJECTIONS = 5; // after that the device is trusted again
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+
+const isCoordinate = (value) => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+
+// Normalises a device fix, or returns null if it has no usable position.
+// Zero is a valid coordinate; only 0,0 together, the usual "no fix" value, is not.
+const parseFix = ({ latitude, longitude, accuracy, timestamp }) => {
+  if (!isCoordinate(latitude) || !isCoordinate(longitude)) return null;
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180 || (lat === 0 && lng === 0)) return null;
+  const time = timestamp ? new Date(timestamp).getTime() : NaN;
+  return {
+    latitude: lat,
+    longitude: lng,
+    accuracy: isCoordinate(accuracy) && Number(accuracy) > 0 ? Number(accuracy) : null,
+    time: Number.isFinite(time) ? time : Date.now()
+  };
+};
+
+// Constant-velocity Kalman filter on one axis, in meters from the origin
+const kalmanAxis = (axis, measured, variance, dt) => {
+  const q = PROCESS_NOISE ** 2;
+  let p = axis.p + axis.v * dt;
+  let v = axis.v;
+  const [[p00, p01], [p10, p11]] = axis.P;
+  const P00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt ** 4 / 4;
+  const P01 = p01 + dt * p11 + q * dt ** 3 / 2;
+  const P10 = p10 + dt * p11 + q * dt ** 3 / 2;
+  const P11 = p11 + q * dt * dt;
+  const gainP = P00 / (P00 + variance);
+  const gainV = P10 / (P00 + variance);
+  const residual = measured - p;
+  p += gainP * residual;
+  v += gainV * residual;
+  return { p, v, P: [[(1 - gainP) * P00, (1 - gainP) * P01], [P10 - gainV * P00, P11 - gainV * P01]] };
+};
+
+const initialState = (fix) => {
+  const variance = Math.max(fix.accuracy || REFERENCE_ACCURACY, MIN_ACCURACY) ** 2;
+  const axis = { p: 0, v: 0, P: [[variance, 0], [0, INITIAL_SPEED_ERROR ** 2]] };
+  return {
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    time: fix.time,
+    accuracy: fix.accuracy || REFERENCE_ACCURACY,
+    rejections: 0,
+    kalman: { originLat: fix.latitude, originLng: fix.longitude, x: axis, y: axis }
+  };
+};
+
+// Runs one fix through the filter. Returns the next state and the result:
+// { status: 'accepted' | 'smoothed' | 'rejected', reason, latitude, longitude }.
+const filterFix = (state, fix) => {
+  if (!state || fix.time - state.time > RESET_AFTER_SECONDS * 1000 || state.rejections >= MAX_CONSECUTIVE_REJECTIONS) {
+    const reason = state && state.rejections >= MAX_CONSECUTIVE_REJECTIONS ? 'filter_reset' : null;
+    return { state: initialState(fix), result: { status: 'accepted', reason, latitude: fix.latitude, longitude: fix.longitude } };
+  }
+  const reject = (reason) => ({
+    state: { ...state, rejections: state.rejections + 1 },
+    result: { status: 'rejected', reason, latitude: fix.latitude, longitude: fix.longitude }
+  });
+
+  const dt = (fix.time - state.time) / 1000;
+  if (dt <= 0) return reject('out_of_order');
+  // Both positions may be off by their accuracy, so only the excess counts
+  const distance = haversineDistance(state.latitude, state.longitude, fix.latitude, fix.longitude);
+  const slack = (fix.accuracy || 0) + state.accuracy;
+  if (Math.max(0, distance - slack) / dt > MAX_SPEED_KMH / 3.6) return reject('impossible_speed');
+
+  let latitude;
+  let longitude;
+  let kalman = state.kalman;
+  if (KALMAN_ENABLED) {
+    const scale = Math.cos(kalman.originLat * Math.PI / 180);
+    const variance = Math.max(fix.accuracy || REFERENCE_ACCURACY, MIN_ACCURACY) ** 2;
+    const x = kalmanAxis(kalman.x, (fix.longitude - kalman.originLng) * METERS_PER_DEGREE * scale, variance, dt);
+    const y = kalmanAxis(kalman.y, (fix.latitude - kalman.originLat) * METERS_PER_DEGREE, variance, dt);
+    kalman = { ...kalman, x, y };
+    latitude = kalman.originLat + y.p / METERS_PER_DEGREE;
+    longitude = kalman.originLng + x.p / (METERS_PER_DEGREE * scale);
+  } else {
+    // Pull poor fixes towards the last position by the ratio of error variances
+    const weight = fix.accuracy && fix.accuracy > REFERENCE_ACCURACY ? (REFERENCE_ACCURACY / fix.accuracy) ** 2 : 1;
+    latitude = state.latitude + weight * (fix.latitude - state.latitude);
+    longitude = state.longitude + weight * (fix.longitude - state.longitude);
+  }
+
+  const moved = haversineDistance(fix.latitude, fix.longitude, latitude, longitude) > 1;
+  return {
+    state: { ...state, latitude, longitude, time: fix.time, accuracy: fix.accuracy || REFERENCE_ACCURACY, rejections: 0, kalman },
+    result: { status: moved ? 'smoothed' : 'accepted', reason: null, latitude, longitude }
+  };
+};
+
+// Filters a parsed fix for a vehicle and, when it is on a trip ({ routeId,
+// direction }), snaps it to the route. Adds correctionDistance (meters moved)
+// and routeOffset (meters from the route shape, null without a trip).
+// Replayed fixes pass `replay` ({ state }), filter state of their own, so
+// they are compared with each other and not with the newer live track.
+const filterLocation = async (db, vehicleId, trip, fix, replay = null) => {
+  const { state, result } = filterFix(replay ? replay.state : await redisUtils.getVehicleFilterState(vehicleId), fix);
+  if (replay) replay.state = state;
+  else await redisUtils.setVehicleFilterState(vehicleId, state);
+
+  let routeOffset = null;
+  if (result.status !== 'rejected' && trip) {
+    const profile = await loadRouteProfile(db, trip.routeId, trip.direction);
+    if (profile.line.length > 0) {
+      const projection = projectOntoLine(profile.line, profile.cumulative, result.latitude, result.longitude);
+      routeOffset = projection.offset;
+      if (projection.offset <= SNAP_DISTANCE) {
+        result.status = 'snapped';
+        result.latitude = projection.latitude;
+        result.longitude = projection.longitude;
+      }
+    }
+  }
+  return {
+    ...result,
+    routeOffset,
+    correctionDistance: haversineDistance(fix.latitude, fix.longitude, result.latitude, result.longitude)
+  };
+};
+
+module.exports = { parseFix, filterFix, filterLocation };
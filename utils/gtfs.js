@@ -0,0 +1,172 @@
+const path = require('path');
+
+// GTFS static feed helpers shared by the importer and exporter.
+
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+const OPTIONAL_FILES = ['agency.txt', 'calendar.txt', 'calendar_dates.txt', 'shapes.txt', 'feed_info.txt'];
+
+const REQUIRED_COLUMNS = {
+  'stops.txt': ['stop_id'],
+  'routes.txt': ['route_id'],
+  'trips.txt': ['route_id', 'service_id', 'trip_id'],
+  'stop_times.txt': ['trip_id', 'stop_id', 'stop_sequence'],
+  'calendar.txt': ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+  'calendar_dates.txt': ['service_id', 'date', 'exception_type'],
+  'shapes.txt': ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence'],
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// RFC 4180 CSV parser returning an array of objects keyed by the header row.
+const parseCsv = (text) => {
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+
+  const nonEmpty = rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+  if (nonEmpty.length === 0) return { columns: [], records: [] };
+  const columns = nonEmpty[0].map(c => c.trim());
+  const records = nonEmpty.slice(1).map(values => {
+    const record = {};
+    columns.forEach((column, index) => { record[column] = (values[index] || '').trim(); });
+    return record;
+  });
+  return { columns, records };
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialises records to CSV using the given column order.
+const toCsv = (columns, records) => {
+  const lines = [columns.join(',')];
+  for (const record of records) lines.push(columns.map(c => escapeCsvValue(record[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Loads the known GTFS files out of a zip entry map. Feeds zipped inside a
+// top-level folder are accepted as well.
+const loadFeed = (entries) => {
+  const files = {};
+  for (const [name, data] of entries) {
+    const base = path.posix.basename(name);
+    if (REQUIRED_FILES.includes(base) || OPTIONAL_FILES.includes(base)) {
+      files[base] = parseCsv(data.toString('utf8'));
+    }
+  }
+  return files;
+};
+
+const validateFeed = (files) => {
+  const errors = [];
+  for (const name of REQUIRED_FILES) {
+    if (!files[name]) errors.push(`Missing required file ${name}`);
+  }
+  if (!files['calendar.txt'] && !files['calendar_dates.txt']) {
+    errors.push('Feed must contain calendar.txt or calendar_dates.txt');
+  }
+  for (const [name, columns] of Object.entries(REQUIRED_COLUMNS)) {
+    if (!files[name]) continue;
+    const missing = columns.filter(c => !files[name].columns.includes(c));
+    if (missing.length > 0) errors.push(`${name} is missing columns: ${missing.join(', ')}`);
+  }
+  if (files['stop_times.txt'] && !files['stop_times.txt'].columns.includes('arrival_time') && !files['stop_times.txt'].columns.includes('departure_time')) {
+    errors.push('stop_times.txt must have arrival_time or departure_time');
+  }
+  return errors;
+};
+
+// "HH:MM:SS" (hours may exceed 24) -> seconds after midnight of the service day.
+const parseGtfsTime = (value) => {
+  const match = /^(\d{1,2}):([0-5]\d):([0-5]\d)$/.exec(value || '');
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+};
+
+const formatGtfsTime = (seconds) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+};
+
+// "YYYYMMDD" -> "YYYY-MM-DD"
+const parseGtfsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const formatGtfsDate = (isoDate) => isoDate.slice(0, 10).replace(/-/g, '');
+
+const parseGtfsColor = (value) => (/^[0-9A-Fa-f]{6}$/.test(value || '') ? `#${value.toUpperCase()}` : null);
+
+const directionFromGtfs = (directionId) => (directionId === '1' ? 'backward' : 'forward');
+const directionToGtfs = (direction) => (direction === 'backward' ? 1 : 0);
+
+// Iterates ISO dates (YYYY-MM-DD) from start for the given number of days.
+const dateRange = (startDate, days) => {
+  const dates = [];
+  const cursor = new Date(`${startDate}T00:00:00Z`);
+  for (let i = 0; i < days; i++) {
+    dates.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return dates;
+};
+
+const weekdayOf = (isoDate) => WEEKDAYS[new Date(`${isoDate}T00:00:00Z`).getUTCDay()];
+
+// Whether a calendar ({ monday..sunday, start_date, end_date }) plus its
+// exceptions (Map date -> 'added'|'removed') runs on the given date.
+const isServiceActive = (calendar, exceptions, isoDate) => {
+  const exception = exceptions && exceptions.get(isoDate);
+  if (exception === 'added') return true;
+  if (exception === 'removed') return false;
+  if (!calendar) return false;
+  if (isoDate < calendar.start_date || isoDate > calendar.end_date) return false;
+  return Boolean(calendar[weekdayOf(isoDate)]);
+};
+
+module.exports = {
+  REQUIRED_FILES,
+  WEEKDAYS,
+  parseCsv,
+  toCsv,
+  loadFeed,
+  validateFeed,
+  parseGtfsTime,
+  formatGtfsTime,
+  parseGtfsDate,
+  formatGtfsDate,
+  parseGtfsColor,
+  directionFromGtfs,
+  directionToGtfs,
+  dateRange,
+  weekdayOf,
+  isServiceActive
+};
@@ -0,0 +1,119 @@
+const { createWriter } = require('./protobuf');
+
+// GTFS-Realtime v2.0 encoding. Feeds are built as plain objects using the
+// spec's JSON field names, so the same object serves the JSON debug endpoints
+// and is encoded here for the protobuf ones.
+
+const GTFS_RT_VERSION = '2.0';
+
+const ENUMS = {
+  incrementality: { FULL_DATASET: 0, DIFFERENTIAL: 1 },
+  tripScheduleRelationship: { SCHEDULED: 0, ADDED: 1, UNSCHEDULED: 2, CANCELED: 3 },
+  stopScheduleRelationship: { SCHEDULED: 0, SKIPPED: 1, NO_DATA: 2 },
+  vehicleStopStatus: { INCOMING_AT: 0, STOPPED_AT: 1, IN_TRANSIT_TO: 2 },
+  occupancyStatus: {
+    EMPTY: 0,
+    MANY_SEATS_AVAILABLE: 1,
+    FEW_SEATS_AVAILABLE: 2,
+    STANDING_ROOM_ONLY: 3,
+    CRUSHED_STANDING_ROOM_ONLY: 4,
+    FULL: 5
+  }
+};
+
+const enumValue = (values, name) => (name === undefined || name === null ? null : values[name]);
+
+const encodeTripDescriptor = (w, trip) => {
+  w.string(1, trip.trip_id);
+  w.string(2, trip.start_time);
+  w.string(3, trip.start_date);
+  w.varint(4, enumValue(ENUMS.tripScheduleRelationship, trip.schedule_relationship));
+  w.string(5, trip.route_id);
+  w.varint(6, trip.direction_id);
+};
+
+const encodeVehicleDescriptor = (w, vehicle) => {
+  w.string(1, vehicle.id);
+  w.string(2, vehicle.label);
+  w.string(3, vehicle.license_plate);
+};
+
+const encodePosition = (w, position) => {
+  w.float(1, position.latitude);
+  w.float(2, position.longitude);
+  w.float(3, position.bearing);
+  w.double(4, position.odometer);
+  w.float(5, position.speed);
+};
+
+const encodeVehiclePosition = (w, vehicle) => {
+  w.message(1, vehicle.trip, encodeTripDescriptor);
+  w.message(2, vehicle.position, encodePosition);
+  w.varint(3, vehicle.current_stop_sequence);
+  w.varint(4, enumValue(ENUMS.vehicleStopStatus, vehicle.current_status));
+  w.varint(5, vehicle.timestamp);
+  w.string(7, vehicle.stop_id);
+  w.message(8, vehicle.vehicle, encodeVehicleDescriptor);
+  w.varint(9, enumValue(ENUMS.occupancyStatus, vehicle.occupancy_status));
+};
+
+const encodeStopTimeEvent = (w, event) => {
+  w.varint(1, event.delay);
+  w.varint(2, event.time);
+  w.varint(3, event.uncertainty);
+};
+
+const encodeStopTimeUpdate = (w, update) => {
+  w.varint(1, update.stop_sequence);
+  w.message(2, update.arrival, encodeStopTimeEvent);
+  w.message(3, update.departure, encodeStopTimeEvent);
+  w.string(4, update.stop_id);
+  w.varint(5, enumValue(ENUMS.stopScheduleRelationship, update.schedule_relationship));
+};
+
+const encodeTripUpdate = (w, tripUpdate) => {
+  w.message(1, tripUpdate.trip, encodeTripDescriptor);
+  (tripUpdate.stop_time_update || []).forEach(update => w.message(2, update, encodeStopTimeUpdate));
+  w.message(3, tripUpdate.vehicle, encodeVehicleDescriptor);
+  w.varint(4, tripUpdate.timestamp);
+  w.varint(5, tripUpdate.delay);
+};
+
+const encodeEntity = (w, entity) => {
+  w.string(1, entity.id);
+  w.bool(2, entity.is_deleted);
+  w.message(3, entity.trip_update, encodeTripUpdate);
+  w.message(4, entity.vehicle, encodeVehiclePosition);
+};
+
+const encodeHeader = (w, header) => {
+  w.string(1, header.gtfs_realtime_version);
+  w.varint(2, enumValue(ENUMS.incrementality, header.incrementality));
+  w.varint(3, header.timestamp);
+};
+
+const encodeFeedMessage = (feed) => {
+  const w = createWriter();
+  w.message(1, feed.header, encodeHeader);
+  (feed.entity || []).forEach(entity => w.message(2, entity, encodeEntity));
+  return w.finish();
+};
+
+const createFeedMessage = (entities, timestamp = Math.floor(Date.now() / 1000)) => ({
+  header: { gtfs_realtime_version: GTFS_RT_VERSION, incrementality: 'FULL_DATASET', timestamp },
+  entity: entities
+});
+
+// Maps passenger load against capacity onto the GTFS-RT occupancy scale.
+const occupancyStatusFor = (passengerCount, capacity) => {
+  if (!capacity || passengerCount === null || passengerCount === undefined) return null;
+  const ratio = passengerCount / capacity;
+  if (ratio <= 0) return 'EMPTY';
+  if (ratio < 0.5) return 'MANY_SEATS_AVAILABLE';
+  if (ratio < 0.8) return 'FEW_SEATS_AVAILABLE';
+  if (ratio < 1) return 'STANDING_ROOM_ONLY';
+  if (ratio < 1.2) return 'CRUSHED_STANDING_ROOM_ONLY';
+  return 'FULL';
+};
+
+module.exports = { GTFS_RT_VERSION, encodeFeedMessage, createFeedMessage, occupancyStatusFor };
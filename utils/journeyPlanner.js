@@ -0,0 +1,142 @@
+// Round-based public transit routing (RAPTOR) over an in-memory timetable.
+// Each round adds one bus ride, so round k holds the earliest arrival at every
+// stop using exactly k rides, followed by at most one walking transfer.
+//
+// Input shapes:
+//   trips:     [{ tripId, routeId, stopTimes: [{ stopId, time }] }]  (time in ms, increasing)
+//   access:    Map stopId -> walk seconds from the origin
+//   egress:    Map stopId -> walk seconds to the destination
+//   footpaths: Map stopId -> [{ stopId, seconds }]
+
+const DEFAULT_MAX_TRANSFERS = 2;
+const DEFAULT_MIN_TRANSFER_SECONDS = 60;
+
+const runRounds = ({ trips, access, egress, footpaths, departAt, maxTransfers, minTransferSeconds }) => {
+  const rounds = [];
+  const best = new Map();
+
+  const round0 = new Map();
+  for (const [stopId, seconds] of access) {
+    round0.set(stopId, { time: departAt + seconds * 1000, kind: 'access', seconds });
+    best.set(stopId, departAt + seconds * 1000);
+  }
+  rounds.push(round0);
+
+  let bestAtTarget = Infinity;
+  for (let k = 1; k <= maxTransfers + 1; k++) {
+    const previous = rounds[k - 1];
+    if (previous.size === 0) break;
+    const current = new Map();
+    const buffer = k > 1 ? minTransferSeconds * 1000 : 0;
+
+    for (const trip of trips) {
+      let boardIndex = -1;
+      for (let i = 0; i < trip.stopTimes.length; i++) {
+        const { stopId, time } = trip.stopTimes[i];
+        if (boardIndex !== -1 && time < (best.get(stopId) ?? Infinity) && time < bestAtTarget) {
+          current.set(stopId, { time, kind: 'ride', trip, boardIndex, alightIndex: i });
+          best.set(stopId, time);
+        }
+        const label = previous.get(stopId);
+        if (boardIndex === -1 && label && label.time + buffer <= time) boardIndex = i;
+      }
+    }
+
+    // One walking transfer from every stop reached by a ride this round
+    for (const [stopId, label] of [...current]) {
+      if (label.kind !== 'ride') continue;
+      for (const path of footpaths.get(stopId) || []) {
+        const time = label.time + path.seconds * 1000;
+        if (time < (best.get(path.stopId) ?? Infinity)) {
+          current.set(path.stopId, { time, kind: 'walk', fromStopId: stopId, seconds: path.seconds });
+          best.set(path.stopId, time);
+        }
+      }
+    }
+
+    for (const [stopId, seconds] of egress) {
+      const label = current.get(stopId);
+      if (label) bestAtTarget = Math.min(bestAtTarget, label.time + seconds * 1000);
+    }
+    rounds.push(current);
+  }
+  return rounds;
+};
+
+// Walks the round labels back from the egress stop into ordered legs.
+const reconstruct = (rounds, k, stopId) => {
+  const legs = [];
+  let round = k;
+  let currentStop = stopId;
+  while (round >= 0) {
+    const label = rounds[round].get(currentStop);
+    if (label.kind === 'access') {
+      legs.unshift({ mode: 'walk', toStopId: currentStop, seconds: label.seconds });
+      break;
+    }
+    if (label.kind === 'walk') {
+      legs.unshift({ mode: 'walk', fromStopId: label.fromStopId, toStopId: currentStop, seconds: label.seconds, arrival: label.time });
+      currentStop = label.fromStopId;
+      continue;
+    }
+    const board = label.trip.stopTimes[label.boardIndex];
+    const alight = label.trip.stopTimes[label.alightIndex];
+    legs.unshift({
+      mode: 'bus',
+      trip: label.trip,
+      fromStopId: board.stopId,
+      toStopId: alight.stopId,
+      departure: board.time,
+      arrival: alight.time,
+      stopCount: label.alightIndex - label.boardIndex
+    });
+    currentStop = board.stopId;
+    round--;
+  }
+  return legs;
+};
+
+// Returns Pareto-optimal journeys (fewer rides or earlier arrival) for one
+// departure time, each as { arrival, rides, egressStopId, egressSeconds, legs }.
+const planOnce = (options) => {
+  const rounds = runRounds(options);
+  const journeys = [];
+  let bestArrival = Infinity;
+  for (let k = 1; k < rounds.length; k++) {
+    let candidate = null;
+    for (const [stopId, seconds] of options.egress) {
+      const label = rounds[k].get(stopId);
+      if (!label) continue;
+      const arrival = label.time + seconds * 1000;
+      if (!candidate || arrival < candidate.arrival) candidate = { arrival, rides: k, egressStopId: stopId, egressSeconds: seconds };
+    }
+    if (candidate && candidate.arrival < bestArrival) {
+      bestArrival = candidate.arrival;
+      journeys.push({ ...candidate, legs: reconstruct(rounds, k, candidate.egressStopId) });
+    }
+  }
+  return journeys;
+};
+
+// Plans repeatedly, moving the departure past each found journey's first
+// bus, to collect up to `limit` distinct itineraries.
+const planJourneys = ({ trips, access, egress, footpaths, departAt, maxTransfers = DEFAULT_MAX_TRANSFERS, minTransferSeconds = DEFAULT_MIN_TRANSFER_SECONDS, limit = 3 }) => {
+  const found = new Map();
+  let searchFrom = departAt;
+  for (let attempt = 0; attempt < limit * 2 && found.size < limit * 2; attempt++) {
+    const journeys = planOnce({ trips, access, egress, footpaths, departAt: searchFrom, maxTransfers, minTransferSeconds });
+    if (journeys.length === 0) break;
+    for (const journey of journeys) {
+      const key = journey.legs.filter(l => l.mode === 'bus').map(l => `${l.trip.tripId}:${l.fromStopId}:${l.toStopId}`).join('|');
+      if (!found.has(key)) found.set(key, journey);
+    }
+    const firstBoarding = Math.min(...journeys.map(j => j.legs.find(l => l.mode === 'bus').departure));
+    const firstAccess = journeys[0].legs[0].mode === 'walk' ? journeys[0].legs[0].seconds * 1000 : 0;
+    searchFrom = Math.max(searchFrom + 60000, firstBoarding - firstAccess + 60000);
+  }
+  return [...found.values()]
+    .sort((a, b) => a.arrival - b.arrival || a.rides - b.rides)
+    .slice(0, limit);
+};
+
+module.exports = { planJourneys };
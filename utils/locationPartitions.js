@@ -0,0 +1,164 @@
+// Daily partitions of vehicle_locations (UTC days, named
+// vehicle_locations_pYYYYMMDD). Upcoming days are created ahead of time,
+// partitions past LOCATION_DOWNSAMPLE_AFTER_DAYS are thinned to one fix per
+// vehicle and trip every LOCATION_DOWNSAMPLE_SECONDS, and partitions past
+// LOCATION_RETENTION_DAYS are dropped. A downsampled partition is marked with
+// a table comment so it is only thinned once.
+
+const { logger } = require('./logger');
+
+const AHEAD_DAYS = parseInt(process.env.LOCATION_PARTITIONS_AHEAD_DAYS, 10) || 3;
+const DOWNSAMPLE_AFTER_DAYS = parseInt(process.env.LOCATION_DOWNSAMPLE_AFTER_DAYS, 10) || 7;
+const DOWNSAMPLE_SECONDS = parseInt(process.env.LOCATION_DOWNSAMPLE_SECONDS, 10) || 30;
+const RETENTION_DAYS = parseInt(process.env.LOCATION_RETENTION_DAYS, 10) || 90;
+const CHECK_INTERVAL = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PARTITION_PATTERN = /^vehicle_locations_p(\d{4})(\d{2})(\d{2})$/;
+
+const utcToday = () => new Date().toISOString().slice(0, 10);
+const addDays = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const partitionName = (day) => `vehicle_locations_p${day.replace(/-/g, '')}`;
+
+// Day partitions with their day and the rate they were downsampled to, oldest first
+const listPartitions = async (db) => {
+  const result = await db.query(
+    `SELECT c.relname AS name, obj_description(c.oid, 'pg_class') AS note
+     FROM pg_inherits i
+     JOIN pg_class c ON c.oid = i.inhrelid
+     WHERE i.inhparent = 'vehicle_locations'::regclass
+     ORDER BY c.relname`
+  );
+  return result.rows
+    .filter(row => PARTITION_PATTERN.test(row.name))
+    .map(row => {
+      const [, year, month, day] = row.name.match(PARTITION_PATTERN);
+      const downsampled = /^downsampled:(\d+)$/.exec(row.note || '');
+      return { name: row.name, day: `${year}-${month}-${day}`, downsampledSeconds: downsampled ? parseInt(downsampled[1], 10) : null };
+    });
+};
+
+// Creates the partition for a day, moving that day's fixes out of the default
+// partition first (attaching fails while the default holds any). Run inside a
+// transaction. The default partition is locked against writes until commit, so
+// a fix for the day can't land there between the move and the attach.
+const createPartition = async (client, day) => {
+  const name = partitionName(day);
+  const from = `${day}T00:00:00Z`;
+  const to = `${addDays(day, 1)}T00:00:00Z`;
+  await client.query('LOCK TABLE vehicle_locations_default IN SHARE ROW EXCLUSIVE MODE');
+  await client.query(`CREATE TABLE "${name}" (LIKE vehicle_locations INCLUDING DEFAULTS INCLUDING CONSTRAINTS)`);
+  const moved = await client.query(
+    `WITH moved AS (
+       DELETE FROM vehicle_locations_default WHERE timestamp >= $1 AND timestamp < $2 RETURNING *
+     )
+     INSERT INTO "${name}" SELECT * FROM moved`,
+    [from, to]
+  );
+  await client.query(`ALTER TABLE vehicle_locations ATTACH PARTITION "${name}" FOR VALUES FROM ('${from}') TO ('${to}')`);
+  return { name, moved: moved.rowCount };
+};
+
+// Creates partitions for today and the next `ahead` days, and for any day
+// whose fixes are sitting in the default partition.
+// Returns [{ name, moved }] for the partitions created.
+const ensurePartitions = async (pool, { ahead = AHEAD_DAYS } = {}) => {
+  const existing = new Set((await listPartitions(pool)).map(p => p.day));
+  const stranded = await pool.query(
+    `SELECT DISTINCT to_char(timestamp AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day FROM vehicle_locations_default`
+  );
+  const today = utcToday();
+  const days = new Set(stranded.rows.map(row => row.day));
+  for (let i = 0; i <= ahead; i++) days.add(addDays(today, i));
+
+  const created = [];
+  for (const day of [...days].sort()) {
+    if (existing.has(day)) continue;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      created.push(await createPartition(client, day));
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  return created;
+};
+
+// Keeps the first fix of each vehicle and trip in every `seconds` window of
+// partitions older than `afterDays`, and drops their rejected fixes.
+// Returns [{ name, removed }].
+const downsamplePartitions = async (db, { afterDays = DOWNSAMPLE_AFTER_DAYS, seconds = DOWNSAMPLE_SECONDS } = {}) => {
+  const cutoff = addDays(utcToday(), -afterDays);
+  const thinned = [];
+  for (const partition of await listPartitions(db)) {
+    if (partition.day >= cutoff) continue;
+    if (partition.downsampledSeconds !== null && partition.downsampledSeconds >= seconds) continue;
+    const result = await db.query(
+      `DELETE FROM "${partition.name}"
+       WHERE filter_status = 'rejected'
+          OR id IN (
+            SELECT id FROM (
+              SELECT id, ROW_NUMBER() OVER (
+                PARTITION BY vehicle_id, trip_id, FLOOR(EXTRACT(EPOCH FROM timestamp) / $1::int)
+                ORDER BY timestamp
+              ) AS n
+              FROM "${partition.name}"
+              WHERE filter_status <> 'rejected'
+            ) ranked
+            WHERE n > 1
+          )`,
+      [seconds]
+    );
+    await db.query(`COMMENT ON TABLE "${partition.name}" IS 'downsampled:${seconds}'`);
+    thinned.push({ name: partition.name, removed: result.rowCount });
+  }
+  return thinned;
+};
+
+// Drops partitions, and fixes in the default partition, older than `retentionDays`.
+// Returns { dropped: [name], defaultRemoved }.
+const dropExpiredPartitions = async (db, { retentionDays = RETENTION_DAYS } = {}) => {
+  const cutoff = addDays(utcToday(), -retentionDays);
+  const dropped = [];
+  for (const partition of await listPartitions(db)) {
+    if (partition.day >= cutoff) continue;
+    await db.query(`DROP TABLE "${partition.name}"`);
+    dropped.push(partition.name);
+  }
+  const stale = await db.query('DELETE FROM vehicle_locations_default WHERE timestamp < $1', [`${cutoff}T00:00:00Z`]);
+  return { dropped, defaultRemoved: stale.rowCount };
+};
+
+// Creates upcoming partitions on startup and then once a day, so live fixes
+// don't pile up in the default partition. Downsampling and retention are left
+// to scripts/maintainLocations.js, which is heavier and run from cron.
+const startPartitionMaintenance = (db) => {
+  const run = async () => {
+    try {
+      const created = await ensurePartitions(db);
+      if (created.length > 0) logger.info(`Created ${created.length} vehicle_locations partition(s)`, { partitions: created });
+    } catch (error) {
+      logger.error('vehicle_locations partition check failed:', error);
+    }
+  };
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  DOWNSAMPLE_AFTER_DAYS,
+  DOWNSAMPLE_SECONDS,
+  RETENTION_DAYS,
+  listPartitions,
+  ensurePartitions,
+  downsamplePartitions,
+  dropExpiredPartitions,
+  startPartitionMaintenance
+};
@@ -0,0 +1,152 @@
+// What happens to every GPS fix, whichever way it arrived (driver app over
+// Socket.IO, tracker over HTTP or TCP): filtering, buffered storage, the
+// Redis cache and pub/sub, room broadcasts, off-route checks, stop detection
+// and throttled ETA updates. `emitter` is the reporting driver's socket, so
+// they don't get their own fix back, or the Socket.IO server for trackers.
+
+const { redisUtils } = require('../config/redis');
+const { logger } = require('./logger');
+const { estimateTripETAs } = require('./etaEngine');
+const { detectStopEvents, broadcastStopEvents } = require('./stopDetection');
+const { filterLocation } = require('./gpsFilter');
+const { checkOffRoute } = require('./vehicleMonitor');
+const { enqueueLocation } = require('./locationWriter');
+const { publishPosition, publishETAs } = require('./publicBroadcast');
+const { notifyDepartures } = require('./departures');
+
+const ETA_INTERVAL = (parseInt(process.env.ETA_MIN_INTERVAL_SECONDS, 10) || 10) * 1000;
+const VEHICLE_TRIP_TTL = 60; // seconds a tracker's vehicle-to-trip lookup is cached
+const STALE_FIX_SECONDS = parseInt(process.env.LOCATION_STALE_SECONDS, 10) || 30; // older fixes are history, not live
+
+// Last ETA run per vehicle, so a vehicle reporting every 2 seconds doesn't
+// recompute its ETAs every 2 seconds: { tripId, at, running }
+const etaRuns = new Map();
+
+// The active trip of a vehicle, for trackers that only know their vehicle:
+// { tripId, routeId, direction, driverId } or null. Cached in Redis (misses
+// too); broadcastTripStatus clears the cache when a trip starts or ends.
+const vehicleTrip = async (db, vehicleId) => {
+  const cached = await redisUtils.getVehicleTrip(vehicleId);
+  if (cached) return cached.tripId ? cached : null;
+  const result = await db.query(
+    `SELECT id, route_id, COALESCE(direction, 'forward') AS direction, driver_id
+     FROM trips WHERE vehicle_id = $1 AND status = 'active'
+     ORDER BY actual_start_time DESC LIMIT 1`,
+    [vehicleId]
+  );
+  const row = result.rows[0];
+  const trip = row ? { tripId: row.id, routeId: row.route_id, direction: row.direction, driverId: row.driver_id } : { tripId: null };
+  await redisUtils.setVehicleTrip(vehicleId, trip, VEHICLE_TRIP_TTL);
+  return trip.tripId ? trip : null;
+};
+
+const monitorRouteAdherence = async (db, emitter, source, trip, filtered, time) => {
+  try {
+    if (!trip) return;
+    const alerts = await checkOffRoute(db, { tripId: source.tripId, vehicleId: source.vehicleId, routeId: trip.routeId, routeOffset: filtered.routeOffset, time });
+    alerts.forEach(alert => emitter.to('admin').emit('alert', alert));
+  } catch (error) {
+    logger.error('Error checking route adherence:', error);
+  }
+};
+
+const detectAndEmitStopEvents = async (db, emitter, source, fix) => {
+  try {
+    if (!source.tripId) return;
+    const { routeId, events } = await detectStopEvents(db, source.tripId, fix);
+    broadcastStopEvents(emitter, { tripId: source.tripId, vehicleId: source.vehicleId, routeId }, events);
+  } catch (error) {
+    logger.error('Error detecting stop events:', error);
+  }
+};
+
+// Stop detection for a replayed fix: arrivals and departures are recorded but
+// not broadcast
+const recordStopEvents = async (db, tripId, fix) => {
+  try {
+    await detectStopEvents(db, tripId, fix);
+  } catch (error) {
+    logger.error('Error detecting stop events:', error);
+  }
+};
+
+const calculateAndEmitETAs = async (db, emitter, source, currentLocation) => {
+  const { tripId, vehicleId } = source;
+  if (!tripId) return;
+  const last = etaRuns.get(vehicleId);
+  if (last && last.tripId === tripId && (last.running || Date.now() - last.at < ETA_INTERVAL)) return;
+  const run = { tripId, at: Date.now(), running: true };
+  etaRuns.set(vehicleId, run);
+  try {
+    const etaUpdates = await estimateTripETAs(db, tripId, currentLocation);
+    if (etaUpdates.length > 0) {
+      const calculatedAt = new Date().toISOString();
+      emitter.to('passengers').emit('eta_update', { vehicleId, tripId, etas: etaUpdates });
+      publishETAs({ vehicleId, tripId, routeId: source.trip ? source.trip.routeId : null, etas: etaUpdates });
+      await Promise.all([
+        ...etaUpdates.map(eta => redisUtils.cacheETA(tripId, eta.stopId, vehicleId, { eta: eta.eta, etaLow: eta.etaLow, etaHigh: eta.etaHigh, calculatedAt })),
+        redisUtils.cacheTripETAs(tripId, { tripId, vehicleId, calculatedAt, etas: etaUpdates })
+      ]);
+      await notifyDepartures({ routeId: source.trip ? source.trip.routeId : null, tripId, stopIds: etaUpdates.map(eta => eta.stopId) });
+    }
+  } catch (error) {
+    logger.error('Error calculating ETAs:', error);
+  } finally {
+    run.running = false;
+  }
+};
+
+// Runs one parsed fix (see parseFix) through the pipeline. `source` is
+// { vehicleId, tripId, driverId, trip }, trip being { routeId, direction } of
+// the active trip or null. Fixes are broadcast as soon as they are filtered;
+// storing them is left to the batched writer. A fix that isn't `live` (one
+// replayed after the device was offline) is filtered, stored and run through
+// stop detection so arrivals are recorded, but not cached, broadcast, checked
+// for off-route or used for ETAs, all of which would be stale. It is
+// filtered against `replay` ({ state }, shared by one batch's replayed fixes)
+// rather than the vehicle's live filter state. Returns the filter result,
+// whose status is 'rejected' for a fix stored for audit only.
+const processLocation = async (db, emitter, source, fix, { speed = null, heading = null, seq = null, live = true, replay = null } = {}) => {
+  const { vehicleId, tripId, driverId, trip } = source;
+  const filtered = await filterLocation(db, vehicleId, trip, fix, live ? null : replay || { state: null });
+  enqueueLocation({
+    vehicleId,
+    tripId,
+    latitude: filtered.latitude,
+    longitude: filtered.longitude,
+    rawLatitude: fix.latitude,
+    rawLongitude: fix.longitude,
+    speed,
+    heading,
+    accuracy: fix.accuracy,
+    timestamp: fix.time,
+    filterStatus: filtered.status,
+    filterReason: filtered.reason,
+    correctionDistance: filtered.correctionDistance,
+    seq
+  });
+  if (filtered.status === 'rejected') {
+    logger.warn(`Location rejected for vehicle ${vehicleId}: ${filtered.reason}`);
+    return filtered;
+  }
+  const { latitude, longitude } = filtered;
+  if (!live) {
+    if (tripId) await recordStopEvents(db, tripId, { latitude, longitude, accuracy: fix.accuracy, timestamp: fix.time });
+    return filtered;
+  }
+  const cacheData = { vehicleId, tripId, latitude, longitude, speed, heading, accuracy: fix.accuracy, timestamp: new Date(fix.time).toISOString(), driverId };
+  emitter.to(`vehicle:${vehicleId}`).emit('location_update', cacheData);
+  if (trip) emitter.to(`route:${trip.routeId}`).emit('route_vehicle_update', { routeId: trip.routeId, ...cacheData });
+  emitter.to('admin').emit('vehicle_location_update', cacheData);
+  publishPosition({ ...cacheData, routeId: trip ? trip.routeId : null });
+  await Promise.all([
+    redisUtils.cacheVehicleLocation(vehicleId, cacheData),
+    redisUtils.publishLocationUpdate(vehicleId, cacheData)
+  ]);
+  await monitorRouteAdherence(db, emitter, source, trip, filtered, fix.time);
+  await detectAndEmitStopEvents(db, emitter, source, { latitude, longitude, accuracy: fix.accuracy, timestamp: fix.time });
+  await calculateAndEmitETAs(db, emitter, source, { latitude, longitude, timestamp: fix.time });
+  return filtered;
+};
+
+module.exports = { processLocation, vehicleTrip, STALE_FIX_SECONDS };
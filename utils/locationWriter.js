@@ -0,0 +1,171 @@
+// Buffers GPS fixes in memory and writes them to vehicle_locations in bulk,
+// so the ingest path costs no Postgres round trip per fix. A flush runs every
+// LOCATION_FLUSH_INTERVAL_MS, or sooner once LOCATION_FLUSH_BATCH fixes are
+// waiting; only one flush is in flight at a time. If Postgres falls behind
+// the buffer grows to LOCATION_BUFFER_MAX and then the oldest fixes are
+// dropped. Counters for all of this are exposed through ingestMetrics().
+
+const { logger } = require('./logger');
+
+const FLUSH_INTERVAL = parseInt(process.env.LOCATION_FLUSH_INTERVAL_MS, 10) || 1000;
+const FLUSH_BATCH = parseInt(process.env.LOCATION_FLUSH_BATCH, 10) || 500;
+const BUFFER_MAX = parseInt(process.env.LOCATION_BUFFER_MAX, 10) || 20000;
+const WARN_FILL = 0.8; // share of BUFFER_MAX that logs a backpressure warning
+
+const INSERT_SQL = `
+  INSERT INTO vehicle_locations (vehicle_id, trip_id, location, raw_location, speed, heading, accuracy, timestamp,
+                                 filter_status, filter_reason, correction_distance, sequence_number)
+  SELECT f.vehicle_id, f.trip_id,
+         ST_SetSRID(ST_MakePoint(f.longitude, f.latitude), 4326)::geography,
+         ST_SetSRID(ST_MakePoint(f.raw_longitude, f.raw_latitude), 4326)::geography,
+         f.speed, f.heading, f.accuracy, f.timestamp, f.filter_status, f.filter_reason, f.correction_distance, f.sequence_number
+  FROM unnest($1::uuid[], $2::uuid[], $3::float8[], $4::float8[], $5::float8[], $6::float8[], $7::numeric[], $8::int[],
+              $9::numeric[], $10::timestamptz[], $11::text[], $12::text[], $13::numeric[], $14::bigint[])
+    AS f(vehicle_id, trip_id, latitude, longitude, raw_latitude, raw_longitude, speed, heading,
+         accuracy, timestamp, filter_status, filter_reason, correction_distance, sequence_number)`;
+
+let db = null;
+let timer = null;
+let buffer = [];
+let flushing = null;
+let warned = false;
+
+const metrics = {
+  received: 0,
+  written: 0,
+  dropped: 0,
+  flushes: 0,
+  failedFlushes: 0,
+  highWater: 0,
+  lastFlushAt: null,
+  lastFlushMs: null,
+  lastFlushRows: 0,
+  lastError: null
+};
+
+// Numbers outside what the column holds become null, so one odd device value
+// can't fail the whole batch
+const bounded = (value, max) => {
+  const number = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(number) && Math.abs(number) < max ? number : null;
+};
+
+const toRow = (fix) => {
+  const heading = bounded(fix.heading, 360);
+  const correction = bounded(fix.correctionDistance, 1e6);
+  return {
+    vehicleId: fix.vehicleId,
+    tripId: fix.tripId || null,
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    rawLatitude: fix.rawLatitude ?? fix.latitude,
+    rawLongitude: fix.rawLongitude ?? fix.longitude,
+    speed: bounded(fix.speed, 1000),
+    heading: heading === null ? null : (Math.round(heading) + 360) % 360,
+    accuracy: bounded(fix.accuracy, 1e6),
+    timestamp: new Date(fix.timestamp),
+    filterStatus: fix.filterStatus || 'accepted',
+    filterReason: fix.filterReason || null,
+    correctionDistance: correction === null ? null : Math.round(correction * 100) / 100,
+    seq: Number.isSafeInteger(fix.seq) ? fix.seq : null
+  };
+};
+
+// Queues a fix for the next flush: { vehicleId, tripId, latitude, longitude,
+// rawLatitude?, rawLongitude?, speed, heading, accuracy, timestamp,
+// filterStatus, filterReason, correctionDistance, seq? }
+const enqueueLocation = (fix) => {
+  metrics.received++;
+  buffer.push(toRow(fix));
+  if (buffer.length > BUFFER_MAX) {
+    const overflow = buffer.length - BUFFER_MAX;
+    buffer.splice(0, overflow);
+    metrics.dropped += overflow;
+  }
+  metrics.highWater = Math.max(metrics.highWater, buffer.length);
+  if (!warned && buffer.length >= BUFFER_MAX * WARN_FILL) {
+    warned = true;
+    logger.warn(`Location buffer at ${buffer.length}/${BUFFER_MAX} fixes; Postgres is falling behind`);
+  } else if (warned && buffer.length < BUFFER_MAX * WARN_FILL / 2) {
+    warned = false;
+  }
+  if (buffer.length >= FLUSH_BATCH && !flushing) flushLocations();
+};
+
+const writeBatch = async (rows) => {
+  const columns = Array.from({ length: 14 }, () => []);
+  for (const row of rows) {
+    [row.vehicleId, row.tripId, row.latitude, row.longitude, row.rawLatitude, row.rawLongitude, row.speed, row.heading,
+      row.accuracy, row.timestamp, row.filterStatus, row.filterReason, row.correctionDistance, row.seq]
+      .forEach((value, i) => columns[i].push(value));
+  }
+  await db.query(INSERT_SQL, columns);
+};
+
+// Bad data (SQLSTATE class 22) or a vehicle or trip that no longer exists
+// (class 23) fails the whole INSERT; anything else is Postgres being unavailable
+const isDataError = (error) => /^2[23]/.test(error.code || '');
+
+// Writes everything buffered so far, FLUSH_BATCH rows per INSERT. Resolves
+// once those fixes are stored, so callers that read vehicle_locations (a trip
+// being completed) can wait for them. A batch rejected for its data is retried
+// row by row and the bad rows dropped; one that failed because Postgres is
+// unavailable goes back to the front of the buffer for the next flush.
+const flushLocations = () => {
+  if (flushing) return flushing.then(() => (buffer.length > 0 ? flushLocations() : undefined));
+  if (!db || buffer.length === 0) return Promise.resolve();
+  flushing = (async () => {
+    const started = Date.now();
+    let rows = 0;
+    while (buffer.length > 0) {
+      const batch = buffer.splice(0, FLUSH_BATCH);
+      try {
+        await writeBatch(batch);
+        rows += batch.length;
+        metrics.written += batch.length;
+      } catch (error) {
+        metrics.failedFlushes++;
+        metrics.lastError = error.message;
+        logger.error(`Failed to write ${batch.length} vehicle locations:`, error);
+        if (!isDataError(error)) {
+          buffer.unshift(...batch);
+          break;
+        }
+        for (const row of batch) {
+          try {
+            await writeBatch([row]);
+            rows++;
+            metrics.written++;
+          } catch (rowError) {
+            metrics.dropped++;
+          }
+        }
+      }
+    }
+    metrics.flushes++;
+    metrics.lastFlushAt = new Date().toISOString();
+    metrics.lastFlushMs = Date.now() - started;
+    metrics.lastFlushRows = rows;
+  })().finally(() => { flushing = null; });
+  return flushing;
+};
+
+// Buffer depth and write counters, for /health and dashboards
+const ingestMetrics = () => ({
+  ...metrics,
+  buffered: buffer.length,
+  bufferMax: BUFFER_MAX,
+  flushing: Boolean(flushing),
+  flushIntervalMs: FLUSH_INTERVAL,
+  flushBatch: FLUSH_BATCH
+});
+
+const startLocationWriter = (pool) => {
+  db = pool;
+  if (timer) return timer;
+  timer = setInterval(() => { if (!flushing) flushLocations(); }, FLUSH_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { enqueueLocation, flushLocations, ingestMetrics, startLocationWriter };
@@ -0,0 +1,42 @@
+// Outgoing email. MAIL_TRANSPORT picks how messages leave: `log` writes
+// them to the application log and `file` writes each one as an .eml file
+// under MAIL_DIR, for development and for SMTP sinks that pick up a
+// directory. A real provider is added as another entry in `transports`.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const toRfc822 = ({ from, to, subject, text }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  `Date: ${new Date().toUTCString()}`,
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  text
+].join('\r\n');
+
+// Each transport takes { from, to, subject, text }
+const transports = {
+  log: async (message) => {
+    logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || 'mail';
+    await fs.promises.mkdir(dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    await fs.promises.writeFile(path.join(dir, name), toRfc822(message));
+  }
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || 'log';
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}"; expected one of ${Object.keys(transports).join(', ')}`);
+  await transport({ from: process.env.MAIL_FROM || 'Safar Sathi <no-reply@safarsathi.local>', to, subject, text });
+};
+
+module.exports = { sendMail };
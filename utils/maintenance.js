@@ -0,0 +1,118 @@
+// Fleet health. The latest maintenance record of each service type on a
+// vehicle says when that service is next due; a daily check raises
+// maintenance alerts for services coming due or overdue and resolves them once
+// the service is logged. Vehicles in the workshop can't be given trips.
+
+const { raiseAlert, resolveAlerts, broadcastAlert } = require('./alerts');
+const { logger } = require('./logger');
+
+const SERVICE_TYPES = ['routine_service', 'oil_change', 'tyres', 'brakes', 'inspection', 'repair', 'other'];
+const UNAVAILABLE_STATUSES = ['maintenance', 'out_of_service'];
+const DUE_SOON_KM = parseFloat(process.env.MAINTENANCE_DUE_SOON_KM) || 500;
+const DUE_SOON_DAYS = parseInt(process.env.MAINTENANCE_DUE_SOON_DAYS, 10) || 7;
+const CHECK_INTERVAL = 24 * 60 * 60 * 1000;
+
+const vehicleError = (code, message) => Object.assign(new Error(message), { code });
+
+// Throws VEHICLE_NOT_FOUND, or VEHICLE_UNAVAILABLE for a vehicle in
+// maintenance or out of service
+const assertVehicleAvailable = async (db, vehicleId) => {
+  const result = await db.query('SELECT status FROM vehicles WHERE id = $1', [vehicleId]);
+  if (result.rows.length === 0) throw vehicleError('VEHICLE_NOT_FOUND', 'Vehicle not found');
+  if (UNAVAILABLE_STATUSES.includes(result.rows[0].status)) {
+    throw vehicleError('VEHICLE_UNAVAILABLE', `Vehicle is ${result.rows[0].status}`);
+  }
+};
+
+// 'overdue' once the odometer or date threshold is passed, 'due' within
+// DUE_SOON_KM or DUE_SOON_DAYS of it, otherwise 'ok'
+const dueState = (remainingKm, remainingDays) => {
+  if ((remainingKm !== null && remainingKm <= 0) || (remainingDays !== null && remainingDays < 0)) return 'overdue';
+  if ((remainingKm !== null && remainingKm <= DUE_SOON_KM) || (remainingDays !== null && remainingDays <= DUE_SOON_DAYS)) return 'due';
+  return 'ok';
+};
+
+// Next-due status of every tracked service, optionally for one vehicle
+const fleetHealth = async (db, vehicleId = null) => {
+  const result = await db.query(
+    `SELECT latest.id AS record_id, latest.vehicle_id, v.registration_number, v.status AS vehicle_status, v.odometer_km,
+            latest.service_type, latest.performed_at, latest.next_due_km, to_char(latest.next_due_date, 'YYYY-MM-DD') AS next_due_date,
+            latest.next_due_km - v.odometer_km AS remaining_km, latest.next_due_date - CURRENT_DATE AS remaining_days
+     FROM (
+       SELECT DISTINCT ON (vehicle_id, service_type) * FROM maintenance_records
+       WHERE $1::uuid IS NULL OR vehicle_id = $1
+       ORDER BY vehicle_id, service_type, performed_at DESC
+     ) latest
+     JOIN vehicles v ON v.id = latest.vehicle_id
+     WHERE latest.next_due_km IS NOT NULL OR latest.next_due_date IS NOT NULL
+     ORDER BY v.registration_number, latest.service_type`,
+    [vehicleId]
+  );
+  return result.rows.map(row => {
+    const remainingKm = row.remaining_km === null ? null : parseFloat(row.remaining_km);
+    return { ...row, remaining_km: remainingKm, state: dueState(remainingKm, row.remaining_days) };
+  });
+};
+
+const describeDue = (service) => {
+  const parts = [];
+  if (service.next_due_km !== null) parts.push(`at ${Math.round(parseFloat(service.next_due_km))} km (odometer ${Math.round(parseFloat(service.odometer_km))} km)`);
+  if (service.next_due_date !== null) parts.push(`on ${service.next_due_date}`);
+  return parts.join(' or ');
+};
+
+// Raises an alert for each service due or overdue, escalating from one to the
+// other, and resolves alerts for services that are fine again. Returns the
+// alerts raised or resolved.
+const checkMaintenanceDue = async (db, vehicleId = null) => {
+  const health = await fleetHealth(db, vehicleId);
+  const changes = [];
+  const cleared = [];
+  for (const service of health) {
+    const dueKey = `maintenance_due:${service.vehicle_id}:${service.service_type}`;
+    const overdueKey = `maintenance_overdue:${service.vehicle_id}:${service.service_type}`;
+    const label = service.service_type.replace(/_/g, ' ');
+    const vehicle = service.registration_number || service.vehicle_id;
+    const base = { type: 'maintenance', vehicleId: service.vehicle_id, metadata: { serviceType: service.service_type, recordId: service.record_id, remainingKm: service.remaining_km, remainingDays: service.remaining_days } };
+
+    if (service.state === 'overdue') {
+      const alert = await raiseAlert(db, { ...base, severity: 'error', title: `Vehicle ${vehicle} is overdue for ${label}`, message: `The ${label} was due ${describeDue(service)}.`, dedupeKey: overdueKey });
+      if (alert) changes.push(alert);
+      cleared.push(dueKey);
+    } else if (service.state === 'due') {
+      const alert = await raiseAlert(db, { ...base, severity: 'warning', title: `Vehicle ${vehicle} is due for ${label}`, message: `The ${label} is due ${describeDue(service)}.`, dedupeKey: dueKey });
+      if (alert) changes.push(alert);
+      cleared.push(overdueKey);
+    } else {
+      cleared.push(dueKey, overdueKey);
+    }
+  }
+  changes.push(...(await resolveAlerts(db, cleared)));
+  return changes;
+};
+
+// Runs the check on startup and then once a day
+const startMaintenanceMonitor = (io, db) => {
+  const run = async () => {
+    try {
+      const changes = await checkMaintenanceDue(db);
+      changes.forEach(alert => broadcastAlert(io, alert));
+      if (changes.length > 0) logger.info(`Maintenance check raised or resolved ${changes.length} alert(s)`);
+    } catch (error) {
+      logger.error('Maintenance check failed:', error);
+    }
+  };
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  SERVICE_TYPES,
+  UNAVAILABLE_STATUSES,
+  assertVehicleAvailable,
+  fleetHealth,
+  checkMaintenanceDue,
+  startMaintenanceMonitor
+};
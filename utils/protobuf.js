@@ -0,0 +1,80 @@
+// Minimal protocol buffers encoder, enough to serialise GTFS-Realtime feeds
+// without generated code.
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+const createWriter = () => {
+  const chunks = [];
+
+  const rawVarint = (value) => {
+    let remaining = BigInt.asUintN(64, BigInt(value));
+    const bytes = [];
+    while (remaining > 0x7fn) {
+      bytes.push(Number(remaining & 0x7fn) | 0x80);
+      remaining >>= 7n;
+    }
+    bytes.push(Number(remaining));
+    chunks.push(Buffer.from(bytes));
+  };
+
+  const tag = (field, wireType) => rawVarint((field << 3) | wireType);
+
+  const writer = {
+    // int32/int64/uint32/uint64/enum. Negative values use ten-byte two's complement.
+    varint(field, value) {
+      if (!isSet(value)) return writer;
+      tag(field, WIRE_VARINT);
+      rawVarint(Math.trunc(value));
+      return writer;
+    },
+    bool(field, value) {
+      if (!isSet(value)) return writer;
+      return writer.varint(field, value ? 1 : 0);
+    },
+    float(field, value) {
+      if (!isSet(value)) return writer;
+      const buffer = Buffer.alloc(4);
+      buffer.writeFloatLE(value);
+      tag(field, WIRE_FIXED32);
+      chunks.push(buffer);
+      return writer;
+    },
+    double(field, value) {
+      if (!isSet(value)) return writer;
+      const buffer = Buffer.alloc(8);
+      buffer.writeDoubleLE(value);
+      tag(field, WIRE_FIXED64);
+      chunks.push(buffer);
+      return writer;
+    },
+    bytes(field, buffer) {
+      if (!isSet(buffer)) return writer;
+      tag(field, WIRE_LENGTH_DELIMITED);
+      rawVarint(buffer.length);
+      chunks.push(buffer);
+      return writer;
+    },
+    string(field, value) {
+      if (!isSet(value)) return writer;
+      return writer.bytes(field, Buffer.from(String(value), 'utf8'));
+    },
+    // Encodes a nested message; encode receives a fresh writer for its fields.
+    message(field, value, encode) {
+      if (!isSet(value)) return writer;
+      const nested = createWriter();
+      encode(nested, value);
+      return writer.bytes(field, nested.finish());
+    },
+    finish() {
+      return Buffer.concat(chunks);
+    }
+  };
+  return writer;
+};
+
+module.exports = { createWriter };
@@ -0,0 +1,43 @@
+// Live events for the anonymous /public Socket.IO namespace (see
+// sockets/publicSocket). Payloads are rebuilt from a fixed list of fields so
+// nothing about drivers or internal state reaches it. Until the namespace is
+// set up (scripts, tests) publishing does nothing.
+
+let namespace = null;
+
+const setPublicNamespace = (nsp) => { namespace = nsp; };
+
+const POSITION_FIELDS = ['vehicleId', 'tripId', 'routeId', 'latitude', 'longitude', 'speed', 'heading', 'timestamp'];
+const STOP_EVENT_FIELDS = ['type', 'tripId', 'vehicleId', 'routeId', 'stopId', 'stopName', 'stopSequence', 'scheduledArrival',
+  'arrivalTime', 'delaySeconds', 'skippedStops', 'departureTime', 'dwellSeconds', 'status'];
+
+const pick = (source, fields) => Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+
+// A vehicle's filtered position: location_update to the vehicle's room and
+// route_vehicle_update to its route's
+const publishPosition = (position) => {
+  if (!namespace) return;
+  const payload = pick(position, POSITION_FIELDS);
+  namespace.to(`vehicle:${payload.vehicleId}`).emit('location_update', payload);
+  if (payload.routeId) namespace.to(`route:${payload.routeId}`).emit('route_vehicle_update', payload);
+};
+
+// A trip's ETAs: all of them to the route's room, and each stop's own to the
+// stop's room as stop_eta_update
+const publishETAs = ({ vehicleId, tripId, routeId, etas }) => {
+  if (!namespace) return;
+  const payload = { vehicleId, tripId, routeId, etas: etas.map(eta => pick(eta, ['stopId', 'stopName', 'eta', 'etaLow', 'etaHigh', 'arrivalTime', 'distance', 'confidence'])) };
+  if (routeId) namespace.to(`route:${routeId}`).emit('eta_update', payload);
+  for (const eta of payload.etas) namespace.to(`stop:${eta.stopId}`).emit('stop_eta_update', { vehicleId, tripId, routeId, ...eta });
+};
+
+// Stop arrivals and departures (described by stopDetection) to the route's
+// and the stop's rooms
+const publishStopEvent = (eventName, event) => {
+  if (!namespace) return;
+  const payload = pick(event, STOP_EVENT_FIELDS);
+  if (payload.skippedStops) payload.skippedStops = payload.skippedStops.map(stop => pick(stop, ['stopId', 'stopName']));
+  namespace.to(`route:${payload.routeId}`).to(`stop:${payload.stopId}`).emit(eventName, payload);
+};
+
+module.exports = { setPublicNamespace, publishPosition, publishETAs, publishStopEvent };
@@ -0,0 +1,324 @@
+// Driver duty rosters. Shifts are checked against each other for overlaps and
+// for driving time in a rolling window, and trips can only be given to a
+// driver through a shift that covers them. Drivers check in and out of their
+// shifts from the driver app.
+
+const MAX_DRIVING_HOURS = parseFloat(process.env.ROSTER_MAX_DRIVING_HOURS) || 9;
+const WINDOW_HOURS = parseFloat(process.env.ROSTER_WINDOW_HOURS) || 24;
+const CHECK_IN_EARLY_MINUTES = 60; // how long before the shift starts a driver may check in
+const LAYOVER_MINUTES = 5; // minimum gap between consecutive trips on a shift
+const TIMEZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+const HOUR_MS = 60 * 60 * 1000;
+
+const ASSIGNABLE_STATUSES = ['scheduled', 'dispatched'];
+
+// A shift's vehicle, unless it is in the workshop
+const SHIFT_VEHICLE_SQL = `(SELECT id FROM vehicles WHERE id = s.vehicle_id AND status NOT IN ('maintenance', 'out_of_service'))`;
+
+const rosterError = (code, message) => Object.assign(new Error(message), { code });
+
+const toMs = (value) => new Date(value).getTime();
+
+// Working periods of a shift ({ starts_at, ends_at, breaks }): the shift
+// minus its breaks, as [start, end] pairs in ms
+const workingPeriods = (shift) => {
+  const breaks = (shift.breaks || []).map(b => [toMs(b.start), toMs(b.end)]).sort((a, b) => a[0] - b[0]);
+  const periods = [];
+  let cursor = toMs(shift.starts_at);
+  for (const [start, end] of breaks) {
+    if (start > cursor) periods.push([cursor, start]);
+    cursor = Math.max(cursor, end);
+  }
+  if (toMs(shift.ends_at) > cursor) periods.push([cursor, toMs(shift.ends_at)]);
+  return periods;
+};
+
+const workingHours = (shift) => workingPeriods(shift).reduce((sum, [start, end]) => sum + end - start, 0) / HOUR_MS;
+
+// Problems with a shift's breaks, or null if they are fine
+const invalidBreaks = (shift) => {
+  const start = toMs(shift.starts_at);
+  const end = toMs(shift.ends_at);
+  const breaks = (shift.breaks || []).map(b => [toMs(b.start), toMs(b.end)]).sort((a, b) => a[0] - b[0]);
+  for (let i = 0; i < breaks.length; i++) {
+    const [breakStart, breakEnd] = breaks[i];
+    if (!(breakStart < breakEnd)) return 'Each break must end after it starts';
+    if (breakStart < start || breakEnd > end) return 'Breaks must fall within the shift';
+    if (i > 0 && breaks[i - 1][1] > breakStart) return 'Breaks must not overlap';
+  }
+  return null;
+};
+
+const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && bStart < aEnd;
+
+// Hours worked across shifts within [from, to)
+const hoursWithin = (shifts, from, to) => shifts.reduce((sum, shift) => sum + workingPeriods(shift)
+  .reduce((inner, [start, end]) => inner + Math.max(0, Math.min(end, to) - Math.max(start, from)), 0), 0) / HOUR_MS;
+
+// Conflicts between a proposed shift ({ driver_id, vehicle_id, starts_at,
+// ends_at, breaks }) and the rest of the roster: overlapping shifts for the
+// driver or vehicle, and more than MAX_DRIVING_HOURS in any WINDOW_HOURS.
+// excludeShiftId leaves out the shift being edited. Returns a list, empty
+// when the shift can be rostered.
+const findShiftConflicts = async (db, shift, excludeShiftId = null) => {
+  const windowMs = WINDOW_HOURS * HOUR_MS;
+  const start = toMs(shift.starts_at);
+  const end = toMs(shift.ends_at);
+  const result = await db.query(
+    `SELECT id, driver_id, vehicle_id, starts_at, ends_at, breaks FROM driver_shifts
+     WHERE status <> 'cancelled' AND ($1::uuid IS NULL OR id <> $1)
+       AND (driver_id = $2 OR ($3::uuid IS NOT NULL AND vehicle_id = $3))
+       AND starts_at < $5 AND ends_at > $4`,
+    [excludeShiftId, shift.driver_id, shift.vehicle_id || null, new Date(start - windowMs), new Date(end + windowMs)]
+  );
+
+  const conflicts = [];
+  const driverShifts = [];
+  for (const other of result.rows) {
+    const clash = overlaps(start, end, toMs(other.starts_at), toMs(other.ends_at));
+    if (other.driver_id === shift.driver_id) {
+      driverShifts.push(other);
+      if (clash) conflicts.push({ type: 'driver_overlap', shiftId: other.id });
+    } else if (clash) {
+      conflicts.push({ type: 'vehicle_overlap', shiftId: other.id, vehicleId: other.vehicle_id });
+    }
+  }
+
+  // The busiest window starts at some shift start or ends at some shift end
+  const all = [...driverShifts, shift];
+  const windows = all.flatMap(s => [[toMs(s.starts_at), toMs(s.starts_at) + windowMs], [toMs(s.ends_at) - windowMs, toMs(s.ends_at)]])
+    .filter(([from, to]) => overlaps(from, to, start, end));
+  let worst = null;
+  for (const [from, to] of windows) {
+    const hours = hoursWithin(all, from, to);
+    if (hours > MAX_DRIVING_HOURS + 1e-9 && (!worst || hours > worst.hours)) worst = { hours, from, to };
+  }
+  if (worst) {
+    conflicts.push({
+      type: 'driving_hours',
+      hours: Math.round(worst.hours * 100) / 100,
+      limit: MAX_DRIVING_HOURS,
+      windowHours: WINDOW_HOURS,
+      windowStart: new Date(worst.from).toISOString(),
+      windowEnd: new Date(worst.to).toISOString()
+    });
+  }
+  return conflicts;
+};
+
+// Start and end of each trip: its scheduled start and last scheduled arrival
+const TRIP_SPANS_SQL = `
+  SELECT t.id, t.status, t.driver_id, t.vehicle_id, t.shift_id, t.route_id, t.scheduled_start_time AS starts_at,
+         GREATEST(t.scheduled_start_time, MAX(ts.scheduled_arrival)) AS ends_at
+  FROM trips t LEFT JOIN trip_stops ts ON ts.trip_id = t.id`;
+
+// Why a trip ({ starts_at, ends_at }) can't go on a shift next to the shift's
+// other trips, or null if it fits
+const misfit = (shift, trip, shiftTrips) => {
+  const start = toMs(trip.starts_at);
+  const end = toMs(trip.ends_at);
+  if (start < toMs(shift.starts_at) || end > toMs(shift.ends_at)) return 'outside_shift';
+  if ((shift.breaks || []).some(b => overlaps(start, end, toMs(b.start), toMs(b.end)))) return 'during_break';
+  const layover = LAYOVER_MINUTES * 60 * 1000;
+  if (shiftTrips.some(other => other.id !== trip.id && overlaps(start - layover, end + layover, toMs(other.starts_at), toMs(other.ends_at)))) {
+    return 'overlaps_trip';
+  }
+  return null;
+};
+
+const loadShiftWithTrips = async (db, shiftId) => {
+  const shift = await db.query('SELECT * FROM driver_shifts WHERE id = $1 FOR UPDATE', [shiftId]);
+  if (shift.rows.length === 0) return null;
+  const trips = await db.query(`${TRIP_SPANS_SQL} WHERE t.shift_id = $1 AND t.status <> 'cancelled' GROUP BY t.id`, [shiftId]);
+  return { ...shift.rows[0], trips: trips.rows };
+};
+
+// Trips on a shift that would no longer fit it after an edit
+const displacedTrips = async (db, shift) => {
+  const trips = await db.query(`${TRIP_SPANS_SQL} WHERE t.shift_id = $1 AND t.status = ANY($2::text[]) GROUP BY t.id`, [shift.id, ASSIGNABLE_STATUSES]);
+  return trips.rows.map(trip => ({ tripId: trip.id, reason: misfit(shift, trip, []) })).filter(trip => trip.reason);
+};
+
+// Puts trips on a shift, giving them the shift's driver (and its vehicle if
+// they have none and it is available). Trips that have started, or don't
+// fit, are left out.
+// Returns { assigned: trip rows, rejected: [{ tripId, reason }] }.
+const assignTripsToShift = async (db, shiftId, tripIds) => {
+  const shift = await loadShiftWithTrips(db, shiftId);
+  if (!shift) throw rosterError('SHIFT_NOT_FOUND', 'Shift not found');
+  if (!['planned', 'checked_in'].includes(shift.status)) throw rosterError('SHIFT_CLOSED', `Shift is ${shift.status}`);
+
+  const spans = await db.query(`${TRIP_SPANS_SQL} WHERE t.id = ANY($1::uuid[]) GROUP BY t.id ORDER BY t.scheduled_start_time`, [tripIds]);
+  const found = new Set(spans.rows.map(row => row.id));
+  const rejected = tripIds.filter(id => !found.has(id)).map(tripId => ({ tripId, reason: 'not_found' }));
+  const accepted = [];
+  for (const trip of spans.rows) {
+    const reason = !ASSIGNABLE_STATUSES.includes(trip.status) ? 'not_assignable' : misfit(shift, trip, [...shift.trips, ...accepted]);
+    if (reason) rejected.push({ tripId: trip.id, reason });
+    else accepted.push(trip);
+  }
+  if (accepted.length === 0) return { assigned: [], rejected };
+
+  const updated = await db.query(
+    `UPDATE trips t SET shift_id = s.id, driver_id = s.driver_id, vehicle_id = COALESCE(t.vehicle_id, ${SHIFT_VEHICLE_SQL})
+     FROM driver_shifts s
+     WHERE s.id = $2 AND t.id = ANY($1::uuid[]) AND t.status = ANY($3::text[])
+     RETURNING t.*`,
+    [accepted.map(trip => trip.id), shift.id, ASSIGNABLE_STATUSES]
+  );
+  return { assigned: updated.rows, rejected };
+};
+
+// Gives a trip to a driver through one of their shifts that covers it.
+// Returns the updated trip; throws DRIVER_NOT_ROSTERED when no shift fits.
+const assignTripToDriver = async (db, tripId, driverId) => {
+  const shifts = await db.query(
+    `SELECT s.id FROM driver_shifts s
+     JOIN (${TRIP_SPANS_SQL} WHERE t.id = $2 GROUP BY t.id) span ON true
+     WHERE s.driver_id = $1 AND s.status IN ('planned', 'checked_in')
+       AND s.starts_at <= span.starts_at AND s.ends_at >= span.ends_at
+     ORDER BY s.starts_at`,
+    [driverId, tripId]
+  );
+  let reason = 'no_shift';
+  for (const { id } of shifts.rows) {
+    const { assigned, rejected } = await assignTripsToShift(db, id, [tripId]);
+    if (assigned.length > 0) return assigned[0];
+    reason = rejected[0].reason;
+  }
+  throw rosterError('DRIVER_NOT_ROSTERED', reason === 'no_shift'
+    ? 'The driver has no shift covering this trip'
+    : `The driver's shift can't take this trip (${reason})`);
+};
+
+// Throws DRIVER_NOT_ROSTERED when a trip on a shift no longer fits it, e.g.
+// after its times have moved
+const assertTripFitsShift = async (db, tripId) => {
+  const span = await db.query(`${TRIP_SPANS_SQL} WHERE t.id = $1 GROUP BY t.id`, [tripId]);
+  const trip = span.rows[0];
+  if (!trip || !trip.shift_id) return;
+  const shift = await loadShiftWithTrips(db, trip.shift_id);
+  const reason = shift && misfit(shift, trip, shift.trips);
+  if (reason) throw rosterError('DRIVER_NOT_ROSTERED', `The driver's shift can't take this trip (${reason})`);
+};
+
+// Assigns unassigned scheduled trips in `days` service days from `from`
+// (optionally on one route) to rostered shifts, filling each shift's gaps
+// tightly. Returns { assigned, unassigned } counts.
+const autoAssignTrips = async (db, { from, days, routeId = null }) => {
+  const trips = await db.query(
+    `${TRIP_SPANS_SQL}
+     WHERE t.status = 'scheduled' AND t.driver_id IS NULL AND ($4::uuid IS NULL OR t.route_id = $4)
+       AND COALESCE(t.service_date, (t.scheduled_start_time AT TIME ZONE $3)::date) >= $1::date
+       AND COALESCE(t.service_date, (t.scheduled_start_time AT TIME ZONE $3)::date) < $1::date + $2::int
+     GROUP BY t.id
+     ORDER BY t.scheduled_start_time`,
+    [from, days, TIMEZONE, routeId]
+  );
+  if (trips.rows.length === 0) return { assigned: 0, unassigned: 0 };
+
+  const first = trips.rows[0].starts_at;
+  const last = trips.rows.reduce((max, trip) => (toMs(trip.ends_at) > toMs(max) ? trip.ends_at : max), first);
+  const shiftsResult = await db.query(
+    `SELECT * FROM driver_shifts
+     WHERE status IN ('planned', 'checked_in') AND starts_at <= $2 AND ends_at >= $1
+     ORDER BY starts_at
+     FOR UPDATE`,
+    [first, last]
+  );
+  const shifts = shiftsResult.rows.map(shift => ({ ...shift, trips: [] }));
+  if (shifts.length === 0) return { assigned: 0, unassigned: trips.rows.length };
+  const existing = await db.query(`${TRIP_SPANS_SQL} WHERE t.shift_id = ANY($1::uuid[]) AND t.status <> 'cancelled' GROUP BY t.id`, [shifts.map(s => s.id)]);
+  const byId = new Map(shifts.map(shift => [shift.id, shift]));
+  existing.rows.forEach(trip => byId.get(trip.shift_id).trips.push(trip));
+
+  const assignments = [];
+  for (const trip of trips.rows) {
+    // Prefer the shift whose previous trip ended closest before this one
+    let best = null;
+    let bestIdle = Infinity;
+    for (const shift of shifts) {
+      if (misfit(shift, trip, shift.trips)) continue;
+      const previousEnd = shift.trips.reduce((latest, other) => (toMs(other.ends_at) <= toMs(trip.starts_at) ? Math.max(latest, toMs(other.ends_at)) : latest), toMs(shift.starts_at));
+      const idle = toMs(trip.starts_at) - previousEnd;
+      if (idle < bestIdle) { best = shift; bestIdle = idle; }
+    }
+    if (!best) continue;
+    best.trips.push(trip);
+    assignments.push({ tripId: trip.id, shiftId: best.id });
+  }
+
+  if (assignments.length > 0) {
+    await db.query(
+      `UPDATE trips t SET shift_id = s.id, driver_id = s.driver_id, vehicle_id = COALESCE(t.vehicle_id, ${SHIFT_VEHICLE_SQL})
+       FROM unnest($1::uuid[], $2::uuid[]) AS a(trip_id, shift_id)
+       JOIN driver_shifts s ON s.id = a.shift_id
+       WHERE t.id = a.trip_id`,
+      [assignments.map(a => a.tripId), assignments.map(a => a.shiftId)]
+    );
+  }
+  return { assigned: assignments.length, unassigned: trips.rows.length - assignments.length };
+};
+
+// The shift a driver is checked in to, or else their next planned one
+const currentShift = async (db, driverId) => {
+  const result = await db.query(
+    `SELECT s.*, d.name AS depot_name
+     FROM driver_shifts s LEFT JOIN depots d ON d.id = s.depot_id
+     WHERE s.driver_id = $1 AND (s.status = 'checked_in' OR (s.status = 'planned' AND s.ends_at > NOW()))
+     ORDER BY s.status = 'checked_in' DESC, s.starts_at
+     LIMIT 1`,
+    [driverId]
+  );
+  return result.rows[0] || null;
+};
+
+const checkInShift = async (db, driverId) => {
+  const result = await db.query(
+    `UPDATE driver_shifts SET status = 'checked_in', checked_in_at = NOW()
+     WHERE id = (
+       SELECT id FROM driver_shifts
+       WHERE driver_id = $1 AND status = 'planned'
+         AND starts_at - make_interval(mins => $2) <= NOW() AND ends_at > NOW()
+       ORDER BY starts_at LIMIT 1
+     )
+     AND NOT EXISTS (SELECT 1 FROM driver_shifts WHERE driver_id = $1 AND status = 'checked_in')
+     RETURNING *`,
+    [driverId, CHECK_IN_EARLY_MINUTES]
+  );
+  if (result.rows.length > 0) return result.rows[0];
+  const open = await db.query(`SELECT id FROM driver_shifts WHERE driver_id = $1 AND status = 'checked_in'`, [driverId]);
+  if (open.rows.length > 0) throw rosterError('ALREADY_CHECKED_IN', 'Already checked in to a shift');
+  throw rosterError('NO_SHIFT', `No shift starting within ${CHECK_IN_EARLY_MINUTES} minutes`);
+};
+
+// Ends the driver's checked-in shift. Returns the shift and how many of its
+// trips were never run.
+const checkOutShift = async (db, driverId) => {
+  const running = await db.query(`SELECT id FROM trips WHERE driver_id = $1 AND status = 'active'`, [driverId]);
+  if (running.rows.length > 0) throw rosterError('TRIP_IN_PROGRESS', 'End the running trip before checking out');
+  const result = await db.query(
+    `UPDATE driver_shifts SET status = 'completed', checked_out_at = NOW()
+     WHERE driver_id = $1 AND status = 'checked_in'
+     RETURNING *`,
+    [driverId]
+  );
+  if (result.rows.length === 0) throw rosterError('NOT_CHECKED_IN', 'Not checked in to a shift');
+  const shift = result.rows[0];
+  const leftover = await db.query(`SELECT COUNT(*)::int AS count FROM trips WHERE shift_id = $1 AND status IN ('scheduled', 'dispatched')`, [shift.id]);
+  return { shift, unfinishedTrips: leftover.rows[0].count };
+};
+
+module.exports = {
+  workingHours,
+  invalidBreaks,
+  findShiftConflicts,
+  displacedTrips,
+  assignTripsToShift,
+  assignTripToDriver,
+  assertTripFitsShift,
+  autoAssignTrips,
+  currentShift,
+  checkInShift,
+  checkOutShift
+};
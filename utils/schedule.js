@@ -0,0 +1,20 @@
+// Scheduled stop times derived from route_stops.estimated_travel_time.
+
+// Offsets in seconds from the first stop, walking the route in the trip's
+// direction. routeStops are rows ordered by stop_order with bus_stop_id and
+// estimated_travel_time (seconds from the previous stop in forward order).
+const stopOffsets = (routeStops, direction) => {
+  const ordered = direction === 'backward' ? [...routeStops].reverse() : routeStops;
+  const offsets = [];
+  let elapsed = 0;
+  ordered.forEach((stop, index) => {
+    if (index > 0) {
+      const leg = direction === 'backward' ? ordered[index - 1].estimated_travel_time : stop.estimated_travel_time;
+      elapsed += leg || 0;
+    }
+    offsets.push({ stopId: stop.bus_stop_id, seconds: elapsed });
+  });
+  return offsets;
+};
+
+module.exports = { stopOffsets };
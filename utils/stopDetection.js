@@ -0,0 +1,191 @@
+// Detects stop arrivals and departures from a trip's GPS fixes. Each stop has
+// a circular geofence; entering it is an arrival, leaving a wider exit circle
+// is a departure, and stops jumped over on the way to a later one are skipped.
+// Per-trip progress lives in Redis so it survives driver reconnects.
+
+const { redisUtils } = require('../config/redis');
+const { haversineDistance } = require('./geo');
+const { stopOffsets } = require('./schedule');
+const { loadRouteProfile } = require('./etaEngine');
+const { publishStopEvent } = require('./publicBroadcast');
+
+const DEFAULT_RADIUS = parseInt(process.env.STOP_GEOFENCE_RADIUS, 10) || 40; // meters
+const MIN_DWELL_SECONDS = parseInt(process.env.STOP_MIN_DWELL_SECONDS, 10) || 10;
+const EXIT_FACTOR = 1.5; // leave a margin so GPS jitter at the edge isn't a departure
+const LOOKAHEAD = 5; // stops ahead considered, so a loop doesn't match the far side
+const MAX_FIX_ACCURACY = 100; // meters; poorer fixes can't trigger arrivals
+
+const radiusOf = (stop) => stop.radius || DEFAULT_RADIUS;
+
+const distanceTo = (fix, stop) => haversineDistance(fix.latitude, fix.longitude, stop.latitude, stop.longitude);
+
+// Builds detection state for a trip, resuming from any visits already recorded.
+const initialiseState = async (db, tripId) => {
+  const tripResult = await db.query(
+    `SELECT route_id, COALESCE(direction, 'forward') AS direction, scheduled_start_time
+     FROM trips WHERE id = $1`,
+    [tripId]
+  );
+  if (tripResult.rows.length === 0) return null;
+  const trip = tripResult.rows[0];
+  const [profile, patternResult, visitsResult] = await Promise.all([
+    loadRouteProfile(db, trip.route_id, trip.direction),
+    db.query('SELECT bus_stop_id, estimated_travel_time FROM route_stops WHERE route_id = $1 ORDER BY stop_order', [trip.route_id]),
+    db.query('SELECT bus_stop_id, scheduled_arrival, actual_arrival, status FROM trip_stops WHERE trip_id = $1', [tripId])
+  ]);
+
+  const start = new Date(trip.scheduled_start_time).getTime();
+  const scheduled = {};
+  stopOffsets(patternResult.rows, trip.direction).forEach(offset => { scheduled[offset.stopId] = start + offset.seconds * 1000; });
+  const visits = new Map(visitsResult.rows.map(row => [row.bus_stop_id, row]));
+  for (const [stopId, visit] of visits) {
+    if (visit.scheduled_arrival) scheduled[stopId] = new Date(visit.scheduled_arrival).getTime();
+  }
+
+  let lastIndex = -1;
+  profile.stops.forEach((stop, index) => {
+    const visit = visits.get(stop.stopId);
+    if (visit && (visit.actual_arrival || visit.status === 'skipped')) lastIndex = index;
+  });
+  const lastVisit = lastIndex >= 0 ? visits.get(profile.stops[lastIndex].stopId) : null;
+  const current = lastVisit && lastVisit.status === 'arrived'
+    ? { index: lastIndex, arrivedAt: new Date(lastVisit.actual_arrival).getTime(), lastInsideAt: new Date(lastVisit.actual_arrival).getTime() }
+    : null;
+  return { routeId: trip.route_id, direction: trip.direction, lastIndex, current, scheduled };
+};
+
+const departureEvent = (state, at) => {
+  const dwellSeconds = Math.round((at - state.current.arrivedAt) / 1000);
+  return { type: 'departure', index: state.current.index, at, dwellSeconds, status: dwellSeconds >= MIN_DWELL_SECONDS ? 'departed' : 'passed' };
+};
+
+// Applies one fix ({ latitude, longitude, accuracy, time } with time in ms)
+// to the state in place and returns the resulting events in order.
+const advanceStopState = (state, profile, fix) => {
+  const events = [];
+  if (state.current) {
+    const stop = profile.stops[state.current.index];
+    const next = profile.stops[state.current.index + 1];
+    const atNext = next && distanceTo(fix, next) <= radiusOf(next) && distanceTo(fix, next) < distanceTo(fix, stop);
+    if (distanceTo(fix, stop) <= radiusOf(stop) * EXIT_FACTOR && !atNext) {
+      state.current.lastInsideAt = fix.time;
+      return events;
+    }
+    events.push(departureEvent(state, state.current.lastInsideAt));
+    state.current = null;
+  }
+  if (fix.accuracy && fix.accuracy > MAX_FIX_ACCURACY) return events;
+
+  const last = Math.min(profile.stops.length - 1, state.lastIndex + LOOKAHEAD);
+  for (let index = state.lastIndex + 1; index <= last; index++) {
+    const stop = profile.stops[index];
+    if (distanceTo(fix, stop) > radiusOf(stop)) continue;
+    const skipped = [];
+    for (let between = state.lastIndex + 1; between < index; between++) skipped.push(between);
+    events.push({ type: 'arrival', index, at: fix.time, skipped });
+    state.current = { index, arrivedAt: fix.time, lastInsideAt: fix.time };
+    state.lastIndex = index;
+    break;
+  }
+  return events;
+};
+
+const recordSkipped = async (db, tripId, state, stopIds) => {
+  if (stopIds.length === 0) return;
+  await db.query(
+    `INSERT INTO trip_stops (trip_id, bus_stop_id, scheduled_arrival, status)
+     SELECT $1, s.stop_id, s.scheduled_arrival, 'skipped'
+     FROM unnest($2::uuid[], $3::timestamptz[]) AS s(stop_id, scheduled_arrival)
+     ON CONFLICT (trip_id, bus_stop_id) DO UPDATE SET
+       status = 'skipped',
+       scheduled_arrival = COALESCE(trip_stops.scheduled_arrival, EXCLUDED.scheduled_arrival)
+     WHERE trip_stops.actual_arrival IS NULL`,
+    [tripId, stopIds, stopIds.map(stopId => (state.scheduled[stopId] ? new Date(state.scheduled[stopId]) : null))]
+  );
+};
+
+const recordEvents = async (db, tripId, state, profile, events) => {
+  for (const event of events) {
+    const stopId = profile.stops[event.index].stopId;
+    if (event.type === 'arrival') {
+      await recordSkipped(db, tripId, state, event.skipped.map(index => profile.stops[index].stopId));
+      await db.query(
+        `INSERT INTO trip_stops (trip_id, bus_stop_id, scheduled_arrival, actual_arrival, status)
+         VALUES ($1, $2, $3, $4, 'arrived')
+         ON CONFLICT (trip_id, bus_stop_id) DO UPDATE SET
+           scheduled_arrival = COALESCE(trip_stops.scheduled_arrival, EXCLUDED.scheduled_arrival),
+           actual_arrival = LEAST(trip_stops.actual_arrival, EXCLUDED.actual_arrival),
+           actual_departure = NULL,
+           status = 'arrived'`,
+        [tripId, stopId, state.scheduled[stopId] ? new Date(state.scheduled[stopId]) : null, new Date(event.at)]
+      );
+    } else {
+      await db.query(
+        `UPDATE trip_stops SET actual_departure = $3, dwell_seconds = $4, status = $5
+         WHERE trip_id = $1 AND bus_stop_id = $2`,
+        [tripId, stopId, new Date(event.at), event.dwellSeconds, event.status]
+      );
+    }
+  }
+};
+
+// Event payloads for sockets, in the order they happened
+const describeEvents = (state, profile, events) => events.map(event => {
+  const stop = profile.stops[event.index];
+  const scheduled = state.scheduled[stop.stopId];
+  const base = {
+    stopId: stop.stopId,
+    stopName: stop.name,
+    stopSequence: event.index + 1,
+    scheduledArrival: scheduled ? new Date(scheduled).toISOString() : null
+  };
+  if (event.type === 'arrival') {
+    return {
+      type: 'arrival',
+      ...base,
+      arrivalTime: new Date(event.at).toISOString(),
+      delaySeconds: scheduled ? Math.round((event.at - scheduled) / 1000) : null,
+      skippedStops: event.skipped.map(index => ({ stopId: profile.stops[index].stopId, stopName: profile.stops[index].name }))
+    };
+  }
+  return { type: 'departure', ...base, departureTime: new Date(event.at).toISOString(), dwellSeconds: event.dwellSeconds, status: event.status };
+});
+
+// Feeds one location fix for a running trip through detection, persisting
+// any visits. Returns { routeId, events } with events from describeEvents.
+const detectStopEvents = async (db, tripId, { latitude, longitude, accuracy, timestamp }) => {
+  const state = (await redisUtils.getTripStopState(tripId)) || (await initialiseState(db, tripId));
+  if (!state) return { routeId: null, events: [] };
+  const profile = await loadRouteProfile(db, state.routeId, state.direction);
+  const time = timestamp ? new Date(timestamp).getTime() || Date.now() : Date.now();
+  const events = advanceStopState(state, profile, { latitude, longitude, accuracy, time });
+  await recordEvents(db, tripId, state, profile, events);
+  await redisUtils.setTripStopState(tripId, state);
+  return { routeId: state.routeId, events: describeEvents(state, profile, events) };
+};
+
+// Closes detection when a trip ends: departs the stop the bus is at and marks
+// every stop it never reached as skipped.
+const finishStopDetection = async (db, tripId) => {
+  const state = (await redisUtils.getTripStopState(tripId)) || (await initialiseState(db, tripId));
+  if (!state) return { routeId: null, events: [] };
+  const profile = await loadRouteProfile(db, state.routeId, state.direction);
+  const events = state.current ? [departureEvent(state, state.current.lastInsideAt)] : [];
+  state.current = null;
+  await recordEvents(db, tripId, state, profile, events);
+  await recordSkipped(db, tripId, state, profile.stops.slice(state.lastIndex + 1).map(stop => stop.stopId));
+  await redisUtils.clearTripStopState(tripId);
+  return { routeId: state.routeId, events: describeEvents(state, profile, events) };
+};
+
+// Pushes events from detectStopEvents or finishStopDetection to the route room.
+// `emitter` is the Socket.IO server, a namespace or a socket.
+const broadcastStopEvents = (emitter, { tripId, vehicleId, routeId }, events) => {
+  for (const { type, ...event } of events) {
+    const eventName = type === 'arrival' ? 'stop_arrival' : 'stop_departure';
+    emitter.to(`route:${routeId}`).emit(eventName, { tripId, vehicleId, routeId, ...event });
+    publishStopEvent(eventName, { tripId, vehicleId, routeId, ...event });
+  }
+};
+
+module.exports = { detectStopEvents, finishStopDetection, advanceStopState, broadcastStopEvents };
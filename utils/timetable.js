@@ -0,0 +1,169 @@
+// Turns service patterns (first and last departure, headways by time band,
+// a service calendar) into dated trips with scheduled stop times. Generation
+// is idempotent: departures that already have a trip, whether generated,
+// imported from GTFS or created by hand, are left alone.
+
+const gtfs = require('./gtfs');
+const { stopOffsets } = require('./schedule');
+
+const TIMEZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+
+// Today's date (YYYY-MM-DD) where the service runs
+const serviceToday = () => new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+
+// Headway in minutes for a departure at `seconds` into the service day
+const headwayAt = (pattern, seconds) => {
+  const band = (pattern.headway_bands || []).find(b => seconds >= b.start && seconds < b.end);
+  return band ? band.minutes : pattern.default_headway;
+};
+
+// Departure times, in seconds into the service day, from first to last departure
+const departureTimes = (pattern) => {
+  const times = [];
+  for (let seconds = pattern.first_departure; seconds <= pattern.last_departure; seconds += headwayAt(pattern, seconds) * 60) {
+    times.push(seconds);
+  }
+  return times;
+};
+
+// Whether a calendar runs on a date, taking exceptions (Map date ->
+// 'added'|'removed') first, then public holidays (Set of dates) for calendars
+// that opt in or out of them, then the weekday flags.
+const runsOn = (calendar, exceptions, holidays, isoDate) => {
+  if (exceptions && exceptions.has(isoDate)) return gtfs.isServiceActive(calendar, exceptions, isoDate);
+  if (holidays.has(isoDate) && calendar.runs_on_holidays !== null && calendar.runs_on_holidays !== undefined) {
+    return calendar.runs_on_holidays && isoDate >= calendar.start_date && isoDate <= calendar.end_date;
+  }
+  return gtfs.isServiceActive(calendar, null, isoDate);
+};
+
+const loadInputs = async (db, { from, days, routeId }) => {
+  const dates = gtfs.dateRange(from, days);
+  const [patterns, exceptions, holidays, routeStops] = await Promise.all([
+    db.query(
+      `SELECT sp.*, to_char(sc.start_date, 'YYYY-MM-DD') AS start_date, to_char(sc.end_date, 'YYYY-MM-DD') AS end_date,
+              sc.monday, sc.tuesday, sc.wednesday, sc.thursday, sc.friday, sc.saturday, sc.sunday, sc.runs_on_holidays
+       FROM service_patterns sp
+       JOIN service_calendars sc ON sc.id = sp.service_calendar_id
+       JOIN routes r ON r.id = sp.route_id AND r.is_active = true
+       WHERE sp.is_active = true AND ($1::uuid IS NULL OR sp.route_id = $1)`,
+      [routeId || null]
+    ),
+    db.query(
+      `SELECT calendar_id, to_char(service_date, 'YYYY-MM-DD') AS service_date, exception_type
+       FROM service_calendar_dates WHERE service_date = ANY($1::date[])`,
+      [dates]
+    ),
+    db.query(`SELECT to_char(holiday_date, 'YYYY-MM-DD') AS holiday_date FROM public_holidays WHERE holiday_date = ANY($1::date[])`, [dates]),
+    db.query(
+      `SELECT route_id, bus_stop_id, estimated_travel_time FROM route_stops
+       WHERE $1::uuid IS NULL OR route_id = $1
+       ORDER BY route_id, stop_order`,
+      [routeId || null]
+    )
+  ]);
+
+  const exceptionsByCalendar = new Map();
+  for (const row of exceptions.rows) {
+    if (!exceptionsByCalendar.has(row.calendar_id)) exceptionsByCalendar.set(row.calendar_id, new Map());
+    exceptionsByCalendar.get(row.calendar_id).set(row.service_date, row.exception_type);
+  }
+  const stopsByRoute = new Map();
+  for (const row of routeStops.rows) {
+    if (!stopsByRoute.has(row.route_id)) stopsByRoute.set(row.route_id, []);
+    stopsByRoute.get(row.route_id).push(row);
+  }
+  return {
+    dates,
+    patterns: patterns.rows,
+    exceptions: exceptionsByCalendar,
+    holidays: new Set(holidays.rows.map(row => row.holiday_date)),
+    stopsByRoute
+  };
+};
+
+// Materialises trips and trip_stops for `days` service days from `from`
+// (YYYY-MM-DD), optionally for one route. Generated trips that no pattern
+// produces any more are removed if nobody has picked them up yet. Run inside
+// a transaction, and roll it back for a dry run.
+// Returns { dates, patterns, trips: { created, existing, removed }, tripStops: { created }, skippedPatterns }.
+const generateTimetable = async (db, { from, days, routeId = null }) => {
+  const inputs = await loadInputs(db, { from, days, routeId });
+  const report = { dates: inputs.dates.length, patterns: inputs.patterns.length, trips: { created: 0, existing: 0, removed: 0 }, tripStops: { created: 0 }, skippedPatterns: [] };
+  const keptTripIds = [];
+
+  for (const pattern of inputs.patterns) {
+    const stops = inputs.stopsByRoute.get(pattern.route_id) || [];
+    if (stops.length < 2) {
+      report.skippedPatterns.push({ patternId: pattern.id, reason: 'Route has fewer than two stops' });
+      continue;
+    }
+    const offsets = stopOffsets(stops, pattern.direction);
+    const departures = departureTimes(pattern);
+
+    for (const serviceDate of inputs.dates) {
+      if (!runsOn(pattern, inputs.exceptions.get(pattern.service_calendar_id), inputs.holidays, serviceDate)) continue;
+
+      // Trips already running at one of these departures, from any source
+      const existing = await db.query(
+        `SELECT t.id FROM trips t
+         WHERE t.route_id = $1 AND COALESCE(t.direction, 'forward') = $2 AND t.status <> 'cancelled'
+           AND t.scheduled_start_time = ANY(
+             SELECT ($3::date + make_interval(secs => s))::timestamp AT TIME ZONE $4::text FROM unnest($5::int[]) AS s
+           )`,
+        [pattern.route_id, pattern.direction, serviceDate, TIMEZONE, departures]
+      );
+      keptTripIds.push(...existing.rows.map(row => row.id));
+      report.trips.existing += existing.rows.length;
+
+      // A departure whose generated trip was cancelled stays cancelled: the
+      // unique index on pattern, date and start time keeps it from coming back
+      const inserted = await db.query(
+        `INSERT INTO trips (route_id, direction, headsign, service_date, service_calendar_id, service_pattern_id, scheduled_start_time, status)
+         SELECT $1, $2, $3, $4::date, $5, $6, d.start_time, 'scheduled'
+         FROM (SELECT ($4::date + make_interval(secs => s))::timestamp AT TIME ZONE $7::text AS start_time FROM unnest($8::int[]) AS s) d
+         WHERE NOT EXISTS (
+           SELECT 1 FROM trips t
+           WHERE t.route_id = $1 AND COALESCE(t.direction, 'forward') = $2 AND t.scheduled_start_time = d.start_time AND t.status <> 'cancelled'
+         )
+         ON CONFLICT (service_pattern_id, service_date, scheduled_start_time) WHERE service_pattern_id IS NOT NULL DO NOTHING
+         RETURNING id`,
+        [pattern.route_id, pattern.direction, pattern.headsign, serviceDate, pattern.service_calendar_id, pattern.id, TIMEZONE, departures]
+      );
+      const newTripIds = inserted.rows.map(row => row.id);
+      if (newTripIds.length === 0) continue;
+      keptTripIds.push(...newTripIds);
+      report.trips.created += newTripIds.length;
+
+      const written = await db.query(
+        `INSERT INTO trip_stops (trip_id, bus_stop_id, scheduled_arrival)
+         SELECT t.id, s.bus_stop_id, t.scheduled_start_time + make_interval(secs => s.seconds)
+         FROM trips t
+         CROSS JOIN unnest($2::uuid[], $3::int[]) AS s(bus_stop_id, seconds)
+         WHERE t.id = ANY($1::uuid[])
+         ON CONFLICT (trip_id, bus_stop_id) DO NOTHING`,
+        [newTripIds, offsets.map(offset => offset.stopId), offsets.map(offset => offset.seconds)]
+      );
+      report.tripStops.created += written.rowCount;
+    }
+  }
+
+  // Generated trips in the window that no longer match a departure, and that
+  // no dispatcher, roster or driver has touched
+  const stale = await db.query(
+    `SELECT t.id FROM trips t
+     WHERE t.service_pattern_id IS NOT NULL AND t.service_date = ANY($1::date[]) AND ($2::uuid IS NULL OR t.route_id = $2)
+       AND t.status = 'scheduled' AND t.vehicle_id IS NULL AND t.driver_id IS NULL
+       AND NOT (t.id = ANY($3::uuid[]))`,
+    [inputs.dates, routeId, keptTripIds]
+  );
+  report.trips.removed = stale.rows.length;
+  if (stale.rows.length > 0) {
+    const staleIds = stale.rows.map(row => row.id);
+    await db.query('DELETE FROM trip_stops WHERE trip_id = ANY($1::uuid[])', [staleIds]);
+    await db.query('DELETE FROM trips WHERE id = ANY($1::uuid[])', [staleIds]);
+  }
+  return report;
+};
+
+module.exports = { serviceToday, departureTimes, runsOn, generateTimetable };
@@ -0,0 +1,139 @@
+// Past vehicle positions: tracks from vehicle_locations as GeoJSON, simplified
+// when long, and replays of a trip's positions as live location_update events.
+
+const { simplifyLine } = require('./geo');
+
+const MAX_TRACK_POINTS = parseInt(process.env.TRACK_MAX_POINTS, 10) || 2000;
+const START_TOLERANCE = 2; // meters; doubled until the track fits MAX_TRACK_POINTS
+const REPLAY_MAX_GAP_MS = 5000; // longer real-time gaps are shortened to this
+const REPLAY_SPEEDS = { min: 1, max: 120, default: 10 };
+
+// Stored fixes in time order, rejected ones left out. Filter by vehicleId
+// and/or tripId, and optionally a time range.
+const fetchTrack = async (db, { vehicleId = null, tripId = null, from = null, to = null }) => {
+  const result = await db.query(
+    `SELECT vl.vehicle_id, vl.trip_id, vl.timestamp, ST_Y(vl.location::geometry) AS latitude, ST_X(vl.location::geometry) AS longitude,
+            vl.speed::float8 AS speed, vl.heading, vl.accuracy::float8 AS accuracy, vl.filter_status
+     FROM vehicle_locations vl
+     WHERE ($1::uuid IS NULL OR vl.vehicle_id = $1) AND ($2::uuid IS NULL OR vl.trip_id = $2)
+       AND ($3::timestamptz IS NULL OR vl.timestamp >= $3) AND ($4::timestamptz IS NULL OR vl.timestamp <= $4)
+       AND vl.filter_status <> 'rejected'
+     ORDER BY vl.timestamp`,
+    [vehicleId, tripId, from, to]
+  );
+  return result.rows;
+};
+
+// Drops points until the track has at most maxPoints, loosening the
+// tolerance as needed, or uses the given tolerance in meters.
+// Returns { points, tolerance } (tolerance null when nothing was dropped).
+const simplifyTrack = (points, { tolerance = null, maxPoints = MAX_TRACK_POINTS } = {}) => {
+  const line = points.map(p => [p.longitude, p.latitude]);
+  if (tolerance) return { points: simplifyLine(line, tolerance).map(i => points[i]), tolerance };
+  if (points.length <= maxPoints) return { points, tolerance: null };
+  let current = START_TOLERANCE;
+  let kept = simplifyLine(line, current);
+  while (kept.length > maxPoints) {
+    current *= 2;
+    kept = simplifyLine(line, current);
+  }
+  return { points: kept.map(i => points[i]), tolerance: current };
+};
+
+// The track as a LineString Feature, with per-vertex times, speeds and
+// headings in parallel arrays, or as a FeatureCollection of Points
+const toGeoJSON = (points, format, properties) => {
+  if (format === 'points') {
+    return {
+      type: 'FeatureCollection',
+      properties,
+      features: points.map(p => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [p.longitude, p.latitude] },
+        properties: { time: p.timestamp, speed: p.speed, heading: p.heading, accuracy: p.accuracy, filterStatus: p.filter_status, tripId: p.trip_id }
+      }))
+    };
+  }
+  return {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: points.map(p => [p.longitude, p.latitude]) },
+    properties: {
+      ...properties,
+      times: points.map(p => p.timestamp),
+      speeds: points.map(p => p.speed),
+      headings: points.map(p => p.heading)
+    }
+  };
+};
+
+// Simplifies the track and returns it as GeoJSON, noting how many points
+// were recorded and the tolerance used
+const trackGeoJSON = (points, { format = 'line', tolerance = null }, properties) => {
+  const simplified = simplifyTrack(points, { tolerance });
+  return toGeoJSON(simplified.points, format, {
+    ...properties,
+    recordedPoints: points.length,
+    pointCount: simplified.points.length,
+    simplifyTolerance: simplified.tolerance
+  });
+};
+
+const clampSpeed = (speed) => {
+  const value = Number(speed);
+  if (!Number.isFinite(value)) return REPLAY_SPEEDS.default;
+  return Math.min(REPLAY_SPEEDS.max, Math.max(REPLAY_SPEEDS.min, value));
+};
+
+// Plays points back through emit(point), `speed` times faster than they were
+// recorded, starting on the next tick. onStatus(state, position, speed) hears
+// about the start, pauses, resumes and the end.
+// Returns controls { pause, resume, stop, setSpeed }.
+const startReplay = (points, { speed, emit, onStatus }) => {
+  let index = 0;
+  let rate = clampSpeed(speed);
+  let timer = null;
+  let state = 'playing';
+
+  const step = () => {
+    timer = null;
+    if (state !== 'playing') return;
+    emit(points[index]);
+    index++;
+    if (index >= points.length) {
+      state = 'finished';
+      onStatus('finished', index, rate);
+      return;
+    }
+    const gap = new Date(points[index].timestamp) - new Date(points[index - 1].timestamp);
+    timer = setTimeout(step, Math.min(gap, REPLAY_MAX_GAP_MS) / rate);
+  };
+
+  const controls = {
+    pause: () => {
+      if (state !== 'playing') return;
+      state = 'paused';
+      clearTimeout(timer);
+      timer = null;
+      onStatus('paused', index, rate);
+    },
+    resume: () => {
+      if (state !== 'paused') return;
+      state = 'playing';
+      onStatus('playing', index, rate);
+      step();
+    },
+    stop: () => {
+      if (state === 'finished' || state === 'stopped') return;
+      state = 'stopped';
+      clearTimeout(timer);
+      timer = null;
+      onStatus('stopped', index, rate);
+    },
+    setSpeed: (value) => { rate = clampSpeed(value); }
+  };
+  onStatus('playing', 0, rate);
+  timer = setTimeout(step, 0);
+  return controls;
+};
+
+module.exports = { fetchTrack, trackGeoJSON, startReplay };
@@ -0,0 +1,10 @@
+// Text protocols the TCP tracker listener understands, by name. A protocol is
+// { name, login(line), parse(line, session) }: login returns the API key a
+// connection opens with (or null if the line isn't one), and parse returns a
+// position ({ latitude, longitude, timestamp, speed?, heading?, accuracy? },
+// speed in km/h) or null. `session` is a per-connection object the protocol
+// may keep state in.
+
+module.exports = {
+  nmea: require('./nmea')
+};
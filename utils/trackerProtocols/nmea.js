@@ -0,0 +1,92 @@
+// NMEA 0183 over TCP: the connection's first line is the device's API key,
+// then one sentence per line. RMC sentences give position, date, speed and
+// course; GGA sentences give position and HDOP, and are used for positions
+// only by devices that send no RMC. Any talker (GP, GN, GL, ...) is accepted.
+
+const KNOTS_TO_KMH = 1.852;
+const HDOP_METERS = 5; // rough position error per unit of HDOP
+
+// XOR of the characters between $ and *, which must match the two hex digits after *
+const checksumValid = (line) => {
+  const star = line.indexOf('*');
+  if (star === -1) return true;
+  let sum = 0;
+  for (let i = 1; i < star; i++) sum ^= line.charCodeAt(i);
+  return sum === parseInt(line.slice(star + 1, star + 3), 16);
+};
+
+// ddmm.mmmm / dddmm.mmmm and a hemisphere to signed decimal degrees
+const coordinate = (value, hemisphere) => {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return null;
+  const degrees = Math.floor(number / 100);
+  const decimal = degrees + (number - degrees * 100) / 60;
+  return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+};
+
+// hhmmss.sss on a UTC date (ms since the epoch at midnight)
+const timeOn = (dayStart, hhmmss) => {
+  if (!/^\d{6}(\.\d+)?$/.test(hhmmss)) return null;
+  const seconds = parseInt(hhmmss.slice(0, 2), 10) * 3600 + parseInt(hhmmss.slice(2, 4), 10) * 60 + parseFloat(hhmmss.slice(4));
+  return dayStart + Math.round(seconds * 1000);
+};
+
+const dateStart = (ddmmyy) => {
+  if (!/^\d{6}$/.test(ddmmyy)) return null;
+  return Date.UTC(2000 + parseInt(ddmmyy.slice(4, 6), 10), parseInt(ddmmyy.slice(2, 4), 10) - 1, parseInt(ddmmyy.slice(0, 2), 10));
+};
+
+const number = (value) => (value === '' || value === undefined ? null : Number.isFinite(parseFloat(value)) ? parseFloat(value) : null);
+
+const parseRmc = (fields, session) => {
+  if (fields[2] !== 'A') return null; // V: no valid fix
+  const day = dateStart(fields[9]);
+  if (day === null) return null;
+  session.sawRmc = true;
+  const knots = number(fields[7]);
+  return {
+    latitude: coordinate(fields[3], fields[4]),
+    longitude: coordinate(fields[5], fields[6]),
+    timestamp: timeOn(day, fields[1]),
+    speed: knots === null ? null : Math.round(knots * KNOTS_TO_KMH * 100) / 100,
+    heading: number(fields[8]),
+    accuracy: session.hdop ? session.hdop * HDOP_METERS : null
+  };
+};
+
+const parseGga = (fields, session) => {
+  if (!fields[6] || fields[6] === '0') return null; // fix quality 0: no fix
+  session.hdop = number(fields[8]);
+  if (session.sawRmc) return null;
+  // GGA carries no date: take today's (UTC), or yesterday's just after midnight
+  const today = new Date().setUTCHours(0, 0, 0, 0);
+  let timestamp = timeOn(today, fields[1]);
+  if (timestamp !== null && timestamp > Date.now() + 60 * 60 * 1000) timestamp -= 24 * 60 * 60 * 1000;
+  return {
+    latitude: coordinate(fields[2], fields[3]),
+    longitude: coordinate(fields[4], fields[5]),
+    timestamp,
+    speed: null,
+    heading: null,
+    accuracy: session.hdop ? session.hdop * HDOP_METERS : null
+  };
+};
+
+module.exports = {
+  name: 'nmea',
+
+  // The API key a connection opens with; sentences are never keys
+  login: (line) => (line.startsWith('$') ? null : line.trim() || null),
+
+  // A position from one line, or null for lines that carry none (other
+  // sentence types, no fix, bad checksum). `session` keeps per-connection
+  // state between lines.
+  parse: (line, session) => {
+    if (!line.startsWith('$') || !checksumValid(line)) return null;
+    const fields = line.split('*')[0].split(',');
+    const type = fields[0].slice(3);
+    if (type === 'RMC') return parseRmc(fields, session);
+    if (type === 'GGA') return parseGga(fields, session);
+    return null;
+  }
+};
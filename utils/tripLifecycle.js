@@ -0,0 +1,145 @@
+// Enforces the trip lifecycle: scheduled -> dispatched -> active -> completed,
+// with cancellation allowed until a trip has finished. Every transition is
+// recorded in trip_status_events and pushed to trip_status_update listeners.
+
+const { redisUtils } = require('../config/redis');
+const { finishStopDetection } = require('./stopDetection');
+const { notifyDepartures } = require('./departures');
+
+const NEXT_TRIP_GRACE_MINUTES = 60; // later than this, an unstarted trip is treated as missed
+
+const TRANSITIONS = {
+  scheduled: ['dispatched', 'cancelled'],
+  dispatched: ['active', 'cancelled'],
+  active: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Columns set on entering each status; $4 is the transition reason and $8/$9
+// the completion stats, only passed when completing
+const ON_ENTER = {
+  dispatched: 'dispatched_at = NOW()',
+  active: 'actual_start_time = NOW()',
+  completed: `actual_end_time = NOW(),
+    passenger_count = COALESCE($8, t.passenger_count),
+    distance_covered = COALESCE((
+      SELECT ST_Length(ST_MakeLine(location::geometry ORDER BY timestamp)::geography) / 1000
+      FROM vehicle_locations
+      WHERE trip_id = t.id AND filter_status <> 'rejected' AND timestamp >= t.actual_start_time
+      HAVING COUNT(*) > 1
+    ), $9, t.distance_covered)`,
+  cancelled: 'cancelled_at = NOW(), cancellation_reason = $4'
+};
+
+const transitionError = (code, message) => Object.assign(new Error(message), { code });
+
+const allowedFrom = (to) => Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+
+// Works out why a transition matched no row, for the error returned to the caller
+const explainRejection = async (db, tripId, to, driverId) => {
+  const result = await db.query('SELECT status, driver_id FROM trips WHERE id = $1', [tripId]);
+  if (result.rows.length === 0) return transitionError('TRIP_NOT_FOUND', 'Trip not found');
+  const trip = result.rows[0];
+  if (driverId && trip.driver_id !== driverId) return transitionError('TRIP_NOT_ASSIGNED', 'Trip is not assigned to this driver');
+  if (!TRANSITIONS[trip.status].includes(to)) {
+    return transitionError('INVALID_TRANSITION', `Cannot change trip from ${trip.status} to ${to}`);
+  }
+  return transitionError('RESOURCE_BUSY', 'The vehicle or driver is already on an active trip');
+};
+
+// Moves a trip to `to` if its current status allows it. Options: source
+// ('driver' | 'dispatcher' | 'system'), reason, changedBy (user id), driverId
+// (only that driver's trip may change), passengerCount and distanceCovered
+// (completion stats). Returns { trip, previousStatus, event }; throws an error
+// with code TRIP_NOT_FOUND, TRIP_NOT_ASSIGNED, INVALID_TRANSITION or RESOURCE_BUSY.
+const transitionTrip = async (db, tripId, to, { source, reason = null, changedBy = null, driverId = null, passengerCount = null, distanceCovered = null }) => {
+  // One statement, so the status check, update and audit row can't interleave
+  // with another transition of the same trip
+  const result = await db.query(
+    `WITH previous AS (
+       SELECT id, status, vehicle_id, driver_id FROM trips WHERE id = $1 FOR UPDATE
+     ),
+     updated AS (
+       UPDATE trips t SET status = $2, ${ON_ENTER[to]}
+       FROM previous p
+       WHERE t.id = p.id AND p.status = ANY($3::text[])
+         AND ($7::uuid IS NULL OR p.driver_id = $7)
+         AND ($2 <> 'active' OR NOT EXISTS (
+           SELECT 1 FROM trips o
+           WHERE o.status = 'active' AND o.id <> p.id AND (o.vehicle_id = p.vehicle_id OR o.driver_id = p.driver_id)
+         ))
+       RETURNING t.*, p.status AS previous_status
+     ),
+     event AS (
+       INSERT INTO trip_status_events (trip_id, from_status, to_status, reason, source, changed_by)
+       SELECT id, previous_status, status, $4, $5, $6 FROM updated
+       RETURNING *
+     )
+     SELECT row_to_json(updated) AS trip, row_to_json(event) AS event
+     FROM updated, event`,
+    [tripId, to, allowedFrom(to), reason, source, changedBy, driverId, ...(to === 'completed' ? [passengerCount, distanceCovered] : [])]
+  );
+  if (result.rows.length === 0) throw await explainRejection(db, tripId, to, driverId);
+  const { previous_status: previousStatus, ...trip } = result.rows[0].trip;
+  return { trip, previousStatus, event: result.rows[0].event };
+};
+
+// The driver's trip in progress, or else the next one they can start: a
+// dispatched trip, or a scheduled one not more than NEXT_TRIP_GRACE_MINUTES late.
+// Returns null when there is none.
+const findNextTrip = async (db, driverId) => {
+  const result = await db.query(
+    `SELECT t.*, r.name AS route_name, r.short_name AS route_short_name, v.registration_number
+     FROM trips t
+     JOIN routes r ON r.id = t.route_id
+     LEFT JOIN vehicles v ON v.id = t.vehicle_id
+     WHERE t.driver_id = $1
+       AND (t.status IN ('active', 'dispatched')
+            OR (t.status = 'scheduled' AND t.scheduled_start_time >= NOW() - make_interval(mins => $2)))
+     ORDER BY t.status = 'active' DESC, t.scheduled_start_time
+     LIMIT 1`,
+    [driverId, NEXT_TRIP_GRACE_MINUTES]
+  );
+  return result.rows[0] || null;
+};
+
+// Follow-up for a trip that has just completed or been cancelled: credits the
+// driver, adds the trip's distance to the vehicle's odometer and closes stop
+// detection if it was running. Returns the final stop events as
+// { routeId, events }.
+const settleEndedTrip = async (db, trip, previousStatus) => {
+  if (trip.status === 'completed') {
+    await db.query('UPDATE drivers SET total_trips = total_trips + 1 WHERE id = $1', [trip.driver_id]);
+    if (trip.distance_covered) await db.query('UPDATE vehicles SET odometer_km = odometer_km + $2 WHERE id = $1', [trip.vehicle_id, trip.distance_covered]);
+  }
+  if (previousStatus !== 'active') return { routeId: trip.route_id, events: [] };
+  return finishStopDetection(db, trip.id);
+};
+
+const tripStatusPayload = (trip, event) => ({
+  tripId: trip.id,
+  routeId: trip.route_id,
+  vehicleId: trip.vehicle_id,
+  driverId: trip.driver_id,
+  status: trip.status,
+  previousStatus: event.from_status,
+  reason: event.reason,
+  source: event.source,
+  changedAt: event.created_at,
+  startTime: trip.actual_start_time,
+  endTime: trip.actual_end_time
+});
+
+const tripRooms = (trip) => ['admin', `trip:${trip.id}`, `route:${trip.route_id}`, `vehicle:${trip.vehicle_id}`, `driver:${trip.driver_id}`];
+
+// `emitter` is the Socket.IO server or namespace. Also drops the vehicle's
+// cached active trip once the trip starts or ends, so trackers reporting for
+// the vehicle pick up the change.
+const broadcastTripStatus = (emitter, trip, event) => {
+  emitter.to(tripRooms(trip)).emit('trip_status_update', tripStatusPayload(trip, event));
+  if (trip.vehicle_id && ['active', 'completed', 'cancelled'].includes(trip.status)) redisUtils.clearVehicleTrip(trip.vehicle_id);
+  notifyDepartures({ routeId: trip.route_id, tripId: trip.id });
+};
+
+module.exports = { transitionTrip, findNextTrip, settleEndedTrip, broadcastTripStatus, tripRooms };
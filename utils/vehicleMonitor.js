@@ -0,0 +1,156 @@
+// Watches active trips for vehicles that leave their route corridor or stop
+// moving or reporting, and raises system alerts for dispatchers. Off-route
+// checks run on each location update; stalls need a periodic sweep over
+// vehicle_locations since a silent vehicle sends no updates at all.
+// Alerts are resolved automatically once the condition clears.
+
+const { redisUtils } = require('../config/redis');
+const { raiseAlert, resolveAlerts } = require('./alerts');
+const { logger } = require('./logger');
+
+const OFF_ROUTE_DISTANCE = parseFloat(process.env.OFF_ROUTE_DISTANCE) || 200; // meters from the route shape
+const OFF_ROUTE_CONFIRM_SECONDS = 60; // deviation must last this long, so one bad fix doesn't alert
+const STALL_MINUTES = parseInt(process.env.STALL_MINUTES, 10) || 10;
+const STALL_RADIUS = 50; // meters; moving less than this over STALL_MINUTES is stalled
+const SWEEP_INTERVAL = 60 * 1000;
+
+const describeTrip = async (db, tripId) => {
+  const result = await db.query(
+    `SELECT v.registration_number, r.name AS route_name
+     FROM trips t JOIN routes r ON r.id = t.route_id LEFT JOIN vehicles v ON v.id = t.vehicle_id
+     WHERE t.id = $1`,
+    [tripId]
+  );
+  return result.rows[0] || { registration_number: null, route_name: null };
+};
+
+// Checks one filtered fix against the route corridor. Returns alerts that were
+// raised or resolved as a result (possibly none).
+const checkOffRoute = async (db, { tripId, vehicleId, routeId, routeOffset, time }) => {
+  if (routeOffset === null || routeOffset === undefined) return [];
+  let state = await redisUtils.getVehicleMonitorState(vehicleId);
+  if (!state || state.tripId !== tripId) state = { tripId, offRouteSince: null, offRouteAlerted: false };
+  const dedupeKey = `off_route:${tripId}`;
+  const changes = [];
+
+  if (routeOffset > OFF_ROUTE_DISTANCE) {
+    if (!state.offRouteSince) state.offRouteSince = time;
+    if (!state.offRouteAlerted && time - state.offRouteSince >= OFF_ROUTE_CONFIRM_SECONDS * 1000) {
+      const trip = await describeTrip(db, tripId);
+      const alert = await raiseAlert(db, {
+        type: 'route_change',
+        severity: routeOffset > OFF_ROUTE_DISTANCE * 3 ? 'error' : 'warning',
+        title: `Vehicle ${trip.registration_number || vehicleId} is off route`,
+        message: `Vehicle is ${Math.round(routeOffset)} m from ${trip.route_name || 'its route'} and has been off route since ${new Date(state.offRouteSince).toISOString()}.`,
+        vehicleId,
+        routeId,
+        tripId,
+        dedupeKey,
+        metadata: { routeOffset: Math.round(routeOffset), threshold: OFF_ROUTE_DISTANCE, since: new Date(state.offRouteSince).toISOString() }
+      });
+      state.offRouteAlerted = true;
+      if (alert) changes.push(alert);
+    }
+  } else if (routeOffset <= OFF_ROUTE_DISTANCE / 2) {
+    // Back well inside the corridor; the gap between half and full distance
+    // keeps a vehicle hovering at the edge from flapping
+    if (state.offRouteAlerted) changes.push(...(await resolveAlerts(db, [dedupeKey])));
+    state.offRouteSince = null;
+    state.offRouteAlerted = false;
+  }
+  await redisUtils.setVehicleMonitorState(vehicleId, state);
+  return changes;
+};
+
+// Finds active trips whose vehicle has stopped reporting or stopped moving
+// for STALL_MINUTES, and resolves stall alerts that no longer apply.
+const sweepStalledVehicles = async (db) => {
+  const result = await db.query(
+    `SELECT t.id AS trip_id, t.vehicle_id, t.route_id, v.registration_number, r.name AS route_name,
+            last.timestamp AS last_report_at, recent.max_distance
+     FROM trips t
+     JOIN routes r ON r.id = t.route_id
+     LEFT JOIN vehicles v ON v.id = t.vehicle_id
+     LEFT JOIN LATERAL (
+       SELECT timestamp, location FROM vehicle_locations
+       WHERE vehicle_id = t.vehicle_id AND filter_status <> 'rejected'
+       ORDER BY timestamp DESC
+       LIMIT 1
+     ) last ON true
+     LEFT JOIN LATERAL (
+       SELECT MAX(ST_Distance(vl.location, last.location)) AS max_distance
+       FROM vehicle_locations vl
+       WHERE vl.vehicle_id = t.vehicle_id AND vl.filter_status <> 'rejected'
+         AND vl.timestamp >= NOW() - make_interval(mins => $1)
+     ) recent ON true
+     WHERE t.status = 'active' AND t.vehicle_id IS NOT NULL
+       AND COALESCE(t.actual_start_time, t.scheduled_start_time) < NOW() - make_interval(mins => $1)`,
+    [STALL_MINUTES]
+  );
+
+  const changes = [];
+  const cleared = [];
+  for (const row of result.rows) {
+    const vehicle = row.registration_number || row.vehicle_id;
+    const silentKey = `not_reporting:${row.trip_id}`;
+    const stalledKey = `stalled:${row.trip_id}`;
+    const silent = !row.last_report_at || new Date(row.last_report_at).getTime() < Date.now() - STALL_MINUTES * 60000;
+    const stationary = !silent && row.max_distance !== null && parseFloat(row.max_distance) < STALL_RADIUS;
+    const base = { type: 'breakdown', vehicleId: row.vehicle_id, routeId: row.route_id, tripId: row.trip_id };
+
+    if (silent) {
+      const alert = await raiseAlert(db, {
+        ...base,
+        severity: 'warning',
+        title: `Vehicle ${vehicle} is not reporting`,
+        message: row.last_report_at
+          ? `No location from the vehicle on ${row.route_name} since ${new Date(row.last_report_at).toISOString()}.`
+          : `No location received from the vehicle on ${row.route_name} since the trip started.`,
+        dedupeKey: silentKey,
+        metadata: { lastReportAt: row.last_report_at, minutes: STALL_MINUTES }
+      });
+      if (alert) changes.push(alert);
+    } else {
+      cleared.push(silentKey);
+    }
+    if (stationary) {
+      const alert = await raiseAlert(db, {
+        ...base,
+        severity: 'error',
+        title: `Vehicle ${vehicle} has stopped moving`,
+        message: `The vehicle on ${row.route_name} has moved less than ${STALL_RADIUS} m in the last ${STALL_MINUTES} minutes.`,
+        dedupeKey: stalledKey,
+        metadata: { maxDistance: Math.round(parseFloat(row.max_distance)), minutes: STALL_MINUTES }
+      });
+      if (alert) changes.push(alert);
+    } else {
+      cleared.push(stalledKey);
+    }
+  }
+  changes.push(...(await resolveAlerts(db, cleared)));
+
+  // Conditions on trips that have since ended no longer need attention
+  const ended = await db.query(
+    `UPDATE alerts a SET is_active = false, resolved_at = NOW()
+     FROM trips t
+     WHERE a.trip_id = t.id AND a.source = 'system' AND a.is_active = true AND t.status <> 'active'
+     RETURNING a.*`
+  );
+  changes.push(...ended.rows);
+  return changes;
+};
+
+const startVehicleMonitor = (io, db) => {
+  const timer = setInterval(async () => {
+    try {
+      const changes = await sweepStalledVehicles(db);
+      changes.forEach(alert => io.to('admin').emit('alert', alert));
+    } catch (error) {
+      logger.error('Vehicle monitor sweep failed:', error);
+    }
+  }, SWEEP_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { checkOffRoute, sweepStalledVehicles, startVehicleMonitor };